@@ -0,0 +1,90 @@
+/**
+ * Astronomy tests
+ * Reference values from published almanac data; tolerances match the low-precision series used.
+ */
+
+import {
+  toJulianDay,
+  getSunPosition,
+  getMoonPosition,
+  getSunTimes,
+  getMoonTimes
+} from '../src/utils/Astronomy';
+
+const JAKARTA = { latitude: -6.2, longitude: 106.8 };
+const GREENWICH = { latitude: 51.4769, longitude: 0 };
+const DALLAS = { latitude: 32.7767, longitude: -96.797 };
+
+const angularDistance = (a, b) => Math.abs(((a - b) % 360 + 540) % 360 - 180);
+
+describe('toJulianDay', () => {
+  it('matches the J2000 epoch', () => {
+    expect(toJulianDay(new Date('2000-01-01T12:00:00Z'))).toBe(2451545);
+  });
+});
+
+describe('getSunPosition', () => {
+  it('culminates due south of Greenwich at the June solstice', () => {
+    const sun = getSunPosition(new Date('2024-06-21T12:01:49Z'), GREENWICH);
+    
+    expect(sun.declination).toBeCloseTo(23.44, 1);
+    expect(angularDistance(sun.azimuth, 180)).toBeLessThan(0.5);
+    // 90 - latitude + declination, plus a little refraction
+    expect(sun.elevation).toBeCloseTo(61.97, 1);
+  });
+  
+  it('is below the horizon at night', () => {
+    expect(getSunPosition(new Date('2024-06-21T00:00:00Z'), GREENWICH).elevation).toBeLessThan(0);
+  });
+});
+
+describe('getMoonPosition', () => {
+  it('lines up with the sun during the April 2024 total eclipse', () => {
+    const time = new Date('2024-04-08T18:42:00Z');
+    const sun = getSunPosition(time, DALLAS);
+    const moon = getMoonPosition(time, DALLAS);
+    
+    expect(angularDistance(sun.azimuth, moon.azimuth)).toBeLessThan(0.3);
+    expect(Math.abs(sun.elevation - moon.elevation)).toBeLessThan(0.3);
+    expect(moon.illumination).toBeLessThan(0.01);
+  });
+  
+  it('is fully lit at full moon and tracks the phase', () => {
+    const full = getMoonPosition(new Date('2024-04-23T23:49:00Z'), JAKARTA);
+    expect(full.illumination).toBeGreaterThan(0.99);
+    expect(full.phase).toBeCloseTo(0.5, 1);
+    
+    const firstQuarter = getMoonPosition(new Date('2024-04-15T19:13:00Z'), JAKARTA);
+    expect(firstQuarter.illumination).toBeCloseTo(0.5, 1);
+    expect(firstQuarter.isWaxing).toBe(true);
+  });
+});
+
+describe('getSunTimes', () => {
+  it('rises and sets close to due east and west at the equinox', () => {
+    const { sunrise, sunset } = getSunTimes(new Date('2024-03-20T12:00:00Z'), JAKARTA);
+    
+    expect(angularDistance(sunrise.azimuth, 90)).toBeLessThan(1);
+    expect(angularDistance(sunset.azimuth, 270)).toBeLessThan(1);
+    // About 05:57 and 18:03 WIB
+    expect(Math.abs(sunrise.time.getTime() % 86400000 - Date.UTC(1970, 0, 1, 22, 57))).toBeLessThan(5 * 60000);
+    expect(Math.abs(sunset.time.getTime() % 86400000 - Date.UTC(1970, 0, 1, 11, 3))).toBeLessThan(5 * 60000);
+  });
+  
+  it('returns no events during the polar day', () => {
+    expect(getSunTimes(new Date('2024-06-21T12:00:00Z'), { latitude: 78.2, longitude: 15.6 }))
+      .toEqual({ sunrise: null, sunset: null });
+  });
+});
+
+describe('getMoonTimes', () => {
+  it('finds moonrise and moonset with the moon on the horizon', () => {
+    const { moonrise, moonset } = getMoonTimes(new Date('2024-03-20T12:00:00Z'), JAKARTA);
+    
+    expect(moonrise).not.toBeNull();
+    expect(moonset).not.toBeNull();
+    expect(Math.abs(getMoonPosition(moonrise.time, JAKARTA).elevation)).toBeLessThan(1);
+    expect(moonrise.azimuth).toBeLessThan(180);
+    expect(moonset.azimuth).toBeGreaterThan(180);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * BearingLog tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BearingLog, createBearingSighting, averageHeadings } from '../src/utils/BearingLog';
+import { getMagneticDeclination } from '../src/utils/CompassUtils';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const T0 = Date.UTC(2024, 2, 20, 1, 0, 0);
+const BOGOR = { latitude: -6.5976, longitude: 106.7996, altitude: 265, accuracy: 8 };
+// Western Canada, where declination is large and east
+const CALGARY = { latitude: 51.05, longitude: -114.07 };
+
+describe('averageHeadings', () => {
+  it('averages across north', () => {
+    const summary = averageHeadings([358, 359, 0, 1, 2]);
+    expect(Math.min(summary.mean, 360 - summary.mean)).toBeCloseTo(0, 6);
+    expect(summary.count).toBe(5);
+    expect(summary.spread).toBeCloseTo(1.41, 1);
+  });
+  
+  it('gives zero spread for a steady heading and a wide one for scattered headings', () => {
+    const steady = averageHeadings([120, 120, 120]);
+    expect(steady.mean).toBeCloseTo(120, 6);
+    expect(steady.spread).toBeCloseTo(0, 4);
+    expect(steady.resultantLength).toBeCloseTo(1, 6);
+    expect(averageHeadings([0, 90, 180, 270]).spread).toBeGreaterThan(90);
+  });
+  
+  it('ignores missing readings', () => {
+    expect(averageHeadings([])).toBeNull();
+    expect(averageHeadings([null, NaN])).toBeNull();
+    expect(averageHeadings([10, null, 20]).mean).toBeCloseTo(15, 6);
+  });
+});
+
+describe('createBearingSighting', () => {
+  it('adds the declination of the sighting date to get the true heading', () => {
+    const sighting = createBearingSighting({ magneticHeading: 355, location: CALGARY, compassAccuracy: 0.9, timestamp: T0 });
+    const { declination, source } = getMagneticDeclination(CALGARY, new Date(T0));
+    
+    expect(declination).toBeGreaterThan(10);
+    expect(sighting.declination).toBeCloseTo(declination, 2);
+    expect(sighting.trueHeading).toBeCloseTo((355 + declination) % 360, 2);
+    expect(sighting.magneticHeading).toBe(355);
+    expect(sighting.declinationSource).toBe(source);
+    expect(sighting.compassAccuracy).toBe(0.9);
+    expect(sighting.locationAccuracy).toBeNull();
+  });
+  
+  it('gives the grid bearing from the UTM convergence', () => {
+    // Calgary is 3° west of the zone 11 central meridian, so grid north lies west of true north
+    const sighting = createBearingSighting({ magneticHeading: 355, location: CALGARY, timestamp: T0 });
+    expect(sighting.utmZone).toBe(11);
+    expect(sighting.gridConvergence).toBeCloseTo(2.28, 2);
+    expect(sighting.gridHeading).toBeCloseTo((sighting.trueHeading - 2.28 + 360) % 360, 1);
+    
+    const polar = createBearingSighting({ magneticHeading: 10, location: { latitude: 86, longitude: 0 }, timestamp: T0 });
+    expect(polar.gridHeading).toBeNull();
+    expect(polar.utmZone).toBeNull();
+  });
+  
+  it('keeps the capture spread and never rounds a bearing up to 360', () => {
+    const sighting = createBearingSighting({
+      magneticHeading: 359.999,
+      location: { latitude: 0, longitude: 3 },
+      spread: 1.234,
+      sampleCount: 30,
+      timestamp: T0
+    });
+    expect(sighting.spread).toBe(1.23);
+    expect(sighting.sampleCount).toBe(30);
+    expect(sighting.magneticHeading).toBe(0);
+  });
+  
+  it('keeps the position, its accuracy and a trimmed note', () => {
+    const sighting = createBearingSighting({ magneticHeading: -10, location: BOGOR, note: ' Puncak ', timestamp: T0 });
+    expect(sighting).toMatchObject({
+      latitude: BOGOR.latitude,
+      longitude: BOGOR.longitude,
+      altitude: 265,
+      locationAccuracy: 8,
+      magneticHeading: 350,
+      note: 'Puncak',
+      timestamp: T0
+    });
+  });
+  
+  it('needs a heading and a valid position', () => {
+    expect(() => createBearingSighting({ magneticHeading: NaN, location: BOGOR })).toThrow();
+    expect(() => createBearingSighting({ magneticHeading: 10, location: null })).toThrow();
+    expect(() => createBearingSighting({ magneticHeading: 10, location: { latitude: 100, longitude: 0 } })).toThrow();
+  });
+  
+  it('accepts a waypoint target in place of a position', () => {
+    const target = { id: 'wp-1', name: 'Menara', latitude: -6.59, longitude: 106.81, category: 'landmark' };
+    const sighting = createBearingSighting({ magneticHeading: 45, target, timestamp: T0 });
+    expect(sighting.target).toEqual({ id: 'wp-1', name: 'Menara', latitude: -6.59, longitude: 106.81 });
+    expect(sighting.latitude).toBeNull();
+    expect(sighting.longitude).toBeNull();
+    expect(sighting.locationAccuracy).toBeNull();
+    const { declination } = getMagneticDeclination(target, new Date(T0));
+    expect(sighting.trueHeading).toBeCloseTo(45 + declination, 1);
+    
+    expect(createBearingSighting({ magneticHeading: 45, location: BOGOR, timestamp: T0 }).target).toBeNull();
+    expect(() => createBearingSighting({ magneticHeading: 45, target: { name: 'X', latitude: 0, longitude: 200 } }))
+      .toThrow();
+  });
+});
+
+describe('BearingLog', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+  
+  it('persists sightings newest first and deletes them', async () => {
+    const log = new BearingLog();
+    await log.load();
+    const first = await log.addSighting({ magneticHeading: 10, location: BOGOR, timestamp: T0 });
+    const second = await log.addSighting({ magneticHeading: 20, location: BOGOR, timestamp: T0 + 60000 });
+    
+    const reloaded = new BearingLog();
+    await reloaded.load();
+    expect(reloaded.listSightings().map(sighting => sighting.id)).toEqual([second.id, first.id]);
+    
+    expect(await reloaded.deleteSighting(first.id)).toBe(true);
+    expect(await reloaded.deleteSighting(first.id)).toBe(false);
+    expect(reloaded.listSightings()).toHaveLength(1);
+  });
+});
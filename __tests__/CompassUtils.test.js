@@ -0,0 +1,297 @@
+/**
+ * CompassUtils tests
+ * Golden inputs come from fixtures/tilted-rotation.ndjson, a synthetic SessionRecorder-format session of a
+ * tilted phone making a full turn, generated by the sensor simulator with its ground truth headings.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  calculateHeading,
+  calculateCompassAccuracy,
+  calibrateMagnetometer,
+  applyMagnetometerCalibration,
+  getMagneticDeclination,
+  calculateInitialBearing,
+  calculateFinalBearing,
+  calculateQiblaDirection,
+  getRelativeBearing,
+  MIN_CALIBRATION_SAMPLES
+} from '../src/utils/CompassUtils';
+import { analyzeSession, headingDifference, parseSession, simulateSession } from '../src/utils/SessionAnalysis';
+
+const JAKARTA = { latitude: -6.2, longitude: 106.8 };
+
+const loadFixture = (name) => parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+
+// Evenly spread unit vectors (Fibonacci sphere)
+const sphereDirections = (count) => Array.from({ length: count }, (_, i) => {
+  const z = 1 - (2 * (i + 0.5)) / count;
+  const r = Math.sqrt(1 - z * z);
+  const angle = i * Math.PI * (3 - Math.sqrt(5));
+  return [r * Math.cos(angle), r * Math.sin(angle), z];
+});
+
+// raw = softIron · direction · strength + hardIron
+const distort = ([x, y, z], softIron, hardIron, strength) => ({
+  x: strength * (softIron[0][0] * x + softIron[0][1] * y + softIron[0][2] * z) + hardIron.x,
+  y: strength * (softIron[1][0] * x + softIron[1][1] * y + softIron[1][2] * z) + hardIron.y,
+  z: strength * (softIron[2][0] * x + softIron[2][1] * y + softIron[2][2] * z) + hardIron.z
+});
+
+const magnitude = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateHeading', () => {
+  it.each([
+    ['north', { x: 30, y: 0, z: -20 }, 0],
+    ['north-east', { x: 20, y: 20, z: -20 }, 45],
+    ['east', { x: 0, y: 30, z: -20 }, 90],
+    ['south-east', { x: -20, y: 20, z: -20 }, 135],
+    ['south', { x: -30, y: 0, z: -20 }, 180],
+    ['south-west', { x: -20, y: -20, z: -20 }, 225],
+    ['west', { x: 0, y: -30, z: -20 }, 270],
+    ['north-west', { x: 20, y: -20, z: -20 }, 315]
+  ])('points %s on a flat phone', (_, reading, expected) => {
+    expect(calculateHeading(reading, null)).toBeCloseTo(expected, 2);
+  });
+  
+  it('stays within 0..360 on both sides of north', () => {
+    expect(calculateHeading({ x: 30, y: 0.0001, z: -20 }, null)).toBe(0);
+    expect(calculateHeading({ x: 30, y: -0.0001, z: -20 }, null)).toBe(0);
+    expect(calculateHeading({ x: 30, y: -0.1, z: -20 }, null)).toBeCloseTo(359.81, 2);
+    expect(calculateHeading({ x: 30, y: 0.1, z: -20 }, null)).toBeCloseTo(0.19, 2);
+  });
+  
+  it('adds the declination for the given location', () => {
+    const { declination } = getMagneticDeclination(JAKARTA);
+    expect(calculateHeading({ x: 30, y: 0, z: -20 }, JAKARTA)).toBeCloseTo(declination, 1);
+  });
+  
+  it('returns 0 for invalid or implausible readings', () => {
+    expect(calculateHeading(null, null)).toBe(0);
+    expect(calculateHeading({ x: 'a', y: 1, z: 1 }, null)).toBe(0);
+    expect(calculateHeading({ x: 1, y: 1, z: 1 }, null)).toBe(0);
+    expect(calculateHeading({ x: 200, y: 0, z: 0 }, null)).toBe(0);
+  });
+  
+  it('follows the ground truth of the tilted rotation fixture', () => {
+    const session = loadFixture('tilted-rotation.ndjson');
+    const accelerometer = session.readings.filter(r => r.type === 'accelerometer');
+    const magnetometer = session.readings.filter(r => r.type === 'magnetometer');
+    
+    expect(magnetometer).toHaveLength(session.truths.length);
+    
+    magnetometer.forEach((reading, i) => {
+      const heading = calculateHeading(reading, null, false, accelerometer[i]);
+      expect(Math.abs(headingDifference(heading, session.truths[i].heading))).toBeLessThan(2);
+    });
+  });
+  
+  it('needs the accelerometer to handle tilt', () => {
+    const session = loadFixture('tilted-rotation.ndjson');
+    const magnetometer = session.readings.filter(r => r.type === 'magnetometer');
+    const errors = magnetometer.map((reading, i) =>
+      Math.abs(headingDifference(calculateHeading(reading, null), session.truths[i].heading))
+    );
+    
+    expect(Math.max(...errors)).toBeGreaterThan(5);
+  });
+});
+
+describe('getMagneticDeclination', () => {
+  it('falls back to zero without a usable location', () => {
+    expect(getMagneticDeclination(null)).toEqual({ declination: 0, accuracy: 1.0, source: 'default' });
+    expect(getMagneticDeclination({ latitude: 'a', longitude: 106.8 }).source).toBe('default');
+  });
+  
+  it('uses the magnetic model inside its validity window', () => {
+    const result = getMagneticDeclination(JAKARTA, new Date('2026-01-01'));
+    expect(result.source).toBe('wmm');
+    expect(result.declination).toBeCloseTo(0.63, 1);
+    expect(result.accuracy).toBeGreaterThan(0);
+  });
+  
+  it('marks extrapolated dates and widens the uncertainty', () => {
+    const valid = getMagneticDeclination(JAKARTA, new Date('2026-01-01'));
+    const extrapolated = getMagneticDeclination(JAKARTA, new Date('2035-01-01'));
+    expect(extrapolated.source).toBe('wmm_extrapolated');
+    expect(extrapolated.accuracy).toBeGreaterThan(valid.accuracy);
+  });
+  
+  it('gives the known sign of declination in different regions', () => {
+    const date = new Date('2026-01-01');
+    expect(getMagneticDeclination({ latitude: 40.7, longitude: -74.0 }, date).declination).toBeLessThan(-10);
+    expect(getMagneticDeclination({ latitude: -33.9, longitude: 151.2 }, date).declination).toBeGreaterThan(10);
+  });
+});
+
+describe('calibrateMagnetometer', () => {
+  const hardIron = { x: 12, y: -7, z: 20 };
+  const softIron = [[1.15, 0.08, 0.02], [0.08, 0.9, -0.05], [0.02, -0.05, 1.0]];
+  
+  it('recovers hard- and soft-iron distortion from a full sweep', () => {
+    const samples = sphereDirections(150).map(direction => distort(direction, softIron, hardIron, 45));
+    const result = calibrateMagnetometer(samples);
+    
+    expect(result.isCalibrated).toBe(true);
+    expect(result.method).toBe('ellipsoid');
+    expect(result.hardIron.x).toBeCloseTo(hardIron.x, 1);
+    expect(result.hardIron.y).toBeCloseTo(hardIron.y, 1);
+    expect(result.hardIron.z).toBeCloseTo(hardIron.z, 1);
+    expect(result.residual).toBeLessThan(0.01);
+    
+    const radii = samples.map(sample => magnitude(applyMagnetometerCalibration(sample, result)));
+    radii.forEach(radius => expect(radius).toBeCloseTo(result.fieldStrength, 0));
+  });
+  
+  it('restores headings distorted by the ellipsoid', () => {
+    const samples = sphereDirections(150).map(direction => distort(direction, softIron, hardIron, 45));
+    const calibration = calibrateMagnetometer(samples);
+    
+    // Undo the soft-iron shape for a flat phone pointing at each test heading
+    [0, 60, 135, 210, 300].forEach((expected) => {
+      const angle = expected * Math.PI / 180;
+      const reading = distort([Math.cos(angle) * 0.8, Math.sin(angle) * 0.8, -0.6], softIron, hardIron, 45);
+      const heading = calculateHeading(reading, null, calibration);
+      expect(Math.abs(headingDifference(heading, expected))).toBeLessThan(0.5);
+    });
+  });
+  
+  it('rejects too few samples', () => {
+    const samples = sphereDirections(MIN_CALIBRATION_SAMPLES - 1).map(direction => distort(direction, softIron, hardIron, 45));
+    expect(calibrateMagnetometer(samples)).toEqual({
+      isCalibrated: false,
+      reason: 'Insufficient data',
+      samples: MIN_CALIBRATION_SAMPLES - 1
+    });
+    expect(calibrateMagnetometer(null).isCalibrated).toBe(false);
+  });
+  
+  it('rejects a sweep that only turns in the horizontal plane', () => {
+    const samples = Array.from({ length: 100 }, (_, i) => {
+      const angle = (i / 100) * 2 * Math.PI;
+      return distort([Math.cos(angle) * 0.8, Math.sin(angle) * 0.8, -0.6], softIron, hardIron, 45);
+    });
+    expect(calibrateMagnetometer(samples).isCalibrated).toBe(false);
+  });
+});
+
+describe('calculateCompassAccuracy', () => {
+  const history = headings => headings.map((heading, i) => ({ heading, timestamp: i * 50 }));
+  
+  it('needs at least five readings', () => {
+    expect(calculateCompassAccuracy(history([10, 10, 10, 10]))).toBe(0);
+    expect(calculateCompassAccuracy(null)).toBe(0);
+  });
+  
+  it('is perfect for a steady heading', () => {
+    expect(calculateCompassAccuracy(history([90, 90, 90, 90, 90]))).toBe(1);
+  });
+  
+  it('treats headings around north as close together', () => {
+    const aroundNorth = calculateCompassAccuracy(history([359, 1, 358, 2, 0, 359, 1]));
+    const aroundEast = calculateCompassAccuracy(history([89, 91, 88, 92, 90, 89, 91]));
+    expect(aroundNorth).toBeGreaterThan(0.9);
+    expect(aroundNorth).toBeCloseTo(aroundEast, 2);
+  });
+  
+  it('drops for scattered headings', () => {
+    expect(calculateCompassAccuracy(history([0, 40, 80, 20, 60, 10, 70]))).toBeLessThan(0.2);
+  });
+  
+  it('only looks at the most recent readings', () => {
+    const settled = history([...Array(10).fill(180), ...Array(15).fill(45)]);
+    expect(calculateCompassAccuracy(settled)).toBe(1);
+  });
+});
+
+describe('great-circle bearings', () => {
+  const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+  const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+  
+  it('points along the meridian and the equator', () => {
+    expect(calculateInitialBearing({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).toBeCloseTo(0, 6);
+    expect(calculateInitialBearing({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(90, 6);
+    expect(calculateInitialBearing({ latitude: 1, longitude: 0 }, { latitude: 0, longitude: 0 })).toBeCloseTo(180, 6);
+    expect(calculateInitialBearing({ latitude: 0, longitude: 1 }, { latitude: 0, longitude: 0 })).toBeCloseTo(270, 6);
+  });
+  
+  it('matches reference bearings for long routes', () => {
+    expect(calculateInitialBearing(LONDON, NEW_YORK)).toBeCloseTo(288.33, 1);
+    expect(calculateInitialBearing(JAKARTA, { latitude: 21.4225, longitude: 39.8262 })).toBeCloseTo(295.16, 1);
+  });
+  
+  it('turns the final bearing around the reverse route', () => {
+    const final = calculateFinalBearing(LONDON, NEW_YORK);
+    expect(final).toBeCloseTo((calculateInitialBearing(NEW_YORK, LONDON) + 180) % 360, 6);
+    expect(final).not.toBeCloseTo(calculateInitialBearing(LONDON, NEW_YORK), 0);
+  });
+  
+  it('gives the shortest turn towards a bearing', () => {
+    expect(getRelativeBearing(350, 10)).toBeCloseTo(20, 6);
+    expect(getRelativeBearing(10, 350)).toBeCloseTo(-20, 6);
+    expect(getRelativeBearing(90, 55)).toBeCloseTo(-35, 6);
+    expect(getRelativeBearing(0, 180)).toBe(180);
+    expect(getRelativeBearing(45, 45)).toBe(0);
+  });
+});
+
+describe('calculateQiblaDirection', () => {
+  it.each([
+    ['Jakarta', JAKARTA, 295.16],
+    ['Makassar', { latitude: -5.1477, longitude: 119.4327 }, 292.47],
+    ['London', { latitude: 51.5074, longitude: -0.1278 }, 118.99],
+    ['New York', { latitude: 40.7128, longitude: -74.006 }, 58.48]
+  ])('points towards the Kaaba from %s', (_, location, expected) => {
+    expect(calculateQiblaDirection(location)).toBeCloseTo(expected, 1);
+  });
+  
+  it('needs a position', () => {
+    expect(calculateQiblaDirection(null)).toBeNull();
+    expect(calculateQiblaDirection({ latitude: NaN, longitude: 0 })).toBeNull();
+  });
+});
+
+describe('analyzeSession', () => {
+  const simulated = parseSession(simulateSession({
+    duration: 60,
+    seed: 1,
+    rotationRate: 10,
+    wobbleAmplitude: 5,
+    spikeRate: 0.05
+  }));
+  
+  it('runs the app\'s fusion chain by default', () => {
+    const fusion = analyzeSession(simulated);
+    const headingKalman = analyzeSession(simulated, { chain: 'headingKalman' });
+    
+    expect(fusion.params.chain).toBe('fusion');
+    expect(fusion.rows).toHaveLength(headingKalman.rows.length);
+    // The gyroscope rides through the magnetometer spikes that the heading filter alone follows
+    expect(fusion.stats.filtered.rms).toBeLessThan(fusion.stats.raw.rms);
+    expect(fusion.stats.filtered.rms).toBeLessThan(headingKalman.stats.filtered.rms);
+  });
+  
+  it('scores every chain against the same ground truth', () => {
+    const session = loadFixture('tilted-rotation.ndjson');
+    ['fusion', 'headingKalman', 'vector'].forEach((chain) => {
+      const { rows, stats } = analyzeSession(session, { chain });
+      expect(rows).toHaveLength(session.truths.length);
+      expect(stats.filtered.count).toBe(session.truths.length);
+      expect(stats.raw.rms).toBeLessThan(1);
+    });
+  });
+  
+  it('rejects an unknown chain', () => {
+    expect(() => analyzeSession(simulated, { chain: 'median' })).toThrow('median');
+  });
+});
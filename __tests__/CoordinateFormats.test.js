@@ -0,0 +1,180 @@
+/**
+ * CoordinateFormats tests
+ */
+
+import {
+  parseDecimalDegrees,
+  validateCoordinates,
+  formatDMS,
+  formatDDM,
+  parseAngle,
+  toUTM,
+  fromUTM,
+  parseUTM,
+  toMGRS,
+  parseMGRS,
+  getGridConvergence,
+  formatCoordinates,
+  parseCoordinates,
+  COORDINATE_FORMATS
+} from '../src/utils/CoordinateFormats';
+
+const JAKARTA = { latitude: -6.2088, longitude: 106.8456 };
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+
+// Ground distance in meters between two nearby positions
+const metersBetween = (a, b) => {
+  const dLat = (a.latitude - b.latitude) * 111320;
+  const dLon = (a.longitude - b.longitude) * 111320 * Math.cos(a.latitude * Math.PI / 180);
+  return Math.sqrt(dLat * dLat + dLon * dLon);
+};
+
+describe('parseDecimalDegrees', () => {
+  it('reads decimal points and decimal commas', () => {
+    expect(parseDecimalDegrees('-6.2088')).toBe(-6.2088);
+    expect(parseDecimalDegrees(' 106,8456 ')).toBe(106.8456);
+    expect(parseDecimalDegrees('+.5')).toBe(0.5);
+    expect(parseDecimalDegrees(12.5)).toBe(12.5);
+  });
+  
+  it('rejects anything that is not a plain number', () => {
+    expect(parseDecimalDegrees('')).toBeNull();
+    expect(parseDecimalDegrees('6.2S')).toBeNull();
+    expect(parseDecimalDegrees('1.2.3')).toBeNull();
+    expect(parseDecimalDegrees(NaN)).toBeNull();
+    expect(parseDecimalDegrees(null)).toBeNull();
+  });
+});
+
+describe('validateCoordinates', () => {
+  it('accepts the full valid range', () => {
+    expect(validateCoordinates(-90, -180).isValid).toBe(true);
+    expect(validateCoordinates(90, 180).isValid).toBe(true);
+  });
+  
+  it('reports which value is out of range', () => {
+    expect(validateCoordinates(-90.1, 0)).toEqual({ isValid: false, reason: 'Latitude harus antara -90 dan 90' });
+    expect(validateCoordinates(0, 180.5)).toEqual({ isValid: false, reason: 'Longitude harus antara -180 dan 180' });
+    expect(validateCoordinates(null, 0).isValid).toBe(false);
+  });
+});
+
+describe('DMS and DDM', () => {
+  it('formats with hemisphere letters and carries rounding into the next unit', () => {
+    expect(formatDMS(-6.2088, 'latitude')).toBe('6°12\'31.7"S');
+    expect(formatDMS(106.8456, 'longitude')).toBe('106°50\'44.2"E');
+    expect(formatDMS(-74.99999, 'longitude')).toBe('75°00\'00.0"W');
+    expect(formatDDM(-6.2088, 'latitude')).toBe('6°12.528\'S');
+    expect(formatDDM(40.7128, 'longitude')).toBe('40°42.768\'E');
+  });
+  
+  it('parses angles with or without marks and with Indonesian hemisphere letters', () => {
+    expect(parseAngle('6°12\'31.7"S').value).toBeCloseTo(-6.208806, 6);
+    expect(parseAngle('S 6 12 31.7')).toEqual({ value: expect.any(Number), axis: 'latitude', format: 'dms' });
+    expect(parseAngle('106:50:44.2 BT').value).toBeCloseTo(106.845611, 6);
+    expect(parseAngle('6°12,528\' LS')).toEqual({ value: -6.2088, axis: 'latitude', format: 'ddm' });
+    expect(parseAngle('-106.8456')).toEqual({ value: -106.8456, axis: null, format: 'dd' });
+  });
+  
+  it('rejects malformed angles', () => {
+    expect(parseAngle('6 61 00 S')).toBeNull();
+    expect(parseAngle('6.5 30 S')).toBeNull();
+    expect(parseAngle('-6 12 S')).toBeNull();
+    expect(parseAngle('enam derajat')).toBeNull();
+  });
+});
+
+describe('UTM', () => {
+  it('matches published grid coordinates', () => {
+    const utm = toUTM(NEW_YORK.latitude, NEW_YORK.longitude);
+    expect(utm.zone).toBe(18);
+    expect(utm.band).toBe('T');
+    expect(utm.easting).toBeCloseTo(583959.4, 0);
+    expect(utm.northing).toBeCloseTo(4507351, 0);
+    
+    const jakarta = toUTM(JAKARTA.latitude, JAKARTA.longitude);
+    expect(jakarta).toMatchObject({ zone: 48, band: 'M', hemisphere: 'S' });
+    expect(jakarta.northing).toBeGreaterThan(9000000);
+  });
+  
+  it('handles the Norway and Svalbard zone exceptions', () => {
+    expect(toUTM(60.39, 5.32).zone).toBe(32);
+    expect(toUTM(78.22, 15.65).zone).toBe(33);
+    expect(toUTM(78.22, 8.5).zone).toBe(31);
+  });
+  
+  it('round trips to within a millimeter', () => {
+    const points = [JAKARTA, NEW_YORK, { latitude: -33.8688, longitude: 151.2093 }, { latitude: 83.9, longitude: 179.9 }];
+    points.forEach((point) => {
+      expect(metersBetween(fromUTM(toUTM(point.latitude, point.longitude)), point)).toBeLessThan(0.001);
+    });
+  });
+  
+  it('returns null outside the UTM latitudes', () => {
+    expect(toUTM(85, 0)).toBeNull();
+    expect(toUTM(-80.5, 0)).toBeNull();
+    expect(parseUTM('48M 10 50')).toBeNull();
+  });
+  
+  it('gives the grid convergence, zero on the central meridian', () => {
+    expect(getGridConvergence(45, -69).convergence).toBeCloseTo(0, 9);
+    // Zone 19 has its central meridian at 69°W; close to the spherical atan(tan(dLon) sin(lat)) = 1.4145°
+    expect(getGridConvergence(45, -67).convergence).toBeCloseTo(1.4145, 3);
+    expect(getGridConvergence(45, -71).convergence).toBeCloseTo(-1.4145, 3);
+    expect(getGridConvergence(-6.2, 106.8)).toMatchObject({ zone: 48 });
+    expect(getGridConvergence(85, 0)).toBeNull();
+  });
+});
+
+describe('MGRS', () => {
+  it('builds the 100 km square letters', () => {
+    expect(toMGRS(NEW_YORK.latitude, NEW_YORK.longitude)).toBe('18T WL 83959 07350');
+    expect(toMGRS(NEW_YORK.latitude, NEW_YORK.longitude, 3)).toBe('18T WL 839 073');
+  });
+  
+  it('round trips at every precision', () => {
+    [JAKARTA, NEW_YORK, { latitude: -79.9, longitude: -179.9 }, { latitude: 0.00001, longitude: -0.00001 }]
+      .forEach((point) => {
+        expect(metersBetween(parseMGRS(toMGRS(point.latitude, point.longitude)), point)).toBeLessThan(1);
+        expect(metersBetween(parseMGRS(toMGRS(point.latitude, point.longitude, 2)), point)).toBeLessThan(1000);
+      });
+  });
+  
+  it('accepts references without spaces and rejects invalid ones', () => {
+    expect(metersBetween(parseMGRS('18TWL8395907350'), NEW_YORK)).toBeLessThan(1);
+    expect(parseMGRS('18T WL 8395 073')).toBeNull();
+    expect(parseMGRS('18T IL 83959 07350')).toBeNull();
+    expect(parseMGRS('61T WL 83959 07350')).toBeNull();
+  });
+});
+
+describe('formatCoordinates and parseCoordinates', () => {
+  it('round trips every format', () => {
+    Object.keys(COORDINATE_FORMATS).forEach((format) => {
+      const text = formatCoordinates(JAKARTA, format);
+      const parsed = parseCoordinates(text);
+      
+      expect(parsed.format).toBe(format);
+      expect(metersBetween(parsed, JAKARTA)).toBeLessThan(5);
+    });
+  });
+  
+  it('reads pairs in either order and with decimal commas', () => {
+    expect(parseCoordinates('106.8456E, 6.2088S')).toMatchObject({ latitude: -6.2088, longitude: 106.8456 });
+    expect(parseCoordinates('-6,2088 106,8456')).toMatchObject({ latitude: -6.2088, longitude: 106.8456 });
+    expect(parseCoordinates('-6.2,106.8')).toMatchObject({ latitude: -6.2, longitude: 106.8, format: 'dd' });
+    expect(parseCoordinates('-6.2088,106.8456')).toMatchObject({ latitude: -6.2088, longitude: 106.8456 });
+    expect(parseCoordinates('6.2S,106.8E')).toMatchObject({ latitude: -6.2, longitude: 106.8 });
+    expect(parseCoordinates('106.8E,6.2S')).toMatchObject({ latitude: -6.2, longitude: 106.8 });
+    expect(parseCoordinates('6°12\'31.7"S,106°50\'44.2"E')).toMatchObject({ format: 'dms' });
+    expect(parseCoordinates('S 6 12 31.7 E 106 50 44.2').format).toBe('dms');
+  });
+  
+  it('rejects text that is not a position', () => {
+    expect(parseCoordinates('')).toBeNull();
+    expect(parseCoordinates('Monas')).toBeNull();
+    expect(parseCoordinates('6.2N 7.1S')).toBeNull();
+    expect(parseCoordinates('95, 106')).toBeNull();
+    expect(formatCoordinates(null, 'utm')).toBe('-');
+  });
+});
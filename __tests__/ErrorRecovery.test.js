@@ -0,0 +1,152 @@
+/**
+ * ErrorRecoveryManager tests
+ * Retries are driven with fake timers; the recovery callback replays the synthetic tilted rotation fixture
+ * and succeeds once the replayed magnetometer readings validate. The golden path is covered by synthetic
+ * data only: no real device capture is checked in yet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Alert } from 'react-native';
+import { ErrorRecoveryManager, ERROR_TYPES, RECOVERY_STRATEGIES } from '../src/utils/ErrorRecovery';
+import { validateMagnetometerData } from '../src/utils/CompassUtils';
+import { parseSession } from '../src/utils/SessionAnalysis';
+
+const session = parseSession(fs.readFileSync(path.join(__dirname, 'fixtures', 'tilted-rotation.ndjson'), 'utf8'));
+const magnetometer = session.readings.filter(r => r.type === 'magnetometer');
+
+// Recovery callback that fails a number of times before the sensor "comes back" with the given readings
+const sensorRestart = (failures, readings = magnetometer) => {
+  let attempts = 0;
+  return jest.fn(async () => {
+    attempts++;
+    if (attempts <= failures) {
+      return false;
+    }
+    return readings.every(reading => validateMagnetometerData(reading).isValid);
+  });
+};
+
+// Run handleError and advance through its retry delay
+const handle = async (manager, errorType, callback, delay = 0) => {
+  const promise = manager.handleError(errorType, new Error(errorType), callback);
+  await jest.advanceTimersByTimeAsync(delay);
+  return promise;
+};
+
+describe('ErrorRecoveryManager', () => {
+  let manager;
+  
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    manager = new ErrorRecoveryManager();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  it('retries up to maxRetries, then escalates per error type', () => {
+    [1, 2, 3].forEach((count) => {
+      Object.values(ERROR_TYPES).forEach((type) => {
+        expect(manager.getRecoveryStrategy(type, count)).toBe(RECOVERY_STRATEGIES.RETRY);
+      });
+    });
+    
+    expect(manager.getRecoveryStrategy(ERROR_TYPES.SENSOR_UNAVAILABLE, 4)).toBe(RECOVERY_STRATEGIES.FALLBACK);
+    expect(manager.getRecoveryStrategy(ERROR_TYPES.PERMISSION_DENIED, 4)).toBe(RECOVERY_STRATEGIES.USER_ACTION);
+    expect(manager.getRecoveryStrategy(ERROR_TYPES.LOCATION_ERROR, 4)).toBe(RECOVERY_STRATEGIES.FALLBACK);
+    expect(manager.getRecoveryStrategy(ERROR_TYPES.MEMORY_ERROR, 4)).toBe(RECOVERY_STRATEGIES.RESTART);
+    expect(manager.getRecoveryStrategy(ERROR_TYPES.NETWORK_ERROR, 4)).toBe(RECOVERY_STRATEGIES.IGNORE);
+    expect(manager.getRecoveryStrategy(ERROR_TYPES.UNKNOWN_ERROR, 4)).toBe(RECOVERY_STRATEGIES.FALLBACK);
+  });
+  
+  it('waits the progressive delay before each retry', async () => {
+    const callback = sensorRestart(Infinity);
+    
+    for (const [attempt, delay] of manager.retryDelays.entries()) {
+      const promise = manager.handleError(ERROR_TYPES.SENSOR_UNAVAILABLE, new Error('offline'), callback);
+      
+      await jest.advanceTimersByTimeAsync(delay - 1);
+      expect(callback).toHaveBeenCalledTimes(attempt);
+      
+      await jest.advanceTimersByTimeAsync(1);
+      expect(callback).toHaveBeenCalledTimes(attempt + 1);
+      await expect(promise).resolves.toBe(false);
+    }
+    
+    expect(manager.getErrorStats()).toEqual({
+      totalErrors: 3,
+      errorTypes: { [ERROR_TYPES.SENSOR_UNAVAILABLE]: 3 },
+      isHealthy: false
+    });
+  });
+  
+  it('reports failure once the retries for an unavailable sensor are exhausted', async () => {
+    const callback = sensorRestart(Infinity);
+    
+    await handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback, 1000);
+    await handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback, 2000);
+    await handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback, 5000);
+    
+    // There is no stand-in sensor, so the fallback must not claim a recovery
+    await expect(handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback)).resolves.toBe(false);
+    expect(callback).toHaveBeenCalledTimes(3);
+    expect(manager.getErrorStats().totalErrors).toBe(4);
+  });
+  
+  it('resets the count once the replayed sensor recovers', async () => {
+    const callback = sensorRestart(1);
+    
+    await expect(handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback, 1000)).resolves.toBe(false);
+    expect(manager.errorCounts[ERROR_TYPES.SENSOR_UNAVAILABLE]).toBe(1);
+    
+    await expect(handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback, 2000)).resolves.toBe(true);
+    expect(manager.errorCounts[ERROR_TYPES.SENSOR_UNAVAILABLE]).toBe(0);
+    expect(manager.getErrorStats().isHealthy).toBe(true);
+  });
+  
+  it('does not count a restart with invalid readings as a recovery', async () => {
+    const callback = sensorRestart(0, [...magnetometer, { x: NaN, y: 0, z: 0 }]);
+    
+    await expect(handle(manager, ERROR_TYPES.SENSOR_UNAVAILABLE, callback, 1000)).resolves.toBe(false);
+    expect(manager.errorCounts[ERROR_TYPES.SENSOR_UNAVAILABLE]).toBe(1);
+  });
+  
+  it('treats a throwing recovery callback as a failed retry', async () => {
+    const callback = jest.fn(async () => {
+      throw new Error('still offline');
+    });
+    
+    await expect(handle(manager, ERROR_TYPES.LOCATION_ERROR, callback, 1000)).resolves.toBe(false);
+    expect(manager.errorCounts[ERROR_TYPES.LOCATION_ERROR]).toBe(1);
+  });
+  
+  it('asks the user once permission retries are exhausted', async () => {
+    const alert = jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
+      buttons.find(button => button.text === 'Pengaturan').onPress();
+    });
+    manager.errorCounts[ERROR_TYPES.PERMISSION_DENIED] = manager.maxRetries;
+    
+    await expect(handle(manager, ERROR_TYPES.PERMISSION_DENIED, sensorRestart(Infinity))).resolves.toBe(true);
+    expect(alert).toHaveBeenCalledWith('Izin Diperlukan', expect.any(String), expect.any(Array));
+  });
+  
+  it('keeps counting when the user declines a restart', async () => {
+    jest.spyOn(Alert, 'alert').mockImplementation((title, message, buttons) => {
+      buttons.find(button => button.text === 'Batal').onPress();
+    });
+    manager.errorCounts[ERROR_TYPES.MEMORY_ERROR] = manager.maxRetries;
+    
+    await expect(handle(manager, ERROR_TYPES.MEMORY_ERROR, sensorRestart(Infinity))).resolves.toBe(false);
+    expect(manager.errorCounts[ERROR_TYPES.MEMORY_ERROR]).toBe(4);
+  });
+  
+  it('ignores network errors after the retries', async () => {
+    manager.errorCounts[ERROR_TYPES.NETWORK_ERROR] = manager.maxRetries;
+    await expect(handle(manager, ERROR_TYPES.NETWORK_ERROR, sensorRestart(Infinity))).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * GeoFormats and XmlUtils tests
+ */
+
+import { parseXml, escapeXml, findElements } from '../src/utils/XmlUtils';
+import { toGPX, parseGPX, toKML, parseKML, toGeoJSON, parseGeoFile, matchCategory } from '../src/utils/GeoFormats';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const T0 = Date.UTC(2024, 2, 20, 1, 0, 0);
+
+const DATA = {
+  waypoints: [
+    {
+      name: 'Pos <Utama> & "Kemah"',
+      latitude: -6.5976,
+      longitude: 106.7996,
+      altitude: 265.5,
+      category: 'camp',
+      notes: 'Dekat sungai',
+      createdAt: T0
+    },
+    { name: 'Monas', latitude: -6.1754, longitude: 106.8272, altitude: null, category: 'site', notes: '', createdAt: T0 }
+  ],
+  tracks: [
+    {
+      name: 'Patroli pagi',
+      segments: [
+        {
+          points: [
+            { latitude: -6.2, longitude: 106.8, altitude: 10, timestamp: T0 },
+            { latitude: -6.1999, longitude: 106.8, altitude: 11, timestamp: T0 + 10000 }
+          ]
+        },
+        { points: [] },
+        { points: [{ latitude: -6.198, longitude: 106.8001, altitude: null, timestamp: T0 + 120000 }] }
+      ]
+    }
+  ]
+};
+
+describe('parseXml', () => {
+  it('reads elements, attributes, entities and CDATA, dropping namespace prefixes', () => {
+    const root = parseXml(
+      '<?xml version="1.0"?>\n<!-- comment --><a xmlns:x="urn:x" x:id=\'1\'><x:b>1 &lt; 2 &#x41;&#66;</x:b>' +
+      '<c><![CDATA[<raw> & text]]></c><d/></a>'
+    );
+    expect(root.name).toBe('a');
+    expect(root.attributes.id).toBe('1');
+    expect(root.children.map(child => child.name)).toEqual(['b', 'c', 'd']);
+    expect(root.children[0].text).toBe('1 < 2 AB');
+    expect(root.children[1].text).toBe('<raw> & text');
+    expect(findElements(root, 'd')).toHaveLength(1);
+  });
+  
+  it('rejects malformed documents', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow();
+    expect(() => parseXml('<a><b>')).toThrow();
+    expect(() => parseXml('<a attr=unquoted></a>')).toThrow();
+    expect(() => parseXml('just text')).toThrow();
+  });
+  
+  it('escapes text so it parses back unchanged', () => {
+    const text = 'a < b & c > "d" \'e\'';
+    expect(parseXml(`<a>${escapeXml(text)}</a>`).text).toBe(text);
+  });
+});
+
+describe('matchCategory', () => {
+  it('accepts keys and labels and falls back to the default', () => {
+    expect(matchCategory('camp')).toBe('camp');
+    expect(matchCategory('Sumber Air')).toBe('water');
+    expect(matchCategory('Flag, Blue')).toBe('general');
+    expect(matchCategory(null)).toBe('general');
+  });
+});
+
+describe('GPX', () => {
+  it('round-trips waypoints and tracks with names, times and elevation', () => {
+    const gpx = toGPX(DATA, { time: T0 });
+    expect(gpx).toContain('<gpx version="1.1"');
+    expect(gpx).toContain('Pos &lt;Utama&gt; &amp; &quot;Kemah&quot;');
+    
+    const { waypoints, tracks } = parseGPX(gpx);
+    expect(waypoints).toEqual([
+      { ...DATA.waypoints[0] },
+      { ...DATA.waypoints[1] }
+    ]);
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].name).toBe('Patroli pagi');
+    // The empty segment is not written
+    expect(tracks[0].segments.map(segment => segment.points)).toEqual([
+      DATA.tracks[0].segments[0].points,
+      DATA.tracks[0].segments[2].points
+    ]);
+  });
+  
+  it('reads routes and GPX 1.0 files from other tools', () => {
+    const { waypoints, tracks } = parseGPX(`<?xml version="1.0" encoding="UTF-8"?>
+      <gpx version="1.0" creator="QGIS" xmlns="http://www.topografix.com/GPX/1/0">
+        <wpt lat="-6.9025" lon="107.6188"><name><![CDATA[Gedung Sate]]></name><type>Flag, Blue</type></wpt>
+        <wpt lat="95" lon="107"><name>Rusak</name></wpt>
+        <rte>
+          <name>Rencana survei</name>
+          <rtept lat="-6.90" lon="107.61"><ele>770</ele></rtept>
+          <rtept lat="-6.91" lon="107.62"/>
+        </rte>
+      </gpx>`);
+    
+    expect(waypoints).toHaveLength(1);
+    expect(waypoints[0]).toMatchObject({ name: 'Gedung Sate', category: 'general', altitude: null, createdAt: null });
+    expect(tracks).toEqual([{
+      name: 'Rencana survei',
+      segments: [{
+        points: [
+          { latitude: -6.9, longitude: 107.61, altitude: 770, timestamp: null },
+          { latitude: -6.91, longitude: 107.62, altitude: null, timestamp: null }
+        ]
+      }]
+    }]);
+  });
+  
+  it('rejects documents that are not GPX', () => {
+    expect(() => parseGPX('<kml></kml>')).toThrow('Not a GPX document');
+  });
+});
+
+describe('KML', () => {
+  it('round-trips waypoints and tracks with names, times and elevation', () => {
+    const kml = toKML(DATA);
+    expect(kml).toContain('<gx:Track>');
+    
+    const { waypoints, tracks } = parseKML(kml);
+    expect(waypoints).toEqual(DATA.waypoints);
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].segments).toHaveLength(2);
+    expect(tracks[0].segments[0].points).toEqual(DATA.tracks[0].segments[0].points);
+    // A segment without heights is clamped to the ground on its own instead of getting a made-up 0 m
+    expect(tracks[0].segments[1].points[0]).toMatchObject({ altitude: null, timestamp: T0 + 120000 });
+  });
+  
+  it('never turns a missing height into 0 m inside a track with heights', () => {
+    const points = [
+      { latitude: -6.2, longitude: 106.8, altitude: 10, timestamp: T0 },
+      { latitude: -6.2001, longitude: 106.8, altitude: null, timestamp: T0 + 10000 },
+      { latitude: -6.2002, longitude: 106.8, altitude: 12, timestamp: T0 + 20000 }
+    ];
+    const kml = toKML({ tracks: [{ name: 'Campuran', segments: [{ points }] }] });
+    expect(kml).toContain('<altitudeMode>absolute</altitudeMode>');
+    expect(kml).toContain('<altitudeMode>clampToGround</altitudeMode>');
+    
+    // Every fix comes back; the one without a height in a clamped track of its own
+    const { segments } = parseKML(kml).tracks[0];
+    expect(segments).toHaveLength(3);
+    expect(segments.flatMap(segment => segment.points)).toEqual(points);
+  });
+  
+  it('writes tracks without times as lines clamped to the ground', () => {
+    const kml = toKML({ tracks: [{ name: 'Rute', segments: [{ points: [{ latitude: -6.2, longitude: 106.8 }, { latitude: -6.3, longitude: 106.9 }] }] }] });
+    expect(kml).toContain('<coordinates>106.8,-6.2 106.9,-6.3</coordinates>');
+    expect(kml).toContain('<altitudeMode>clampToGround</altitudeMode>');
+    expect(parseKML(kml).tracks[0].segments[0].points[1]).toEqual(
+      { latitude: -6.3, longitude: 106.9, altitude: null, timestamp: null }
+    );
+  });
+  
+  it('reads placemarks from desktop GIS exports', () => {
+    const { waypoints, tracks } = parseKML(`<?xml version="1.0" encoding="UTF-8"?>
+      <kml xmlns="http://www.opengis.net/kml/2.2">
+        <Document><Folder>
+          <Placemark>
+            <name>Menara</name>
+            <description><![CDATA[<b>Tinggi</b> 40 m]]></description>
+            <Point><coordinates> 106.8, -6.2, 40 </coordinates></Point>
+          </Placemark>
+          <Placemark>
+            <name>Batas</name>
+            <MultiGeometry>
+              <LineString><altitudeMode>clampToGround</altitudeMode><coordinates>
+                106.8,-6.2,0
+                106.81,-6.21,0
+              </coordinates></LineString>
+              <LineString><coordinates>106.9,-6.3 106.91,-6.31</coordinates></LineString>
+            </MultiGeometry>
+          </Placemark>
+        </Folder></Document>
+      </kml>`);
+    
+    expect(waypoints).toEqual([{
+      name: 'Menara',
+      latitude: -6.2,
+      longitude: 106.8,
+      altitude: 40,
+      category: 'general',
+      notes: '<b>Tinggi</b> 40 m',
+      createdAt: null
+    }]);
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].segments.map(segment => segment.points.length)).toEqual([2, 2]);
+    expect(tracks[0].segments[0].points[0].altitude).toBeNull();
+  });
+});
+
+describe('GeoJSON', () => {
+  const SIGHTING = {
+    latitude: -6.2,
+    longitude: 106.8,
+    altitude: null,
+    locationAccuracy: 6,
+    magneticHeading: 45.5,
+    trueHeading: 46.2,
+    gridHeading: 46.39,
+    declination: 0.7,
+    declinationSource: 'wmm',
+    gridConvergence: -0.19,
+    compassAccuracy: 0.92,
+    spread: 1.2,
+    note: 'Menara air',
+    timestamp: T0
+  };
+  
+  it('writes waypoints and sightings as Points and track segments as LineStrings', () => {
+    const blind = { ...SIGHTING, latitude: null, longitude: null, target: { name: 'Menara' } };
+    const collection = JSON.parse(toGeoJSON({ ...DATA, sightings: [SIGHTING, blind] }, { time: T0 }));
+    expect(collection.type).toBe('FeatureCollection');
+    
+    const kinds = collection.features.map(feature => `${feature.properties.kind}:${feature.geometry.type}`);
+    // The single-point segment cannot be a LineString, the sighting without a fix has no position
+    expect(kinds).toEqual(['waypoint:Point', 'waypoint:Point', 'track:LineString', 'bearing:Point']);
+    
+    const [camp, monas, track, bearing] = collection.features;
+    expect(camp.geometry.coordinates).toEqual([106.7996, -6.5976, 265.5]);
+    expect(camp.properties).toMatchObject({ name: DATA.waypoints[0].name, category: 'camp', time: '2024-03-20T01:00:00.000Z' });
+    expect(monas.geometry.coordinates).toEqual([106.8272, -6.1754]);
+    expect(track.geometry.coordinates).toEqual([[106.8, -6.2, 10], [106.8, -6.1999, 11]]);
+    expect(track.properties.coordTimes).toEqual(['2024-03-20T01:00:00.000Z', '2024-03-20T01:00:10.000Z']);
+    expect(bearing.geometry.coordinates).toEqual([106.8, -6.2]);
+    expect(bearing.properties).toEqual({
+      kind: 'bearing',
+      magneticHeading: 45.5,
+      trueHeading: 46.2,
+      gridHeading: 46.39,
+      declination: 0.7,
+      declinationSource: 'wmm',
+      gridConvergence: -0.19,
+      compassAccuracy: 0.92,
+      spread: 1.2,
+      target: null,
+      locationAccuracy: 6,
+      note: 'Menara air',
+      time: '2024-03-20T01:00:00.000Z'
+    });
+  });
+  
+  it('writes an empty collection without data', () => {
+    expect(JSON.parse(toGeoJSON({})).features).toEqual([]);
+  });
+});
+
+describe('parseGeoFile', () => {
+  it('tells the formats apart by their root element', () => {
+    expect(parseGeoFile(toGPX(DATA)).format).toBe('gpx');
+    expect(parseGeoFile(toKML(DATA)).format).toBe('kml');
+    expect(() => parseGeoFile('<html></html>')).toThrow();
+    expect(() => parseGeoFile('PK\u0003\u0004')).toThrow();
+  });
+});
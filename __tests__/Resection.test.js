@@ -0,0 +1,154 @@
+/**
+ * Resection tests
+ */
+
+import {
+  resectPosition,
+  sightingsToObservations,
+  selectResectionSightings,
+  compareWithGps,
+  DEFAULT_BEARING_SIGMA,
+  RECENT_SIGHTING_WINDOW
+} from '../src/utils/Resection';
+import { calculateDistance, calculateInitialBearing } from '../src/utils/CompassUtils';
+
+// Observer in the hills south of Bogor, landmarks a few kilometres around
+const OBSERVER = { latitude: -6.65, longitude: 106.85 };
+const TOWER = { name: 'Menara', latitude: -6.62, longitude: 106.86 };
+const PEAK = { name: 'Puncak', latitude: -6.66, longitude: 106.89 };
+const BRIDGE = { name: 'Jembatan', latitude: -6.67, longitude: 106.83 };
+
+const observe = (landmark, error = 0) => ({
+  ...landmark,
+  bearing: (calculateInitialBearing(OBSERVER, landmark) + error + 360) % 360,
+  sigma: DEFAULT_BEARING_SIGMA
+});
+
+describe('resectPosition', () => {
+  it('finds the observer from two exact bearings', () => {
+    const result = resectPosition([observe(TOWER), observe(PEAK)]);
+    expect(result.isValid).toBe(true);
+    expect(calculateDistance(OBSERVER, result)).toBeLessThan(2);
+    expect(result.errorTriangle.points).toHaveLength(1);
+    expect(result.errorTriangle.size).toBe(0);
+    expect(result.isReliable).toBe(true);
+  });
+  
+  it('finds the observer from three exact bearings with a vanishing triangle', () => {
+    const result = resectPosition([observe(TOWER), observe(PEAK), observe(BRIDGE)]);
+    expect(calculateDistance(OBSERVER, result)).toBeLessThan(2);
+    expect(result.errorTriangle.points).toHaveLength(3);
+    expect(result.errorTriangle.size).toBeLessThan(2);
+    result.observations.forEach((observation) => {
+      expect(Math.abs(observation.residual)).toBeLessThan(0.05);
+    });
+    expect(result.observations[0].distance).toBeCloseTo(calculateDistance(OBSERVER, TOWER), -1);
+  });
+  
+  it('opens the error triangle and the uncertainty for a bearing error', () => {
+    const exact = resectPosition([observe(TOWER), observe(PEAK), observe(BRIDGE)]);
+    const result = resectPosition([observe(TOWER, 3), observe(PEAK), observe(BRIDGE)]);
+    expect(result.isValid).toBe(true);
+    expect(result.errorTriangle.size).toBeGreaterThan(50);
+    expect(calculateDistance(OBSERVER, result)).toBeLessThan(result.errorTriangle.size);
+    expect(result.uncertainty).toBeGreaterThan(exact.uncertainty);
+    expect(result.uncertainty).toBeLessThan(500);
+  });
+  
+  it('flags a weak cut angle', () => {
+    const far = { name: 'Gunung', latitude: -6.55, longitude: 106.87 };
+    const result = resectPosition([observe(TOWER), observe(far)]);
+    expect(result.isValid).toBe(true);
+    expect(result.isReliable).toBe(false);
+    expect(result.weakestCutAngle).toBeLessThan(30);
+    expect(result.reason).toBeTruthy();
+  });
+  
+  it('rejects too few, parallel and contradicting bearings', () => {
+    expect(resectPosition([observe(TOWER)]).isValid).toBe(false);
+    expect(resectPosition([
+      { ...TOWER, bearing: 10 },
+      { ...PEAK, bearing: 190 }
+    ]).isValid).toBe(false);
+    // Pointing away from the landmark puts the crossing on the wrong side of it
+    const result = resectPosition([observe(TOWER), observe(PEAK, 180)]);
+    expect(result.isValid).toBe(false);
+    expect(result.reason).toContain('Puncak');
+  });
+});
+
+describe('sightingsToObservations', () => {
+  it('uses the true heading of target sightings and widens sigma for unsteady ones', () => {
+    const observations = sightingsToObservations([
+      { trueHeading: 20, spread: 0.5, target: { name: 'Menara', latitude: -6.62, longitude: 106.86 } },
+      { trueHeading: 95, spread: 6, target: { name: 'Puncak', latitude: -6.66, longitude: 106.89 } },
+      { trueHeading: 200, spread: null, target: null }
+    ]);
+    expect(observations).toEqual([
+      { name: 'Menara', latitude: -6.62, longitude: 106.86, bearing: 20, sigma: DEFAULT_BEARING_SIGMA },
+      { name: 'Puncak', latitude: -6.66, longitude: 106.89, bearing: 95, sigma: 6 }
+    ]);
+  });
+});
+
+describe('selectResectionSightings', () => {
+  const NOW = Date.UTC(2024, 2, 20, 3, 0, 0);
+  const sighting = (id, from, landmark, timestamp) => ({
+    id,
+    timestamp,
+    trueHeading: calculateInitialBearing(from, landmark),
+    spread: 0.5,
+    target: landmark
+  });
+  // Yesterday, from a camp 3 km away, aiming at the same tower
+  const CAMP = { latitude: -6.63, longitude: 106.88 };
+  const SIGHTINGS = [
+    sighting('today-tower', OBSERVER, TOWER, NOW - 5 * 60 * 1000),
+    sighting('today-peak', OBSERVER, PEAK, NOW - 2 * 60 * 1000),
+    { id: 'no-target', timestamp: NOW - 60 * 1000, trueHeading: 10, spread: 0.5, target: null },
+    sighting('yesterday-tower', CAMP, TOWER, NOW - 24 * 60 * 60 * 1000)
+  ];
+  
+  it('keeps an old sighting from another place out of the fix', () => {
+    const selected = selectResectionSightings(SIGHTINGS, {}, NOW);
+    expect(selected.map(entry => entry.id)).toEqual(['today-tower', 'today-peak']);
+    
+    const result = resectPosition(sightingsToObservations(selected));
+    expect(calculateDistance(OBSERVER, result)).toBeLessThan(2);
+    
+    // Mixed in, the old bearing drags the fix away from where the observer stands
+    const polluted = resectPosition(sightingsToObservations(SIGHTINGS));
+    expect(calculateDistance(OBSERVER, polluted)).toBeGreaterThan(100);
+  });
+  
+  it('lets the user switch sightings in and out', () => {
+    const overrides = { includedIds: ['yesterday-tower'], excludedIds: ['today-peak'] };
+    const selected = selectResectionSightings(SIGHTINGS, overrides, NOW);
+    expect(selected.map(entry => entry.id)).toEqual(['today-tower', 'yesterday-tower']);
+    expect(selectResectionSightings(SIGHTINGS, {}, NOW + RECENT_SIGHTING_WINDOW)).toHaveLength(0);
+  });
+  
+  it('keeps the user\'s choice as sightings age past the window', () => {
+    const overrides = { includedIds: ['today-tower'], excludedIds: ['today-peak'] };
+    const later = NOW + RECENT_SIGHTING_WINDOW;
+    expect(selectResectionSightings(SIGHTINGS, overrides, later).map(entry => entry.id)).toEqual(['today-tower']);
+  });
+});
+
+describe('compareWithGps', () => {
+  it('measures the GPS fix against the resection', () => {
+    const result = resectPosition([observe(TOWER), observe(PEAK), observe(BRIDGE)]);
+    const offset = { latitude: OBSERVER.latitude + 0.0005, longitude: OBSERVER.longitude };
+    
+    const close = compareWithGps(result, offset, 60);
+    expect(close.distance).toBeCloseTo(55, -1);
+    expect(close.bearing).toBeCloseTo(180, 0);
+    expect(close.gpsStatus.status).toBe('Kurang Akurat');
+    expect(close.isConsistent).toBe(true);
+    
+    const far = { latitude: OBSERVER.latitude + 0.005, longitude: OBSERVER.longitude };
+    expect(compareWithGps(result, far, 5).isConsistent).toBe(false);
+    expect(compareWithGps(result, null, 5)).toBeNull();
+    expect(compareWithGps({ isValid: false }, offset, 5)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * SunSight tests
+ */
+
+import { evaluateSunSight, computeHeadingOffset } from '../src/utils/SunSight';
+import { getSunPosition } from '../src/utils/Astronomy';
+import { getMagneticDeclination } from '../src/utils/CompassUtils';
+
+const JAKARTA = { latitude: -6.2, longitude: 106.8 };
+const MORNING = new Date('2024-03-20T01:00:00Z'); // 08:00 WIB, sun low in the east
+
+describe('evaluateSunSight', () => {
+  it('reports the residual against the true sun azimuth', () => {
+    const sun = getSunPosition(MORNING, JAKARTA);
+    const sight = evaluateSunSight({ heading: sun.azimuth + 4, location: JAKARTA, date: MORNING, declinationMode: 'true' });
+    
+    expect(sight.isUsable).toBe(true);
+    expect(sight.expectedHeading).toBeCloseTo(sun.azimuth, 6);
+    expect(sight.residual).toBeCloseTo(4, 6);
+  });
+  
+  it('puts the sun in the magnetic reference for a magnetic heading', () => {
+    const { declination } = getMagneticDeclination(JAKARTA);
+    const sun = getSunPosition(MORNING, JAKARTA);
+    const sight = evaluateSunSight({ heading: sun.azimuth - declination - 2, location: JAKARTA, date: MORNING });
+    
+    expect(sight.residual).toBeCloseTo(-2, 6);
+  });
+  
+  it('rejects a sun that is below the horizon or too high', () => {
+    const night = evaluateSunSight({ heading: 0, location: JAKARTA, date: new Date('2024-03-20T15:00:00Z') });
+    expect(night.isUsable).toBe(false);
+    expect(night.reason).toBe('Matahari di bawah cakrawala');
+    
+    const noon = evaluateSunSight({ heading: 0, location: JAKARTA, date: new Date('2024-03-20T05:00:00Z') });
+    expect(noon.isUsable).toBe(false);
+    expect(noon.reason).toBe('Matahari terlalu tinggi untuk dibidik');
+    
+    expect(evaluateSunSight({ heading: 0, location: null }).isUsable).toBe(false);
+  });
+});
+
+describe('computeHeadingOffset', () => {
+  it('averages usable sights into an offset', () => {
+    const sights = [
+      { isUsable: true, residual: 3 },
+      { isUsable: true, residual: 5 },
+      { isUsable: false, reason: 'Matahari terlalu rendah' }
+    ];
+    const result = computeHeadingOffset(sights);
+    
+    expect(result.count).toBe(2);
+    expect(result.meanResidual).toBe(4);
+    expect(result.spread).toBe(1);
+    expect(result.offset).toBe(-4);
+  });
+  
+  it('builds on the offset that was already applied', () => {
+    expect(computeHeadingOffset([{ isUsable: true, residual: 1 }], -4).offset).toBe(-5);
+    expect(computeHeadingOffset([{ isUsable: true, residual: -10 }], 175).offset).toBe(-175);
+  });
+  
+  it('returns null without usable sights', () => {
+    expect(computeHeadingOffset([])).toBeNull();
+    expect(computeHeadingOffset([{ isUsable: false }])).toBeNull();
+  });
+});
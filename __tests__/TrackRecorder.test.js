@@ -0,0 +1,199 @@
+/**
+ * TrackRecorder tests
+ */
+
+import RNFS from 'react-native-fs';
+import { TrackRecorder, computeTrackStatistics } from '../src/utils/TrackRecorder';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// In-memory file system with the calls the recorder uses
+jest.mock('react-native-fs', () => {
+  const files = {};
+  return {
+    DocumentDirectoryPath: '/documents',
+    files,
+    mkdir: jest.fn(async () => {}),
+    exists: jest.fn(async () => true),
+    writeFile: jest.fn(async (path, content) => {
+      files[path] = content;
+    }),
+    readFile: jest.fn(async (path) => {
+      if (!(path in files)) throw new Error('ENOENT');
+      return files[path];
+    }),
+    readDir: jest.fn(async (directory) => Object.keys(files)
+      .filter(path => path.startsWith(`${directory}/`))
+      .map(path => ({ name: path.slice(directory.length + 1), path, isFile: () => true }))),
+    unlink: jest.fn(async (path) => {
+      delete files[path];
+    })
+  };
+});
+
+const START = Date.UTC(2024, 2, 20, 1, 0, 0);
+
+// Walk north at about 1.1 m/s: 0.0001° of latitude (11.1 m) every 10 s
+const walk = (recorder, count, from = 0, startTime = START) => {
+  for (let i = 0; i < count; i++) {
+    recorder.addFix({
+      latitude: -6.2 + (from + i) * 0.0001,
+      longitude: 106.8,
+      altitude: 10,
+      accuracy: 5,
+      speed: 1.1,
+      timestamp: startTime + i * 10000
+    });
+  }
+};
+
+describe('computeTrackStatistics', () => {
+  it('sums distance per segment and counts only moving intervals', () => {
+    const point = (latitude, timestamp) => ({ latitude, longitude: 106.8, timestamp });
+    const track = {
+      segments: [
+        {
+          startedAt: 0,
+          endedAt: 60000,
+          points: [point(-6.2, 0), point(-6.1999, 10000), point(-6.1999, 40000), point(-6.1998, 50000)]
+        },
+        // Resumed 200 m further on; the gap between segments is not walked distance
+        { startedAt: 120000, endedAt: 150000, points: [point(-6.1980, 120000), point(-6.1979, 130000)] }
+      ]
+    };
+    const statistics = computeTrackStatistics(track);
+    
+    expect(statistics.distance).toBeCloseTo(3 * 11.12, 0);
+    expect(statistics.duration).toBe(90000);
+    expect(statistics.movingTime).toBe(30000);
+    expect(statistics.averageSpeed).toBeCloseTo(statistics.distance / 90, 6);
+    expect(statistics.movingSpeed).toBeCloseTo(statistics.distance / 30, 6);
+    expect(statistics.pointCount).toBe(6);
+  });
+  
+  it('handles an empty track', () => {
+    expect(computeTrackStatistics(null)).toMatchObject({ distance: 0, duration: 0, averageSpeed: 0, movingSpeed: 0 });
+  });
+});
+
+describe('TrackRecorder', () => {
+  let recorder;
+  
+  beforeEach(() => {
+    Object.keys(RNFS.files).forEach(path => delete RNFS.files[path]);
+    jest.useFakeTimers({ now: START });
+    recorder = new TrackRecorder();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+  
+  it('ignores fixes unless recording', () => {
+    expect(recorder.addFix({ latitude: -6.2, longitude: 106.8, accuracy: 5 }).accepted).toBe(false);
+  });
+  
+  it('drops fixes rated Kurang Akurat and out of order fixes', async () => {
+    await recorder.start('Patroli');
+    
+    expect(recorder.addFix({ latitude: -6.2, longitude: 106.8, accuracy: 25, timestamp: START }))
+      .toEqual({ accepted: false, reason: 'Inaccurate fix' });
+    expect(recorder.addFix({ latitude: -6.2, longitude: 106.8, accuracy: 15, timestamp: START }).accepted).toBe(true);
+    expect(recorder.addFix({ latitude: -6.2, longitude: 106.8, accuracy: 5, timestamp: START - 1 }).accepted).toBe(false);
+    
+    const status = recorder.getStatus();
+    expect(status.statistics.pointCount).toBe(1);
+    expect(status.rejectedCount).toBe(1);
+  });
+  
+  it('splits the track at pauses and leaves paused time out of the duration', async () => {
+    await recorder.start('Patroli');
+    walk(recorder, 7);
+    jest.setSystemTime(START + 60000);
+    await recorder.pause();
+    
+    expect(recorder.addFix({ latitude: -6.19, longitude: 106.8, accuracy: 5, timestamp: START + 90000 }).accepted)
+      .toBe(false);
+    
+    jest.setSystemTime(START + 300000);
+    recorder.resume();
+    walk(recorder, 4, 20, START + 300000);
+    jest.setSystemTime(START + 330000);
+    const track = await recorder.stop();
+    
+    expect(track.segments).toHaveLength(2);
+    expect(track.segments[0].points).toHaveLength(7);
+    expect(track.statistics.duration).toBe(90000);
+    expect(track.statistics.distance).toBeCloseTo(9 * 11.12, 0);
+    expect(track.statistics.movingTime).toBe(90000);
+    expect(recorder.getStatus().isRecording).toBe(false);
+  });
+  
+  it('saves tracks and lists them newest first', async () => {
+    await recorder.start('Pagi');
+    walk(recorder, 3);
+    await recorder.stop();
+    
+    jest.setSystemTime(START + 3600000);
+    const secondId = await recorder.start('');
+    walk(recorder, 2, 0, START + 3600000);
+    await recorder.stop();
+    
+    const tracks = await recorder.listTracks();
+    expect(tracks.map(track => track.name)).toEqual([`Jejak ${secondId}`, 'Pagi']);
+    expect(tracks[1].statistics.pointCount).toBe(3);
+    expect(tracks[1].segments).toBeUndefined();
+    
+    const loaded = await recorder.loadTrack(tracks[1].id);
+    expect(loaded.segments[0].points[2].altitude).toBe(10);
+    
+    expect(await recorder.deleteTrack(tracks[1].id)).toBe(true);
+    expect(await recorder.listTracks()).toHaveLength(1);
+  });
+  
+  it('keeps the track on disk while recording', async () => {
+    const id = await recorder.start('Patroli');
+    walk(recorder, 2);
+    await recorder.save();
+    
+    const saved = JSON.parse(RNFS.files[`/documents/tracks/track-${id}.json`]);
+    expect(saved.segments[0].points).toHaveLength(2);
+    expect(saved.endedAt).toBeNull();
+    expect(await recorder.deleteTrack(id)).toBe(false);
+    await recorder.stop();
+  });
+  
+  it('imports tracks with and without point times', async () => {
+    const timed = await recorder.importTrack({
+      name: ' Rute kantor ',
+      segments: [
+        { points: [] },
+        {
+          points: [
+            { latitude: -6.2, longitude: 106.8, altitude: 12, timestamp: START },
+            { latitude: -6.1999, longitude: 106.8, altitude: null, timestamp: START + 10000 }
+          ]
+        }
+      ]
+    });
+    expect(timed.name).toBe('Rute kantor');
+    expect(timed.segments).toHaveLength(1);
+    expect(timed.startedAt).toBe(START);
+    expect(timed.statistics.duration).toBe(10000);
+    expect(timed.statistics.distance).toBeCloseTo(11.12, 1);
+    
+    const planned = await recorder.importTrack({
+      name: 'Rencana',
+      segments: [{ points: [{ latitude: -6.2, longitude: 106.8 }, { latitude: -6.19, longitude: 106.8 }] }]
+    });
+    expect(planned.statistics.duration).toBe(0);
+    expect(planned.statistics.distance).toBeCloseTo(1112, -1);
+    expect(planned.segments[0].points[0].timestamp).toBeNull();
+    
+    expect(await recorder.importTrack({ name: 'Kosong', segments: [{ points: [] }] })).toBeNull();
+    const tracks = await recorder.listTracks();
+    expect(tracks.map(track => track.id).sort()).toEqual([timed.id, planned.id].sort());
+  });
+});
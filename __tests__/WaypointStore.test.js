@@ -0,0 +1,110 @@
+/**
+ * WaypointStore tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { WaypointStore, validateWaypoint, DEFAULT_CATEGORY } from '../src/utils/WaypointStore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const MONAS = { name: 'Monas', latitude: -6.1754, longitude: 106.8272, category: 'site' };
+const BOGOR = { name: 'Kebun Raya Bogor', latitude: -6.5976, longitude: 106.7996, category: 'camp' };
+const BANDUNG = { name: 'Gedung Sate', latitude: -6.9025, longitude: 107.6188 };
+
+describe('validateWaypoint', () => {
+  it('requires a name, valid coordinates and a known category', () => {
+    expect(validateWaypoint(MONAS).isValid).toBe(true);
+    expect(validateWaypoint({ ...MONAS, name: '  ' }).isValid).toBe(false);
+    expect(validateWaypoint({ ...MONAS, latitude: 91 }).isValid).toBe(false);
+    expect(validateWaypoint({ ...MONAS, longitude: null }).isValid).toBe(false);
+    expect(validateWaypoint({ ...MONAS, category: 'pizza' }).isValid).toBe(false);
+  });
+});
+
+describe('WaypointStore', () => {
+  let store;
+  
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    store = new WaypointStore();
+    await store.load();
+  });
+  
+  it('adds waypoints with defaults and persists them', async () => {
+    const saved = await store.addWaypoint({ ...BANDUNG, name: '  Gedung Sate ' });
+    
+    expect(saved.name).toBe('Gedung Sate');
+    expect(saved.category).toBe(DEFAULT_CATEGORY);
+    expect(saved.altitude).toBeNull();
+    expect(saved.id).toMatch(/^wp-/);
+    
+    const reloaded = new WaypointStore();
+    await reloaded.load();
+    expect(reloaded.getWaypoint(saved.id)).toEqual(saved);
+  });
+  
+  it('rejects invalid waypoints', async () => {
+    await expect(store.addWaypoint({ ...MONAS, latitude: 'abc' })).rejects.toThrow('Latitude');
+    expect(store.listWaypoints()).toHaveLength(0);
+  });
+  
+  it('edits fields but keeps identity and creation time', async () => {
+    const saved = await store.addWaypoint(MONAS);
+    const updated = await store.updateWaypoint(saved.id, { name: 'Tugu Monas', category: 'general', id: 'other' });
+    
+    expect(updated.id).toBe(saved.id);
+    expect(updated.createdAt).toBe(saved.createdAt);
+    expect(updated.name).toBe('Tugu Monas');
+    expect(updated.category).toBe('general');
+    expect(updated.latitude).toBe(MONAS.latitude);
+    
+    await expect(store.updateWaypoint(saved.id, { longitude: 200 })).rejects.toThrow('Longitude');
+    expect(store.getWaypoint(saved.id).longitude).toBe(MONAS.longitude);
+    expect(await store.updateWaypoint('missing', { name: 'x' })).toBeNull();
+  });
+  
+  it('deletes waypoints', async () => {
+    const saved = await store.addWaypoint(MONAS);
+    expect(await store.deleteWaypoint(saved.id)).toBe(true);
+    expect(await store.deleteWaypoint(saved.id)).toBe(false);
+    expect(store.listWaypoints()).toHaveLength(0);
+  });
+  
+  it('sorts by distance from the current position', async () => {
+    await store.addWaypoint(BANDUNG);
+    await store.addWaypoint(MONAS);
+    await store.addWaypoint(BOGOR);
+    
+    const fromDepok = store.listWaypoints({ sortBy: 'distance', from: { latitude: -6.4025, longitude: 106.7942 } });
+    expect(fromDepok.map(waypoint => waypoint.name)).toEqual(['Kebun Raya Bogor', 'Monas', 'Gedung Sate']);
+    expect(fromDepok[0].distance).toBeGreaterThan(20000);
+    expect(fromDepok[0].distance).toBeLessThan(23000);
+  });
+  
+  it('sorts by name and filters by category', async () => {
+    await store.addWaypoint(MONAS);
+    await store.addWaypoint(BOGOR);
+    await store.addWaypoint(BANDUNG);
+    
+    expect(store.listWaypoints({ sortBy: 'name' }).map(waypoint => waypoint.name))
+      .toEqual(['Gedung Sate', 'Kebun Raya Bogor', 'Monas']);
+    expect(store.listWaypoints({ category: 'camp' }).map(waypoint => waypoint.name)).toEqual(['Kebun Raya Bogor']);
+    expect(store.listWaypoints()[0].distance).toBeNull();
+  });
+  
+  it('tells subscribers about every change until they unsubscribe', async () => {
+    const listener = jest.fn();
+    const subscription = store.subscribe(listener);
+    
+    const saved = await store.addWaypoint(MONAS);
+    await store.updateWaypoint(saved.id, { name: 'Monumen Nasional' });
+    await store.deleteWaypoint(saved.id);
+    expect(listener).toHaveBeenCalledTimes(3);
+    
+    subscription.unsubscribe();
+    await store.addWaypoint(BOGOR);
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+});
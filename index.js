@@ -1,5 +1,5 @@
 import {AppRegistry} from 'react-native';
-import AppFinal from './src/AppFinal';
+import App from './src/App';
 import {name as appName} from './app.json';
 
-AppRegistry.registerComponent(appName, () => AppFinal);
+AppRegistry.registerComponent(appName, () => App);
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Replay recorded sensor sessions through the compass filter chains
+ * Run with: npm run replay-session -- <session files> [options]
+ *
+ * Rotated parts of one session can be passed together; they are concatenated in order.
+ * Prints error statistics to stderr and the heading time series to stdout (or --output).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('@babel/register')({
+  cwd: path.join(__dirname, '..'),
+  ignore: [/node_modules/]
+});
+
+const {
+  ANALYSIS_CHAINS,
+  DEFAULT_ANALYSIS_PARAMS,
+  analyzeSession,
+  parseSession,
+  rowsToCSV,
+  simulateSession
+} = require('../src/utils/SessionAnalysis');
+
+const USAGE = `Usage: replay-session <session.ndjson ...> [options]
+
+Options:
+  --format csv|json        Output format (default csv)
+  --output <file>          Write the series to a file instead of stdout
+  --chain <name>           Filter chain: ${ANALYSIS_CHAINS.join(', ')} (default ${DEFAULT_ANALYSIS_PARAMS.chain})
+                           fusion: gyroscope fusion, heading Kalman filter until it starts (the app's default)
+                           headingKalman: Kalman filter on the heading angle (the app's 'kalman' filter)
+                           vector: low-pass, Kalman and smoothing on the magnetometer vector
+
+  fusion chain
+  --fusion-beta <n>        Madgwick filter gain (default ${DEFAULT_ANALYSIS_PARAMS.fusionBeta})
+
+  fusion and headingKalman chains
+  --heading-kalman-q <n>   Heading Kalman process noise (default ${DEFAULT_ANALYSIS_PARAMS.headingKalmanQ})
+  --heading-kalman-r <n>   Heading Kalman measurement noise (default ${DEFAULT_ANALYSIS_PARAMS.headingKalmanR})
+
+  vector chain
+  --low-pass-alpha <n>     Low-pass filter factor (default ${DEFAULT_ANALYSIS_PARAMS.lowPassAlpha})
+  --kalman-q <n>           Kalman process noise (default ${DEFAULT_ANALYSIS_PARAMS.kalmanQ})
+  --kalman-r <n>           Kalman measurement noise (default ${DEFAULT_ANALYSIS_PARAMS.kalmanR})
+  --smoothing <n>          Heading smoothing factor (default ${DEFAULT_ANALYSIS_PARAMS.smoothingFactor})
+  --no-low-pass            Skip the low-pass filter
+  --no-kalman              Skip the Kalman filter
+  --no-smoothing           Skip heading smoothing
+
+  all chains
+  --no-tilt                Ignore the accelerometer (no tilt compensation)
+  --no-calibration         Ignore the calibration stored in the session header
+  --true-north             Add magnetic declination at the recorded position
+  --truth-heading <deg>    Constant ground truth heading, e.g. for a phone lying still on a known bearing
+  --simulate <seconds>     Analyse a simulated session instead of files
+  --seed <n>               Seed for --simulate (default 1)
+  --help                   Show this help
+`;
+
+const NUMERIC_OPTIONS = {
+  '--fusion-beta': 'fusionBeta',
+  '--heading-kalman-q': 'headingKalmanQ',
+  '--heading-kalman-r': 'headingKalmanR',
+  '--low-pass-alpha': 'lowPassAlpha',
+  '--kalman-q': 'kalmanQ',
+  '--kalman-r': 'kalmanR',
+  '--smoothing': 'smoothingFactor',
+  '--truth-heading': 'truthHeading'
+};
+
+const SWITCH_OPTIONS = {
+  '--no-low-pass': ['lowPass', false],
+  '--no-kalman': ['kalman', false],
+  '--no-smoothing': ['smoothing', false],
+  '--no-tilt': ['tiltCompensation', false],
+  '--no-calibration': ['calibration', 'none'],
+  '--true-north': ['trueNorth', true]
+};
+
+const fail = (message) => {
+  console.error(`replay-session: ${message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+};
+
+const parseNumber = (flag, value) => {
+  const number = parseFloat(value);
+  if (value === undefined || !isFinite(number)) {
+    fail(`${flag} needs a number`);
+  }
+  return number;
+};
+
+const parseArgs = (argv) => {
+  const args = { files: [], params: {}, format: 'csv', output: null, simulate: null, seed: 1 };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (arg === '--help' || arg === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (NUMERIC_OPTIONS[arg]) {
+      args.params[NUMERIC_OPTIONS[arg]] = parseNumber(arg, argv[++i]);
+    } else if (SWITCH_OPTIONS[arg]) {
+      const [key, value] = SWITCH_OPTIONS[arg];
+      args.params[key] = value;
+    } else if (arg === '--chain') {
+      args.params.chain = argv[++i];
+      if (!ANALYSIS_CHAINS.includes(args.params.chain)) {
+        fail(`--chain must be one of ${ANALYSIS_CHAINS.join(', ')}`);
+      }
+    } else if (arg === '--format') {
+      args.format = argv[++i];
+      if (!['csv', 'json'].includes(args.format)) {
+        fail('--format must be csv or json');
+      }
+    } else if (arg === '--output') {
+      args.output = argv[++i];
+      if (!args.output) {
+        fail('--output needs a file name');
+      }
+    } else if (arg === '--simulate') {
+      args.simulate = parseNumber(arg, argv[++i]);
+    } else if (arg === '--seed') {
+      args.seed = parseNumber(arg, argv[++i]);
+    } else if (arg.startsWith('--')) {
+      fail(`unknown option ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+  
+  if (args.files.length === 0 && args.simulate === null) {
+    fail('no session files given');
+  }
+  return args;
+};
+
+const loadRecording = (args) => {
+  if (args.simulate !== null) {
+    return simulateSession({
+      duration: args.simulate,
+      seed: args.seed,
+      rotationRate: 10,
+      wobbleAmplitude: 5,
+      spikeRate: 0.05
+    });
+  }
+  
+  return args.files.map((file) => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return fail(`cannot read ${file}: ${error.message}`);
+    }
+  }).join('\n');
+};
+
+const formatStats = (label, stats) => {
+  if (stats.count === 0) {
+    return `${label.padEnd(9)} no ground truth`;
+  }
+  return `${label.padEnd(9)} n=${stats.count} mean=${stats.mean}° mae=${stats.meanAbsolute}° ` +
+    `rms=${stats.rms}° std=${stats.std}° p95=${stats.p95}° max=${stats.max}°`;
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const session = parseSession(loadRecording(args));
+  
+  if (session.readings.filter(r => r.type === 'magnetometer').length === 0) {
+    fail('session contains no magnetometer readings');
+  }
+  
+  const result = analyzeSession(session, args.params);
+  const output = args.format === 'json'
+    ? JSON.stringify(result, null, 2) + '\n'
+    : rowsToCSV(result.rows);
+  
+  if (args.output) {
+    fs.writeFileSync(args.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  
+  console.error(`Session ${session.header ? session.header.sessionId : '(no header)'}: ${result.rows.length} headings, ` +
+    `${result.params.chain} chain`);
+  console.error(formatStats('raw', result.stats.raw));
+  console.error(formatStats('filtered', result.stats.filtered));
+  if (result.stats.recorded.count > 0) {
+    console.error(formatStats('recorded', result.stats.recorded));
+  }
+};
+
+main();
@@ -0,0 +1,489 @@
+import React, {useState, useEffect, useMemo} from 'react';
+import {
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  StatusBar,
+  View,
+  Text,
+  TouchableOpacity,
+} from 'react-native';
+import ErrorBoundary from './ErrorBoundary';
+import Header from './components/Header';
+import ModeSelector from './components/ModeSelector';
+import CompassComponent from './components/CompassComponent';
+import LocationInfo from './components/LocationInfo';
+import InterferenceWarning from './components/InterferenceWarning';
+import CalibrationScreen from './components/CalibrationScreen';
+import CalibrationProfileList from './components/CalibrationProfileList';
+import SessionRecorderControls from './components/SessionRecorderControls';
+import NavigationTargetForm from './components/NavigationTargetForm';
+import WaypointManager from './components/WaypointManager';
+import CelestialInfo from './components/CelestialInfo';
+import SunSightCheck from './components/SunSightCheck';
+import TrackRecorderControls from './components/TrackRecorderControls';
+import GeoExchangeControls from './components/GeoExchangeControls';
+import BearingLogControls from './components/BearingLogControls';
+import ReplaySourcePicker from './components/ReplaySourcePicker';
+import {useCompass, useLocation, useNavigation, useCelestial, FILTER_TYPES} from './hooks';
+import {SimulatedSensorProvider, ReplaySensorProvider} from './sensors';
+import {
+  getDirectionName,
+  getExpectedMagneticField,
+  calculateQiblaDirection,
+  calculateDistance,
+  formatDistance,
+  KAABA_LOCATION,
+} from './utils/CompassUtils';
+import {sessionRecorder} from './utils/SessionRecorder';
+import {trackRecorder} from './utils/TrackRecorder';
+
+const FILTER_LABELS = {
+  fusion: 'Fusi Sensor',
+  kalman: 'Kalman',
+  smooth: 'Penghalusan',
+  none: 'Tanpa Filter',
+};
+
+const HeadingReadout = ({heading}) => {
+  return (
+    <View style={styles.readout}>
+      <Text style={styles.headingText}>{Math.round(heading) % 360}°</Text>
+      <Text style={styles.directionText}>{getDirectionName(heading)}</Text>
+    </View>
+  );
+};
+
+const LiveMode = () => {
+  const [filterType, setFilterType] = useState('fusion');
+  const [declinationMode, setDeclinationMode] = useState('true');
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [target, setTarget] = useState(null);
+  const [showCelestial, setShowCelestial] = useState(true);
+  const [importCount, setImportCount] = useState(0); // Bumped after a file import so the track list re-reads
+  
+  const {location, accuracy} = useLocation({recorder: sessionRecorder, trackRecorder});
+  const {
+    heading,
+    magneticHeading,
+    declination,
+    headingOffset,
+    accuracy: compassAccuracy,
+    magnetometerData,
+    orientation,
+    disturbance,
+    calibration,
+    isCalibrated,
+    calibrationProfiles,
+    error,
+  } = useCompass({filterType, declinationMode, location, recorder: sessionRecorder});
+  const {profiles, activeProfileName, saveProfile, selectProfile, deleteProfile, saveHeadingOffset} = calibrationProfiles;
+  const navigation = useNavigation({location, target, heading, declinationMode});
+  const celestial = useCelestial({location, declinationMode});
+  
+  // Leaving live mode ends the recording and pauses the track; nothing would be written to them anymore
+  useEffect(() => {
+    return () => {
+      sessionRecorder.stop();
+      trackRecorder.pause();
+    };
+  }, []);
+  
+  const handleCalibrationComplete = async (result, profileName) => {
+    setIsCalibrating(false);
+    await saveProfile(result, profileName);
+  };
+  
+  const cycleFilterType = () => {
+    const index = FILTER_TYPES.indexOf(filterType);
+    setFilterType(FILTER_TYPES[(index + 1) % FILTER_TYPES.length]);
+  };
+  
+  if (isCalibrating) {
+    return (
+      <CalibrationScreen
+        profileName={activeProfileName}
+        onComplete={handleCalibrationComplete}
+        onCancel={() => setIsCalibrating(false)}
+      />
+    );
+  }
+  
+  if (error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>{error}</Text>
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <InterferenceWarning disturbance={disturbance} />
+      <CompassComponent
+        heading={heading}
+        magnetometerData={magnetometerData}
+        isCalibrated={isCalibrated}
+        compassAccuracy={compassAccuracy}
+        targetBearing={navigation ? navigation.headingBearing : null}
+        celestialMarkers={showCelestial && celestial ? celestial.markers : null}
+      />
+      <HeadingReadout heading={heading} />
+      
+      <Text style={styles.orientationText}>
+        Pitch: {Math.round(orientation.pitch)}°  Roll: {Math.round(orientation.roll)}°
+      </Text>
+      <TouchableOpacity onPress={cycleFilterType}>
+        <Text style={styles.filterText}>
+          Filter: {FILTER_LABELS[filterType]}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => setDeclinationMode(declinationMode === 'true' ? 'magnetic' : 'true')}>
+        <Text style={styles.filterText}>
+          {declinationMode === 'true'
+            ? `Utara sejati (deklinasi ${declination.toFixed(1)}°)`
+            : 'Utara magnetik'}
+        </Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={() => setShowCelestial(!showCelestial)}>
+        <Text style={styles.filterText}>
+          Matahari & bulan: {showCelestial ? 'tampil' : 'sembunyi'}
+        </Text>
+      </TouchableOpacity>
+      
+      {location && (
+        <LocationInfo
+          location={location}
+          accuracy={accuracy}
+          compassAccuracy={compassAccuracy}
+          isCalibrated={isCalibrated}
+          navigation={navigation}
+        />
+      )}
+      
+      {showCelestial && <CelestialInfo celestial={celestial} />}
+      
+      <NavigationTargetForm
+        target={target}
+        onSubmit={setTarget}
+        onClear={() => setTarget(null)}
+      />
+      <WaypointManager
+        location={location}
+        target={target}
+        onNavigate={setTarget}
+      />
+      <TrackRecorderControls refreshKey={importCount} />
+      <BearingLogControls
+        magneticHeading={magneticHeading}
+        location={location}
+        locationAccuracy={accuracy}
+        compassAccuracy={compassAccuracy}
+      />
+      <GeoExchangeControls onImported={() => setImportCount(importCount + 1)} />
+      
+      <View style={styles.calibrationContainer}>
+        <Text style={styles.calibrationText}>
+          {calibration
+            ? `Ter-kalibrasi: ${activeProfileName} (kualitas ${Math.round(calibration.quality * 100)}%)`
+            : 'Belum dikalibrasi'}
+        </Text>
+        <TouchableOpacity
+          style={styles.calibrationButton}
+          onPress={() => setIsCalibrating(true)}
+        >
+          <Text style={styles.calibrationButtonText}>Kalibrasi</Text>
+        </TouchableOpacity>
+      </View>
+      
+      <SunSightCheck
+        heading={heading}
+        location={location}
+        declinationMode={declinationMode}
+        headingOffset={headingOffset}
+        canSaveOffset={!!calibration}
+        onSaveOffset={saveHeadingOffset}
+      />
+      
+      <CalibrationProfileList
+        profiles={profiles}
+        activeProfileName={activeProfileName}
+        onSelect={selectProfile}
+        onDelete={deleteProfile}
+      />
+      
+      <SessionRecorderControls
+        recorder={sessionRecorder}
+        getMetadata={() => ({
+          filterType,
+          declinationMode,
+          calibrationProfile: calibration ? activeProfileName : null,
+          calibration,
+        })}
+      />
+    </ScrollView>
+  );
+};
+
+const QiblaMode = () => {
+  const {location} = useLocation();
+  
+  // The Qibla is a true bearing, so the heading is always corrected to true north
+  const {heading, declination, accuracy: compassAccuracy, disturbance, isCalibrated, error} = useCompass({
+    declinationMode: 'true',
+    location,
+  });
+  
+  const qiblaBearing = useMemo(() => calculateQiblaDirection(location), [location]);
+  
+  if (error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>{error}</Text>
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <InterferenceWarning disturbance={disturbance} />
+      <CompassComponent
+        heading={heading}
+        isCalibrated={isCalibrated}
+        compassAccuracy={compassAccuracy}
+        qiblaBearing={qiblaBearing}
+      />
+      <HeadingReadout heading={heading} />
+      
+      {qiblaBearing !== null ? (
+        <View style={styles.qiblaInfo}>
+          <Text style={styles.qiblaBearingText}>Arah kiblat: {qiblaBearing.toFixed(1)}°</Text>
+          <Text style={styles.orientationText}>
+            dari utara sejati, koreksi deklinasi {declination.toFixed(1)}°
+          </Text>
+          <Text style={styles.orientationText}>
+            Jarak ke Ka'bah: {formatDistance(calculateDistance(location, KAABA_LOCATION))}
+          </Text>
+        </View>
+      ) : (
+        <Text style={styles.statusText}>Menunggu lokasi untuk menghitung arah kiblat...</Text>
+      )}
+      
+      {!isCalibrated && (
+        <Text style={styles.orientationText}>
+          Kalibrasi kompas di mode Sensor agar arah kiblat lebih akurat
+        </Text>
+      )}
+    </ScrollView>
+  );
+};
+
+const DemoMode = () => {
+  const provider = useMemo(() => new SimulatedSensorProvider({
+    rotationRate: 10,
+    wobbleAmplitude: 5,
+    spikeRate: 0.05,
+  }), []);
+  
+  const {location, accuracy} = useLocation();
+  const {heading, accuracy: compassAccuracy, disturbance} = useCompass({
+    provider,
+    location,
+    useStoredCalibration: false,
+  });
+  
+  // Simulate the field the phone would see at the real position so disturbance checks behave
+  useEffect(() => {
+    const expected = location ? getExpectedMagneticField(location) : null;
+    if (expected) {
+      provider.configure({
+        fieldStrength: expected.fieldStrength,
+        inclination: expected.inclination,
+      });
+    }
+  }, [provider, location]);
+  
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <InterferenceWarning disturbance={disturbance} />
+      <CompassComponent heading={heading} isCalibrated={false} compassAccuracy={compassAccuracy} />
+      <HeadingReadout heading={heading} />
+      <Text style={styles.statusText}>Mode Demo - Sensor disimulasikan</Text>
+      
+      {location && (
+        <LocationInfo location={location} accuracy={accuracy} isCalibrated={false} />
+      )}
+    </ScrollView>
+  );
+};
+
+const ReplayMode = () => {
+  const [recording, setRecording] = useState(null);
+  
+  // Readings are played back on a loop; the first fix in the file stands in for the phone's position
+  const provider = useMemo(() => new ReplaySensorProvider(recording ? recording.text : [], {loop: true}), [recording]);
+  const location = useMemo(() => {
+    const fix = provider.metadata.find(entry => entry.type === 'location');
+    return fix ? {latitude: fix.latitude, longitude: fix.longitude, altitude: fix.altitude} : null;
+  }, [provider]);
+  
+  const {heading, accuracy: compassAccuracy, disturbance, error} = useCompass({
+    provider,
+    location,
+    useStoredCalibration: false,
+  });
+  
+  if (!recording) {
+    return (
+      <ScrollView contentContainerStyle={styles.content}>
+        <ReplaySourcePicker onSelect={setRecording} />
+      </ScrollView>
+    );
+  }
+  
+  const chooseOther = (
+    <TouchableOpacity onPress={() => setRecording(null)}>
+      <Text style={styles.filterText}>Pilih rekaman lain</Text>
+    </TouchableOpacity>
+  );
+  
+  if (provider.events.length === 0 || error) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>
+          {provider.events.length === 0 ? `${recording.name} kosong atau bukan rekaman sensor` : error}
+        </Text>
+        {chooseOther}
+      </View>
+    );
+  }
+  
+  return (
+    <ScrollView contentContainerStyle={styles.content}>
+      <InterferenceWarning disturbance={disturbance} />
+      <CompassComponent heading={heading} isCalibrated={false} compassAccuracy={compassAccuracy} />
+      <HeadingReadout heading={heading} />
+      <Text style={styles.statusText}>
+        Mode Rekaman - {recording.name} ({provider.events.length} pembacaan,{' '}
+        {Math.round(provider.getDuration() / 1000)} detik, diulang)
+      </Text>
+      
+      {chooseOther}
+    </ScrollView>
+  );
+};
+
+const MinimalMode = () => {
+  return (
+    <View style={styles.content}>
+      <CompassComponent heading={0} isCalibrated={false} />
+      <HeadingReadout heading={0} />
+      <Text style={styles.statusText}>Mode Minimal - Sensor tidak aktif</Text>
+    </View>
+  );
+};
+
+const App = () => {
+  const [mode, setMode] = useState('live');
+  
+  return (
+    <ErrorBoundary>
+      <SafeAreaView style={styles.container}>
+        <StatusBar barStyle="light-content" backgroundColor="#1a1a2e" />
+        <Header />
+        <ModeSelector mode={mode} onChange={setMode} />
+        
+        {mode === 'live' && <LiveMode />}
+        {mode === 'qibla' && <QiblaMode />}
+        {mode === 'demo' && <DemoMode />}
+        {mode === 'replay' && <ReplayMode />}
+        {mode === 'minimal' && <MinimalMode />}
+      </SafeAreaView>
+    </ErrorBoundary>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1a1a2e',
+  },
+  content: {
+    alignItems: 'center',
+    padding: 20,
+  },
+  readout: {
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  headingText: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+  },
+  directionText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  orientationText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginTop: 5,
+  },
+  filterText: {
+    fontSize: 12,
+    color: '#e94560',
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#FFC107',
+    marginTop: 15,
+  },
+  qiblaInfo: {
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  qiblaBearingText: {
+    fontSize: 18,
+    color: '#FFC107',
+    fontWeight: 'bold',
+  },
+  calibrationContainer: {
+    marginTop: 15,
+    alignItems: 'center',
+  },
+  calibrationText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginBottom: 8,
+  },
+  calibrationButton: {
+    backgroundColor: '#e94560',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  calibrationButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 18,
+    color: '#ff6b6b',
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default App;
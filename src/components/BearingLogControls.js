@@ -0,0 +1,210 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import BearingLogList from './BearingLogList';
+import ResectionPanel from './ResectionPanel';
+import {useBearingLog, useBearingCapture, useWaypoints} from '../hooks';
+import {DEFAULT_CAPTURE_DURATION, UNSTEADY_CAPTURE_SPREAD} from '../utils/BearingLog';
+
+const COLLAPSED_LOG_SIZE = 3;
+
+const BearingLogControls = ({magneticHeading, location, locationAccuracy, compassAccuracy}) => {
+  const {sightings, addSighting, deleteSighting, error} = useBearingLog();
+  const {waypoints} = useWaypoints({location});
+  const {isCapturing, capture} = useBearingCapture({heading: magneticHeading});
+  const [note, setNote] = useState('');
+  const [message, setMessage] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [target, setTarget] = useState(null);
+  
+  const handleCapture = async () => {
+    setMessage(null);
+    const summary = await capture();
+    if (!summary) {
+      setMessage('Arah kompas belum tersedia');
+      return;
+    }
+    
+    const saved = await addSighting({
+      magneticHeading: summary.mean,
+      spread: summary.spread,
+      sampleCount: summary.count,
+      location: location ? {...location, accuracy: locationAccuracy} : null,
+      target,
+      compassAccuracy,
+      note,
+    });
+    if (saved) {
+      setNote('');
+      setTarget(null);
+      if (saved.spread !== null && saved.spread > UNSTEADY_CAPTURE_SPREAD) {
+        setMessage(`Ponsel bergerak saat membidik (±${saved.spread.toFixed(1)}°), sebaiknya ulangi`);
+      }
+    }
+  };
+  
+  const visibleSightings = showAll ? sightings : sightings.slice(0, COLLAPSED_LOG_SIZE);
+  // Aiming at a saved waypoint needs no GPS fix
+  const canCapture = !isCapturing && (!!location || !!target);
+  
+  return (
+    <>
+      <View style={styles.container}>
+        <Text style={styles.title}>Catatan Arah</Text>
+        <Text style={styles.hintText}>
+          Tahan ponsel tetap ke arah sasaran; arah dirata-rata selama {DEFAULT_CAPTURE_DURATION / 1000} detik.
+          M = magnetik, S = sejati, G = grid UTM. Pilih titik tersimpan sebagai sasaran untuk reseksi.
+        </Text>
+        
+        {waypoints.length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.targetRow}>
+            <TouchableOpacity
+              style={[styles.targetChip, !target && styles.activeChip]}
+              onPress={() => setTarget(null)}
+              disabled={isCapturing}
+            >
+              <Text style={styles.chipText}>Tanpa sasaran</Text>
+            </TouchableOpacity>
+            {waypoints.map((waypoint) => (
+              <TouchableOpacity
+                key={waypoint.id}
+                style={[styles.targetChip, target && target.id === waypoint.id && styles.activeChip]}
+                onPress={() => setTarget(waypoint)}
+                disabled={isCapturing}
+              >
+                <Text style={styles.chipText}>{waypoint.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+        
+        <TextInput
+          style={styles.input}
+          value={note}
+          onChangeText={setNote}
+          placeholder="Catatan (opsional), mis. menara air"
+          placeholderTextColor="#888"
+          editable={!isCapturing}
+        />
+        
+        {message && <Text style={styles.messageText}>{message}</Text>}
+        {error && <Text style={styles.errorText}>{error}</Text>}
+        
+        <TouchableOpacity
+          style={[styles.button, !canCapture && styles.disabledButton]}
+          onPress={handleCapture}
+          disabled={!canCapture}
+        >
+          <Text style={styles.buttonText}>{isCapturing ? 'Membidik...' : 'Ambil Arah'}</Text>
+        </TouchableOpacity>
+        
+        {sightings.length > 0 && (
+          <View style={styles.logContainer}>
+            <BearingLogList sightings={visibleSightings} onDelete={(sighting) => deleteSighting(sighting.id)} />
+            {sightings.length > COLLAPSED_LOG_SIZE && (
+              <TouchableOpacity onPress={() => setShowAll(!showAll)}>
+                <Text style={styles.toggleText}>
+                  {showAll ? 'Tampilkan lebih sedikit' : `Tampilkan semua (${sightings.length})`}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+      <ResectionPanel sightings={sightings} location={location} locationAccuracy={locationAccuracy} />
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 5,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginBottom: 10,
+  },
+  input: {
+    width: '100%',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+    fontSize: 14,
+  },
+  targetRow: {
+    marginBottom: 8,
+  },
+  targetChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    marginRight: 6,
+  },
+  activeChip: {
+    backgroundColor: '#0f3460',
+    borderWidth: 1,
+    borderColor: '#e94560',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#fff',
+  },
+  messageText: {
+    fontSize: 12,
+    color: '#FFC107',
+    marginBottom: 4,
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    marginBottom: 4,
+  },
+  button: {
+    backgroundColor: '#e94560',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignSelf: 'flex-end',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  logContainer: {
+    marginTop: 12,
+  },
+  toggleText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    textAlign: 'center',
+    paddingTop: 8,
+  },
+});
+
+export default BearingLogControls;
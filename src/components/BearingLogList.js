@@ -0,0 +1,109 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {UNSTEADY_CAPTURE_SPREAD} from '../utils/BearingLog';
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const formatBearing = (value) => (value === null ? '-' : `${value.toFixed(1)}°`);
+
+const BearingLogList = ({sightings, onDelete}) => {
+  if (!sightings || sightings.length === 0) {
+    return <Text style={styles.emptyText}>Belum ada arah tercatat</Text>;
+  }
+  
+  return (
+    <View>
+      {sightings.map((sighting) => {
+        const isUnsteady = sighting.spread !== null && sighting.spread > UNSTEADY_CAPTURE_SPREAD;
+        
+        return (
+          <View key={sighting.id} style={styles.sightingRow}>
+            <View style={styles.sightingInfo}>
+              <Text style={styles.bearingText}>
+                M {formatBearing(sighting.magneticHeading)} · S {formatBearing(sighting.trueHeading)} ·
+                G {formatBearing(sighting.gridHeading)}
+              </Text>
+              <Text style={styles.sightingDetail}>
+                {formatTime(sighting.timestamp)} · akurasi {Math.round(sighting.compassAccuracy * 100)}%
+                {sighting.spread !== null && (
+                  <Text style={isUnsteady ? styles.unsteadyText : null}> · ±{sighting.spread.toFixed(1)}°</Text>
+                )}
+              </Text>
+              {sighting.target && <Text style={styles.targetText}>Ke {sighting.target.name}</Text>}
+              <Text style={styles.sightingDetail}>
+                {sighting.latitude !== null
+                  ? `${sighting.latitude.toFixed(6)}°, ${sighting.longitude.toFixed(6)}°`
+                  : 'Tanpa GPS'}
+                {sighting.locationAccuracy !== null ? ` (±${Math.round(sighting.locationAccuracy)} m)` : ''}
+              </Text>
+              {!!sighting.note && <Text style={styles.sightingNote}>{sighting.note}</Text>}
+            </View>
+            
+            <TouchableOpacity onPress={() => onDelete && onDelete(sighting)}>
+              <Text style={styles.deleteText}>Hapus</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  emptyText: {
+    fontSize: 12,
+    color: '#ccc',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  sightingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  sightingInfo: {
+    flex: 1,
+  },
+  bearingText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  sightingDetail: {
+    fontSize: 11,
+    color: '#ccc',
+  },
+  targetText: {
+    fontSize: 11,
+    color: '#4CAF50',
+  },
+  unsteadyText: {
+    color: '#FFC107',
+  },
+  sightingNote: {
+    fontSize: 11,
+    color: '#ccc',
+    fontStyle: 'italic',
+  },
+  deleteText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    paddingVertical: 2,
+    marginLeft: 10,
+  },
+});
+
+export default BearingLogList;
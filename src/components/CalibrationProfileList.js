@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+
+const formatSavedAt = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+};
+
+const CalibrationProfileList = ({profiles, activeProfileName, onSelect, onDelete}) => {
+  if (!profiles || profiles.length === 0) {
+    return null;
+  }
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Profil Kalibrasi</Text>
+      
+      {profiles.map((profile) => {
+        const isActive = profile.name === activeProfileName;
+        
+        return (
+          <View key={profile.name} style={styles.profileRow}>
+            <TouchableOpacity
+              style={styles.profileInfo}
+              onPress={() => onSelect && onSelect(profile.name)}
+            >
+              <View style={[
+                styles.activeDot,
+                { backgroundColor: isActive ? '#4CAF50' : 'transparent' }
+              ]} />
+              <View>
+                <Text style={[styles.profileName, isActive && styles.activeProfileName]}>
+                  {profile.name}
+                </Text>
+                <Text style={styles.profileDetail}>
+                  {formatSavedAt(profile.savedAt)} · {profile.deviceModel} · kualitas {Math.round((profile.calibration.quality || 0) * 100)}%
+                </Text>
+              </View>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={styles.deleteButton}
+              onPress={() => onDelete && onDelete(profile.name)}
+            >
+              <Text style={styles.deleteText}>Hapus</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 15,
+    padding: 15,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    borderRadius: 10,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 10,
+  },
+  profileRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  profileInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  activeDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    marginRight: 8,
+  },
+  profileName: {
+    fontSize: 14,
+    color: '#ccc',
+  },
+  activeProfileName: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  profileDetail: {
+    fontSize: 10,
+    color: '#999',
+  },
+  deleteButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  deleteText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+  },
+});
+
+export default CalibrationProfileList;
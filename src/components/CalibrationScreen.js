@@ -0,0 +1,368 @@
+import React, {useState, useEffect, useRef} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+} from 'react-native';
+import {liveSensorProvider} from '../sensors';
+import {
+  calibrateMagnetometer,
+  calculateSphereCoverage,
+  MIN_CALIBRATION_SAMPLES,
+  MAX_CALIBRATION_SAMPLES,
+} from '../utils/CompassUtils';
+
+// Readings closer than this (microtesla) to the last kept one add no new orientation
+const MIN_SAMPLE_SEPARATION = 1.5;
+const SAMPLE_INTERVAL = 50;
+
+const BAND_LABELS = ['Bawah', '', '', '', '', 'Atas'];
+
+const CalibrationScreen = ({onComplete, onCancel, profileName, provider = liveSensorProvider}) => {
+  const [samples, setSamples] = useState([]);
+  const [name, setName] = useState(profileName || '');
+  const [isCollecting, setIsCollecting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  
+  const subscriptionRef = useRef(null);
+  const samplesRef = useRef([]);
+  
+  useEffect(() => {
+    return () => {
+      stopCollecting();
+    };
+  }, []);
+  
+  const startCollecting = () => {
+    try {
+      stopCollecting();
+      samplesRef.current = [];
+      setSamples([]);
+      setResult(null);
+      setErrorMessage(null);
+      
+      provider.setUpdateInterval('magnetometer', SAMPLE_INTERVAL);
+      
+      subscriptionRef.current = provider.subscribe(
+        'magnetometer',
+        ({x, y, z}) => {
+          if (!isFinite(x) || !isFinite(y) || !isFinite(z)) return;
+          
+          const collected = samplesRef.current;
+          const last = collected[collected.length - 1];
+          if (last) {
+            const distance = Math.sqrt(
+              Math.pow(x - last.x, 2) + Math.pow(y - last.y, 2) + Math.pow(z - last.z, 2)
+            );
+            if (distance < MIN_SAMPLE_SEPARATION) return;
+          }
+          
+          const next = [...collected, {x, y, z}];
+          samplesRef.current = next;
+          setSamples(next);
+          
+          if (next.length >= MAX_CALIBRATION_SAMPLES) {
+            finishCollecting();
+          }
+        },
+        (error) => {
+          console.error('Calibration magnetometer error:', error);
+          setErrorMessage('Sensor magnetometer tidak dapat diakses');
+          stopCollecting();
+        }
+      );
+      
+      setIsCollecting(true);
+    } catch (error) {
+      console.error('Failed to start calibration:', error);
+      setErrorMessage('Gagal memulai kalibrasi');
+    }
+  };
+  
+  const stopCollecting = () => {
+    try {
+      if (subscriptionRef.current) {
+        subscriptionRef.current.unsubscribe();
+        subscriptionRef.current = null;
+      }
+    } catch (error) {
+      console.error('Calibration cleanup error:', error);
+    }
+    setIsCollecting(false);
+  };
+  
+  const finishCollecting = () => {
+    stopCollecting();
+    setResult(calibrateMagnetometer(samplesRef.current));
+  };
+  
+  const {bins, coverage} = calculateSphereCoverage(samples);
+  const progress = Math.min(1, samples.length / MAX_CALIBRATION_SAMPLES);
+  const minimumMarker = MIN_CALIBRATION_SAMPLES / MAX_CALIBRATION_SAMPLES;
+  const canFinish = isCollecting && samples.length >= MIN_CALIBRATION_SAMPLES;
+  
+  const renderCoverageGrid = () => {
+    // Draw the top band first so the grid reads like the sphere seen from the side
+    return [...bins].reverse().map((row, reversedIndex) => {
+      const band = bins.length - 1 - reversedIndex;
+      return (
+        <View key={`band-${band}`} style={styles.gridRow}>
+          <Text style={styles.gridLabel}>{BAND_LABELS[band]}</Text>
+          {row.map((count, sector) => (
+            <View
+              key={`cell-${band}-${sector}`}
+              style={[
+                styles.gridCell,
+                {backgroundColor: count > 0 ? '#4CAF50' : 'rgba(255, 255, 255, 0.1)'},
+                {opacity: count > 0 ? Math.min(1, 0.4 + count * 0.15) : 1},
+              ]}
+            />
+          ))}
+        </View>
+      );
+    });
+  };
+  
+  const renderResult = () => {
+    if (!result) return null;
+    
+    const color = result.isCalibrated ? '#4CAF50' : '#FF5722';
+    
+    return (
+      <View style={[styles.resultCard, {borderColor: color}]}>
+        <Text style={[styles.resultTitle, {color}]}>
+          {result.isCalibrated ? 'Kalibrasi Berhasil' : 'Kalibrasi Gagal'}
+        </Text>
+        {typeof result.quality === 'number' && (
+          <Text style={styles.resultText}>
+            Kualitas: {Math.round(result.quality * 100)}%
+          </Text>
+        )}
+        {typeof result.residual === 'number' && (
+          <Text style={styles.resultText}>
+            Residual: {(result.residual * 100).toFixed(2)}%
+          </Text>
+        )}
+        {typeof result.coverage === 'number' && (
+          <Text style={styles.resultText}>
+            Cakupan: {Math.round(result.coverage * 100)}%
+          </Text>
+        )}
+        {!result.isCalibrated && (
+          <Text style={styles.resultHint}>{result.reason}</Text>
+        )}
+        {result.isCalibrated && (
+          <TextInput
+            style={styles.nameInput}
+            value={name}
+            onChangeText={setName}
+            placeholder="Nama profil, mis. Casing rugged"
+            placeholderTextColor="#999"
+          />
+        )}
+      </View>
+    );
+  };
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Kalibrasi Kompas</Text>
+      <Text style={styles.instructions}>
+        Gerakkan ponsel membentuk angka delapan dan putar ke segala arah
+        sampai semua kotak berwarna hijau. Jauhkan dari benda logam.
+      </Text>
+      
+      <View style={styles.grid}>{renderCoverageGrid()}</View>
+      <Text style={styles.coverageText}>
+        Cakupan orientasi: {Math.round(coverage * 100)}%
+      </Text>
+      
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, {width: `${progress * 100}%`}]} />
+        <View style={[styles.progressMarker, {left: `${minimumMarker * 100}%`}]} />
+      </View>
+      <Text style={styles.progressText}>
+        {samples.length} / {MAX_CALIBRATION_SAMPLES} sampel (minimal {MIN_CALIBRATION_SAMPLES})
+      </Text>
+      
+      {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+      
+      {renderResult()}
+      
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.button, styles.secondaryButton]}
+          onPress={() => {
+            stopCollecting();
+            onCancel && onCancel();
+          }}
+        >
+          <Text style={styles.buttonText}>Batal</Text>
+        </TouchableOpacity>
+        
+        {isCollecting ? (
+          <TouchableOpacity
+            style={[styles.button, !canFinish && styles.disabledButton]}
+            disabled={!canFinish}
+            onPress={finishCollecting}
+          >
+            <Text style={styles.buttonText}>Selesai</Text>
+          </TouchableOpacity>
+        ) : result && result.isCalibrated ? (
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => onComplete && onComplete(result, name)}
+          >
+            <Text style={styles.buttonText}>Gunakan</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity style={styles.button} onPress={startCollecting}>
+            <Text style={styles.buttonText}>{result ? 'Ulangi' : 'Mulai'}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#1a1a2e',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 10,
+  },
+  instructions: {
+    fontSize: 14,
+    color: '#ccc',
+    textAlign: 'center',
+    lineHeight: 20,
+    marginBottom: 20,
+  },
+  grid: {
+    padding: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    borderRadius: 10,
+  },
+  gridRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  gridLabel: {
+    width: 45,
+    fontSize: 10,
+    color: '#ccc',
+  },
+  gridCell: {
+    width: 24,
+    height: 24,
+    margin: 2,
+    borderRadius: 4,
+  },
+  coverageText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 20,
+  },
+  progressTrack: {
+    width: '100%',
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#e94560',
+  },
+  progressMarker: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+    backgroundColor: '#FFC107',
+  },
+  progressText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginTop: 5,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ff6b6b',
+    textAlign: 'center',
+    fontWeight: 'bold',
+    marginTop: 15,
+  },
+  resultCard: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    alignItems: 'center',
+  },
+  resultTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  resultText: {
+    fontSize: 14,
+    color: '#fff',
+    marginBottom: 3,
+  },
+  resultHint: {
+    fontSize: 12,
+    color: '#ccc',
+    fontStyle: 'italic',
+    marginTop: 5,
+  },
+  nameInput: {
+    width: '100%',
+    marginTop: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.2)',
+    color: '#fff',
+    fontSize: 14,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 25,
+  },
+  button: {
+    backgroundColor: '#e94560',
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    borderRadius: 10,
+    marginHorizontal: 8,
+  },
+  secondaryButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default CalibrationScreen;
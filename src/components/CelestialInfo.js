@@ -0,0 +1,122 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+
+const formatTime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatEvent = (event) => {
+  return event ? `${formatTime(event.time)} (${Math.round(event.azimuth) % 360}°)` : '-';
+};
+
+const formatPosition = ({azimuth, elevation}) => {
+  return `Az ${Math.round(azimuth) % 360}°  El ${elevation.toFixed(1)}°`;
+};
+
+const CelestialInfo = ({celestial}) => {
+  if (!celestial) {
+    return null;
+  }
+  
+  const {sun, moon, sunTimes, moonTimes} = celestial;
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Matahari & Bulan</Text>
+      
+      <View style={styles.section}>
+        <View style={styles.row}>
+          <Text style={[styles.label, styles.sunLabel]}>Matahari</Text>
+          <Text style={styles.value}>{formatPosition(sun)}</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Terbit</Text>
+          <Text style={styles.value}>{formatEvent(sunTimes.sunrise)}</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Terbenam</Text>
+          <Text style={styles.value}>{formatEvent(sunTimes.sunset)}</Text>
+        </View>
+      </View>
+      
+      <View style={styles.section}>
+        <View style={styles.row}>
+          <Text style={[styles.label, styles.moonLabel]}>Bulan</Text>
+          <Text style={styles.value}>{formatPosition(moon)}</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Terbit</Text>
+          <Text style={styles.value}>{formatEvent(moonTimes.moonrise)}</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Terbenam</Text>
+          <Text style={styles.value}>{formatEvent(moonTimes.moonset)}</Text>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.label}>Iluminasi</Text>
+          <Text style={styles.value}>
+            {Math.round(moon.illumination * 100)}% ({moon.isWaxing ? 'membesar' : 'mengecil'})
+          </Text>
+        </View>
+      </View>
+      
+      <Text style={styles.note}>Azimut dari utara sejati, waktu lokal</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 8,
+  },
+  section: {
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.2)',
+    paddingTop: 8,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#ccc',
+  },
+  sunLabel: {
+    color: '#FFC107',
+    fontWeight: 'bold',
+  },
+  moonLabel: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  value: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  note: {
+    fontSize: 12,
+    color: '#ccc',
+    fontStyle: 'italic',
+  },
+});
+
+export default CelestialInfo;
@@ -9,18 +9,38 @@ import {
 import Svg, {
   Circle,
   Line,
+  Rect,
   Text as SvgText,
   G,
   Defs,
   LinearGradient,
   Stop,
 } from 'react-native-svg';
+import {getRelativeBearing} from '../utils/CompassUtils';
 
 const {width} = Dimensions.get('window');
 const COMPASS_SIZE = width * 0.7;
+const QIBLA_ALIGNMENT_TOLERANCE = 3; // Degrees either side counted as facing the Qibla
+const QIBLA_MARKER_SIZE = 16;
+const SUN_COLOR = '#FFC107';
+const MOON_COLOR = '#ccc';
+const BELOW_HORIZON_OPACITY = 0.35;
 
-const CompassComponent = ({heading, magnetometerData, isCalibrated, compassAccuracy}) => {
+const CompassComponent = ({
+  heading,
+  magnetometerData,
+  isCalibrated,
+  compassAccuracy,
+  targetBearing = null,
+  qiblaBearing = null,
+  celestialMarkers = null,
+}) => {
   const rotateValue = useRef(new Animated.Value(0)).current;
+  
+  const qiblaOffset = qiblaBearing !== null && isFinite(qiblaBearing)
+    ? getRelativeBearing(heading, qiblaBearing)
+    : null;
+  const isQiblaAligned = qiblaOffset !== null && Math.abs(qiblaOffset) <= QIBLA_ALIGNMENT_TOLERANCE;
 
   useEffect(() => {
     Animated.timing(rotateValue, {
@@ -105,6 +125,160 @@ const CompassComponent = ({heading, magnetometerData, isCalibrated, compassAccur
     return markers;
   };
 
+  // Second needle towards the navigation target; drawn on the dial so it turns with it
+  const renderTargetNeedle = () => {
+    if (targetBearing === null || !isFinite(targetBearing)) {
+      return null;
+    }
+    
+    const centerX = COMPASS_SIZE / 2;
+    const centerY = COMPASS_SIZE / 2;
+    const needleLength = COMPASS_SIZE / 2 - 45;
+    const angle = (targetBearing - 90) * Math.PI / 180;
+    const tipX = centerX + needleLength * Math.cos(angle);
+    const tipY = centerY + needleLength * Math.sin(angle);
+    
+    return (
+      <G>
+        <Line
+          x1={centerX}
+          y1={centerY}
+          x2={tipX}
+          y2={tipY}
+          stroke="#4CAF50"
+          strokeWidth="3"
+          strokeDasharray="6,4"
+          strokeLinecap="round"
+        />
+        <Circle
+          cx={tipX}
+          cy={tipY}
+          r="7"
+          fill="#4CAF50"
+          stroke="#fff"
+          strokeWidth="2"
+        />
+      </G>
+    );
+  };
+
+  // Kaaba marker on the dial rim with a guide line from the centre
+  const renderQiblaMarker = () => {
+    if (qiblaBearing === null || !isFinite(qiblaBearing)) {
+      return null;
+    }
+    
+    const centerX = COMPASS_SIZE / 2;
+    const centerY = COMPASS_SIZE / 2;
+    const radius = COMPASS_SIZE / 2 - 55;
+    const angle = (qiblaBearing - 90) * Math.PI / 180;
+    const markerX = centerX + radius * Math.cos(angle);
+    const markerY = centerY + radius * Math.sin(angle);
+    const color = isQiblaAligned ? '#4CAF50' : '#FFC107';
+    
+    return (
+      <G>
+        <Line
+          x1={centerX}
+          y1={centerY}
+          x2={markerX}
+          y2={markerY}
+          stroke={color}
+          strokeWidth="2"
+          opacity={0.8}
+        />
+        <Rect
+          x={markerX - QIBLA_MARKER_SIZE / 2}
+          y={markerY - QIBLA_MARKER_SIZE / 2}
+          width={QIBLA_MARKER_SIZE}
+          height={QIBLA_MARKER_SIZE}
+          fill="#111"
+          stroke={color}
+          strokeWidth="2"
+          transform={`rotate(${qiblaBearing}, ${markerX}, ${markerY})`}
+        />
+        <Line
+          x1={markerX - QIBLA_MARKER_SIZE / 2}
+          y1={markerY - QIBLA_MARKER_SIZE / 4}
+          x2={markerX + QIBLA_MARKER_SIZE / 2}
+          y2={markerY - QIBLA_MARKER_SIZE / 4}
+          stroke={color}
+          strokeWidth="2"
+          transform={`rotate(${qiblaBearing}, ${markerX}, ${markerY})`}
+        />
+      </G>
+    );
+  };
+  
+  // Sun and moon on the dial, with rise and set directions as ticks outside the degree ring
+  const renderCelestialMarkers = () => {
+    if (!celestialMarkers) {
+      return null;
+    }
+    
+    const centerX = COMPASS_SIZE / 2;
+    const centerY = COMPASS_SIZE / 2;
+    const pointAt = (azimuth, radius) => ({
+      x: centerX + radius * Math.cos((azimuth - 90) * Math.PI / 180),
+      y: centerY + radius * Math.sin((azimuth - 90) * Math.PI / 180),
+    });
+    const elements = [];
+    
+    const events = [
+      {key: 'sunrise', color: SUN_COLOR},
+      {key: 'sunset', color: SUN_COLOR},
+      {key: 'moonrise', color: MOON_COLOR},
+      {key: 'moonset', color: MOON_COLOR},
+    ];
+    events.forEach(({key, color}) => {
+      const azimuth = celestialMarkers[key];
+      if (azimuth === null || azimuth === undefined) return;
+      
+      const inner = pointAt(azimuth, COMPASS_SIZE / 2 - 8);
+      const outer = pointAt(azimuth, COMPASS_SIZE / 2 - 1);
+      elements.push(
+        <Line
+          key={`celestial-${key}`}
+          x1={inner.x}
+          y1={inner.y}
+          x2={outer.x}
+          y2={outer.y}
+          stroke={color}
+          strokeWidth="3"
+          strokeDasharray={key.endsWith('set') ? '2,1' : undefined}
+        />
+      );
+    });
+    
+    const {sun, moon} = celestialMarkers;
+    if (moon) {
+      const position = pointAt(moon.azimuth, COMPASS_SIZE / 2 - 70);
+      elements.push(
+        <Circle
+          key="celestial-moon"
+          cx={position.x}
+          cy={position.y}
+          r="7"
+          fill={MOON_COLOR}
+          stroke="#1a1a2e"
+          strokeWidth="1"
+          opacity={moon.isAboveHorizon ? 1 : BELOW_HORIZON_OPACITY}
+        />
+      );
+    }
+    if (sun) {
+      const position = pointAt(sun.azimuth, COMPASS_SIZE / 2 - 70);
+      elements.push(
+        <G key="celestial-sun" opacity={sun.isAboveHorizon ? 1 : BELOW_HORIZON_OPACITY}>
+          <Circle cx={position.x} cy={position.y} r="12" fill="none" stroke={SUN_COLOR} strokeWidth="1" />
+          <Circle cx={position.x} cy={position.y} r="8" fill={SUN_COLOR} />
+        </G>
+      );
+    }
+    
+    return elements;
+  };
+  
   const renderNeedle = () => {
     const centerX = COMPASS_SIZE / 2;
     const centerY = COMPASS_SIZE / 2;
@@ -205,6 +379,15 @@ const CompassComponent = ({heading, magnetometerData, isCalibrated, compassAccur
           {/* Direction markers */}
           {renderCompassMarkers()}
           
+          {/* Sun and moon */}
+          {renderCelestialMarkers()}
+          
+          {/* Qibla marker */}
+          {renderQiblaMarker()}
+          
+          {/* Target needle */}
+          {renderTargetNeedle()}
+          
           {/* Needle */}
           {renderNeedle()}
         </Svg>
@@ -227,6 +410,17 @@ const CompassComponent = ({heading, magnetometerData, isCalibrated, compassAccur
           </Text>
         </View>
         
+        {/* Qibla alignment indicator */}
+        {qiblaOffset !== null && (
+          <View style={[styles.qiblaIndicator, isQiblaAligned && styles.qiblaAligned]}>
+            <Text style={styles.qiblaText}>
+              {isQiblaAligned
+                ? 'Menghadap kiblat'
+                : `Kiblat: ${Math.round(Math.abs(qiblaOffset))}° ke ${qiblaOffset > 0 ? 'kanan' : 'kiri'}`}
+            </Text>
+          </View>
+        )}
+        
         {/* Accuracy indicator */}
         {compassAccuracy > 0 && (
           <View style={styles.accuracyIndicator}>
@@ -291,6 +485,21 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
+  qiblaIndicator: {
+    marginTop: 5,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+    backgroundColor: 'rgba(255, 193, 7, 0.3)',
+  },
+  qiblaAligned: {
+    backgroundColor: 'rgba(76, 175, 80, 0.6)',
+  },
+  qiblaText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
   accuracyIndicator: {
     marginTop: 5,
   },
@@ -0,0 +1,148 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {GEO_FORMATS} from '../utils/GeoFormats';
+import {collectGeoData, exportGeoFile, pickGeoFile, importGeoData} from '../utils/GeoExchange';
+
+const describeImport = (fileName, result) => {
+  const parts = [`${result.waypoints} titik`, `${result.tracks} jejak`];
+  if (result.skipped > 0) {
+    parts.push(`${result.skipped} dilewati`);
+  }
+  return `${fileName}: ${parts.join(', ')} diimpor`;
+};
+
+const GeoExchangeControls = ({onImported}) => {
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [isError, setIsError] = useState(false);
+  
+  const showMessage = (text, error = false) => {
+    setMessage(text);
+    setIsError(error);
+  };
+  
+  const handleExport = async (format) => {
+    setIsBusy(true);
+    showMessage(null);
+    const data = await collectGeoData();
+    if (data.waypoints.length === 0 && data.tracks.length === 0 && data.sightings.length === 0) {
+      showMessage('Belum ada titik, jejak atau arah untuk diekspor', true);
+    } else if (!(await exportGeoFile(format, data))) {
+      showMessage('Gagal membuat berkas ekspor', true);
+    }
+    setIsBusy(false);
+  };
+  
+  const handleImport = async () => {
+    setIsBusy(true);
+    showMessage(null);
+    try {
+      const file = await pickGeoFile();
+      if (file) {
+        const result = await importGeoData(file);
+        showMessage(describeImport(file.fileName, result), result.waypoints + result.tracks === 0);
+        if (onImported) {
+          onImported(result);
+        }
+      }
+    } catch (error) {
+      console.warn('Geodata import failed:', error.message);
+      showMessage('Berkas tidak bisa dibaca sebagai GPX atau KML', true);
+    }
+    setIsBusy(false);
+  };
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Tukar Data GPX / KML / GeoJSON</Text>
+      <Text style={styles.hintText}>
+        Ekspor semua titik dan jejak tersimpan (GeoJSON juga memuat catatan arah), atau impor titik,
+        jejak dan rute GPX / KML dari aplikasi GIS.
+      </Text>
+      
+      {message && (
+        <Text style={[styles.messageText, isError && styles.errorText]}>{message}</Text>
+      )}
+      
+      <View style={styles.buttonRow}>
+        {Object.keys(GEO_FORMATS).map((format) => (
+          <TouchableOpacity
+            key={format}
+            style={[styles.button, styles.secondaryButton, isBusy && styles.disabledButton]}
+            onPress={() => handleExport(format)}
+            disabled={isBusy}
+          >
+            <Text style={styles.buttonText}>Ekspor {GEO_FORMATS[format].label}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.button, isBusy && styles.disabledButton]}
+          onPress={handleImport}
+          disabled={isBusy}
+        >
+          <Text style={styles.buttonText}>Impor Berkas</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 5,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginBottom: 10,
+  },
+  messageText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    marginBottom: 4,
+  },
+  errorText: {
+    color: '#ff6b6b',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    flexWrap: 'wrap',
+    marginTop: 6,
+  },
+  button: {
+    backgroundColor: '#e94560',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    backgroundColor: '#0f3460',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+});
+
+export default GeoExchangeControls;
@@ -0,0 +1,62 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+
+const InterferenceWarning = ({disturbance}) => {
+  if (!disturbance || !disturbance.isDisturbed) {
+    return null;
+  }
+  
+  const isSevere = disturbance.severity === 'severe';
+  const color = isSevere ? '#FF5722' : '#FFC107';
+  
+  return (
+    <View style={[styles.container, {borderColor: color}]}>
+      <Text style={[styles.title, {color}]}>
+        {isSevere ? 'Gangguan Magnetik Kuat' : 'Gangguan Magnetik'}
+      </Text>
+      <Text style={styles.message}>
+        {isSevere
+          ? 'Arah dibekukan. Jauhkan ponsel dari besi, kendaraan atau perangkat elektronik.'
+          : 'Arah mungkin tidak akurat. Periksa benda logam atau elektronik di sekitar.'}
+      </Text>
+      {disturbance.expectedFieldStrength && (
+        <Text style={styles.detail}>
+          Medan: {disturbance.fieldStrength} µT (seharusnya {disturbance.expectedFieldStrength} µT)
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginBottom: 15,
+    padding: 12,
+    borderRadius: 10,
+    borderWidth: 1,
+    backgroundColor: 'rgba(255, 87, 34, 0.15)',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  message: {
+    fontSize: 12,
+    color: '#fff',
+    textAlign: 'center',
+  },
+  detail: {
+    fontSize: 10,
+    color: '#ccc',
+    marginTop: 4,
+  },
+});
+
+export default InterferenceWarning;
@@ -1,16 +1,54 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
   StyleSheet,
+  TouchableOpacity,
 } from 'react-native';
-import { getAccuracyStatus } from '../utils/CompassUtils';
+import Clipboard from '@react-native-clipboard/clipboard';
+import { getAccuracyStatus, formatDistance } from '../utils/CompassUtils';
+import {
+  COORDINATE_FORMATS,
+  DEFAULT_COORDINATE_FORMAT,
+  formatCoordinates,
+  formatDMS,
+  formatDDM,
+} from '../utils/CoordinateFormats';
 
-const LocationInfo = ({location, accuracy, compassAccuracy, isCalibrated}) => {
-  const formatCoordinate = (coord) => {
-    return coord.toFixed(6);
-  };
+const ON_COURSE_TOLERANCE = 5; // Degrees either side of the target counted as straight ahead
+const COPIED_MESSAGE_DURATION = 2000;
+
+const formatTurn = (relativeBearing) => {
+  if (Math.abs(relativeBearing) <= ON_COURSE_TOLERANCE) {
+    return 'Lurus ke depan';
+  }
+  const angle = Math.round(Math.abs(relativeBearing));
+  return relativeBearing > 0 ? `Belok ${angle}° ke kanan` : `Belok ${angle}° ke kiri`;
+};
+
+// Latitude and longitude on their own rows; grid formats are a single reference
+const formatAxis = (value, axis, format) => {
+  if (format === 'dms') return formatDMS(value, axis);
+  if (format === 'ddm') return formatDDM(value, axis);
+  return `${value.toFixed(6)}°`;
+};
 
+const LocationInfo = ({location, accuracy, compassAccuracy, isCalibrated, navigation = null}) => {
+  const [coordinateFormat, setCoordinateFormat] = useState(DEFAULT_COORDINATE_FORMAT);
+  const [isCopied, setIsCopied] = useState(false);
+  
+  useEffect(() => {
+    if (!isCopied) return;
+    const timer = setTimeout(() => setIsCopied(false), COPIED_MESSAGE_DURATION);
+    return () => clearTimeout(timer);
+  }, [isCopied]);
+  
+  const copyCoordinates = () => {
+    Clipboard.setString(formatCoordinates(location, coordinateFormat));
+    setIsCopied(true);
+  };
+  
+  const isGridFormat = coordinateFormat === 'utm' || coordinateFormat === 'mgrs';
   const accuracyStatus = getAccuracyStatus(accuracy);
 
   return (
@@ -18,21 +56,66 @@ const LocationInfo = ({location, accuracy, compassAccuracy, isCalibrated}) => {
       <View style={styles.locationCard}>
         <Text style={styles.title}>Informasi Lokasi</Text>
         
+        <View style={styles.formatRow}>
+          {Object.keys(COORDINATE_FORMATS).map((key) => (
+            <TouchableOpacity
+              key={key}
+              style={[styles.formatChip, coordinateFormat === key && styles.activeFormatChip]}
+              onPress={() => setCoordinateFormat(key)}
+            >
+              <Text style={styles.formatChipText}>{COORDINATE_FORMATS[key]}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        
         <View style={styles.coordinateContainer}>
-          <View style={styles.coordinateItem}>
-            <Text style={styles.coordinateLabel}>Latitude:</Text>
-            <Text style={styles.coordinateValue}>
-              {formatCoordinate(location.latitude)}°
-            </Text>
-          </View>
+          {isGridFormat ? (
+            <View style={styles.coordinateItem}>
+              <Text style={styles.coordinateLabel}>{COORDINATE_FORMATS[coordinateFormat]}:</Text>
+              <Text style={styles.coordinateValue}>
+                {formatCoordinates(location, coordinateFormat)}
+              </Text>
+            </View>
+          ) : (
+            <>
+              <View style={styles.coordinateItem}>
+                <Text style={styles.coordinateLabel}>Latitude:</Text>
+                <Text style={styles.coordinateValue}>
+                  {formatAxis(location.latitude, 'latitude', coordinateFormat)}
+                </Text>
+              </View>
+              
+              <View style={styles.coordinateItem}>
+                <Text style={styles.coordinateLabel}>Longitude:</Text>
+                <Text style={styles.coordinateValue}>
+                  {formatAxis(location.longitude, 'longitude', coordinateFormat)}
+                </Text>
+              </View>
+            </>
+          )}
           
-          <View style={styles.coordinateItem}>
-            <Text style={styles.coordinateLabel}>Longitude:</Text>
-            <Text style={styles.coordinateValue}>
-              {formatCoordinate(location.longitude)}°
+          <TouchableOpacity onPress={copyCoordinates}>
+            <Text style={styles.copyText}>{isCopied ? 'Tersalin ✓' : 'Salin koordinat'}</Text>
+          </TouchableOpacity>
+        </View>
+        
+        {/* Navigation target */}
+        {navigation && (
+          <View style={styles.navigationContainer}>
+            <Text style={styles.accuracyLabel}>
+              Navigasi ke {navigation.target.name || 'tujuan'}:
             </Text>
+            <View style={styles.coordinateItem}>
+              <Text style={styles.coordinateLabel}>Jarak:</Text>
+              <Text style={styles.coordinateValue}>{formatDistance(navigation.distance)}</Text>
+            </View>
+            <View style={styles.coordinateItem}>
+              <Text style={styles.coordinateLabel}>Arah tujuan:</Text>
+              <Text style={styles.coordinateValue}>{Math.round(navigation.bearing) % 360}° (sejati)</Text>
+            </View>
+            <Text style={styles.turnText}>{formatTurn(navigation.relativeBearing)}</Text>
           </View>
-        </View>
+        )}
         
         <View style={styles.accuracyContainer}>
           <Text style={styles.accuracyLabel}>Akurasi GPS:</Text>
@@ -106,9 +189,38 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 15,
   },
+  formatRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  formatChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    marginHorizontal: 3,
+    marginBottom: 6,
+  },
+  activeFormatChip: {
+    backgroundColor: '#0f3460',
+    borderWidth: 1,
+    borderColor: '#e94560',
+  },
+  formatChipText: {
+    fontSize: 12,
+    color: '#fff',
+  },
   coordinateContainer: {
     marginBottom: 15,
   },
+  copyText: {
+    fontSize: 12,
+    color: '#e94560',
+    fontWeight: 'bold',
+    textAlign: 'right',
+  },
   coordinateItem: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -123,6 +235,19 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontWeight: 'bold',
   },
+  navigationContainer: {
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.2)',
+    paddingTop: 15,
+    marginBottom: 15,
+  },
+  turnText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+    textAlign: 'center',
+    marginTop: 5,
+  },
   accuracyContainer: {
     borderTopWidth: 1,
     borderTopColor: 'rgba(255, 255, 255, 0.2)',
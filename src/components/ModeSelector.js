@@ -0,0 +1,65 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+
+export const APP_MODES = [
+  {key: 'live', label: 'Sensor'},
+  {key: 'qibla', label: 'Kiblat'},
+  {key: 'demo', label: 'Demo'},
+  {key: 'replay', label: 'Rekaman'},
+  {key: 'minimal', label: 'Minimal'},
+];
+
+const ModeSelector = ({mode, onChange}) => {
+  return (
+    <View style={styles.container}>
+      {APP_MODES.map((item) => {
+        const isActive = item.key === mode;
+        
+        return (
+          <TouchableOpacity
+            key={item.key}
+            style={[styles.option, isActive && styles.activeOption]}
+            onPress={() => onChange && onChange(item.key)}
+          >
+            <Text style={[styles.optionText, isActive && styles.activeOptionText]}>
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignSelf: 'center',
+    marginVertical: 10,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    overflow: 'hidden',
+  },
+  option: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  activeOption: {
+    backgroundColor: '#e94560',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#ccc',
+  },
+  activeOptionText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+});
+
+export default ModeSelector;
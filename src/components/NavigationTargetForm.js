@@ -0,0 +1,144 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {parseDecimalDegrees, validateCoordinates} from '../utils/CoordinateFormats';
+
+const NavigationTargetForm = ({target, onSubmit, onClear}) => {
+  const [name, setName] = useState('');
+  const [latitude, setLatitude] = useState('');
+  const [longitude, setLongitude] = useState('');
+  const [errorMessage, setErrorMessage] = useState(null);
+  
+  const handleSubmit = () => {
+    const lat = parseDecimalDegrees(latitude);
+    const lon = parseDecimalDegrees(longitude);
+    
+    const {isValid, reason} = validateCoordinates(lat, lon);
+    if (!isValid) {
+      setErrorMessage(reason);
+      return;
+    }
+    
+    setErrorMessage(null);
+    onSubmit({name: name.trim() || null, latitude: lat, longitude: lon});
+  };
+  
+  if (target) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Navigasi Aktif</Text>
+        <Text style={styles.targetText}>
+          {target.name ? `${target.name}: ` : ''}{target.latitude.toFixed(6)}°, {target.longitude.toFixed(6)}°
+        </Text>
+        <TouchableOpacity style={[styles.button, styles.stopButton]} onPress={onClear}>
+          <Text style={styles.buttonText}>Berhenti Navigasi</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Navigasi ke Koordinat</Text>
+      
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Nama tujuan (opsional)"
+        placeholderTextColor="#888"
+      />
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.halfInput]}
+          value={latitude}
+          onChangeText={setLatitude}
+          placeholder="Latitude"
+          placeholderTextColor="#888"
+          keyboardType="numbers-and-punctuation"
+        />
+        <TextInput
+          style={[styles.input, styles.halfInput]}
+          value={longitude}
+          onChangeText={setLongitude}
+          placeholder="Longitude"
+          placeholderTextColor="#888"
+          keyboardType="numbers-and-punctuation"
+        />
+      </View>
+      
+      {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+      
+      <TouchableOpacity style={styles.button} onPress={handleSubmit}>
+        <Text style={styles.buttonText}>Mulai Navigasi</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 8,
+  },
+  targetText: {
+    fontSize: 12,
+    color: '#ccc',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    width: '100%',
+  },
+  input: {
+    width: '100%',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+    fontSize: 14,
+  },
+  halfInput: {
+    width: '48%',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    marginBottom: 10,
+  },
+  button: {
+    backgroundColor: '#0f3460',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  stopButton: {
+    backgroundColor: '#FF5722',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default NavigationTargetForm;
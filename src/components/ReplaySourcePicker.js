@@ -0,0 +1,122 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {sessionRecorder} from '../utils/SessionRecorder';
+import {pickTextFile} from '../utils/GeoExchange';
+
+const ReplaySourcePicker = ({onSelect}) => {
+  const [files, setFiles] = useState([]);
+  const [errorMessage, setErrorMessage] = useState(null);
+  
+  useEffect(() => {
+    sessionRecorder.listFiles().then(setFiles);
+  }, []);
+  
+  const selectRecordedFile = async (file) => {
+    setErrorMessage(null);
+    const text = await sessionRecorder.readFile(file.path);
+    if (text === null) {
+      setErrorMessage('File sesi tidak dapat dibaca');
+      return;
+    }
+    onSelect({name: file.name, text});
+  };
+  
+  const selectOtherFile = async () => {
+    setErrorMessage(null);
+    try {
+      const picked = await pickTextFile();
+      if (picked) {
+        onSelect(picked);
+      }
+    } catch (error) {
+      console.warn('Session file pick failed:', error);
+      setErrorMessage('File tidak dapat dibuka');
+    }
+  };
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Putar Ulang Rekaman Sensor</Text>
+      
+      {files.length === 0 ? (
+        <Text style={styles.emptyText}>Belum ada sesi terekam di ponsel ini</Text>
+      ) : (
+        files.map((file) => (
+          <TouchableOpacity key={file.path} style={styles.fileRow} onPress={() => selectRecordedFile(file)}>
+            <Text style={styles.fileName}>{file.name}</Text>
+            <Text style={styles.fileSize}>{Math.max(1, Math.round(file.size / 1024))} KB</Text>
+          </TouchableOpacity>
+        ))
+      )}
+      
+      {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+      
+      <TouchableOpacity style={styles.button} onPress={selectOtherFile}>
+        <Text style={styles.buttonText}>Buka File Lain</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 12,
+    color: '#ccc',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  fileName: {
+    fontSize: 13,
+    color: '#fff',
+  },
+  fileSize: {
+    fontSize: 12,
+    color: '#ccc',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#0f3460',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignSelf: 'flex-end',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default ReplaySourcePicker;
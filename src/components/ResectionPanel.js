@@ -0,0 +1,179 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {formatDistance} from '../utils/CompassUtils';
+import {
+  resectPosition,
+  sightingsToObservations,
+  selectResectionSightings,
+  compareWithGps,
+  RECENT_SIGHTING_WINDOW,
+} from '../utils/Resection';
+
+const ResectionPanel = ({sightings, location, locationAccuracy}) => {
+  // Recent sightings join the fix straight away; older ones, likely taken elsewhere, only when switched on.
+  // A sighting the user switched keeps that choice as it ages.
+  const [overrides, setOverrides] = useState({includedIds: [], excludedIds: []});
+  
+  const targetSightings = sightings.filter(sighting => sighting.target);
+  const selected = selectResectionSightings(sightings, overrides);
+  const selectedIds = selected.map(sighting => sighting.id);
+  
+  // A few bearings solve in well under a millisecond, so the fix is simply recomputed on every render
+  const resection = resectPosition(sightingsToObservations(selected));
+  const comparison = compareWithGps(resection, location, locationAccuracy);
+  
+  const toggleSighting = (id) => {
+    const includedIds = overrides.includedIds.filter(value => value !== id);
+    const excludedIds = overrides.excludedIds.filter(value => value !== id);
+    if (selectedIds.includes(id)) {
+      setOverrides({includedIds, excludedIds: [...excludedIds, id]});
+    } else {
+      setOverrides({includedIds: [...includedIds, id], excludedIds});
+    }
+  };
+  
+  if (targetSightings.length === 0) {
+    return null;
+  }
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Reseksi</Text>
+      <Text style={styles.hintText}>
+        Posisi dihitung dari arah ke titik tersimpan, tanpa GPS. Arah dari {RECENT_SIGHTING_WINDOW / 60000} menit
+        terakhir dipakai otomatis; pilih minimal 2 titik yang arahnya berbeda jauh.
+      </Text>
+      
+      <View style={styles.chipRow}>
+        {targetSightings.map((sighting) => (
+          <TouchableOpacity
+            key={sighting.id}
+            style={[styles.chip, selectedIds.includes(sighting.id) && styles.activeChip]}
+            onPress={() => toggleSighting(sighting.id)}
+          >
+            <Text style={styles.chipText}>
+              {sighting.target.name} {sighting.trueHeading.toFixed(1)}°
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      {!resection.isValid ? (
+        <Text style={styles.messageText}>{resection.reason}</Text>
+      ) : (
+        <View>
+          <Text style={styles.positionText}>
+            {resection.latitude.toFixed(6)}°, {resection.longitude.toFixed(6)}°
+          </Text>
+          <Text style={styles.detailText}>
+            Ketelitian ±{formatDistance(resection.uncertainty)} · segitiga galat {formatDistance(resection.errorTriangle.size)}
+          </Text>
+          {!resection.isReliable && <Text style={styles.messageText}>{resection.reason}</Text>}
+          
+          {resection.errorTriangle.points.length > 1 && (
+            <View style={styles.triangle}>
+              <Text style={styles.detailText}>Titik potong garis arah:</Text>
+              {resection.errorTriangle.points.map((point, index) => (
+                <Text key={index} style={styles.detailText}>
+                  {index + 1}. {point.latitude.toFixed(6)}°, {point.longitude.toFixed(6)}°
+                </Text>
+              ))}
+            </View>
+          )}
+          
+          {resection.observations.map((observation, index) => (
+            <Text key={index} style={styles.detailText}>
+              {observation.name}: {formatDistance(observation.distance)}, selisih {observation.residual >= 0 ? '+' : ''}
+              {observation.residual.toFixed(1)}°
+            </Text>
+          ))}
+          
+          {comparison ? (
+            <View style={styles.comparison}>
+              <Text style={styles.detailText}>
+                GPS ({comparison.gpsStatus ? comparison.gpsStatus.status : 'akurasi tidak diketahui'}) berjarak{' '}
+                {formatDistance(comparison.distance)} ke arah {Math.round(comparison.bearing)}°
+              </Text>
+              <Text style={[styles.detailText, {color: comparison.isConsistent ? '#4CAF50' : '#FFC107'}]}>
+                {comparison.isConsistent ? 'Sesuai dengan GPS' : 'Tidak sesuai dengan GPS, periksa arah atau sinyal GPS'}
+              </Text>
+            </View>
+          ) : (
+            <Text style={styles.detailText}>GPS belum tersedia untuk dibandingkan</Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 5,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginBottom: 10,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  activeChip: {
+    backgroundColor: '#0f3460',
+    borderWidth: 1,
+    borderColor: '#e94560',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#fff',
+  },
+  positionText: {
+    fontSize: 16,
+    color: '#fff',
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  detailText: {
+    fontSize: 12,
+    color: '#ccc',
+  },
+  messageText: {
+    fontSize: 12,
+    color: '#FFC107',
+    marginBottom: 4,
+  },
+  triangle: {
+    marginVertical: 6,
+  },
+  comparison: {
+    marginTop: 8,
+  },
+});
+
+export default ResectionPanel;
@@ -0,0 +1,124 @@
+import React, {useState, useEffect} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+
+const STATUS_REFRESH_INTERVAL = 1000;
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const SessionRecorderControls = ({recorder, getMetadata}) => {
+  const [status, setStatus] = useState(recorder.getStatus());
+  const [lastSummary, setLastSummary] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  
+  useEffect(() => {
+    if (!status.isRecording) return;
+    
+    const timer = setInterval(() => {
+      setStatus(recorder.getStatus());
+    }, STATUS_REFRESH_INTERVAL);
+    
+    return () => clearInterval(timer);
+  }, [recorder, status.isRecording]);
+  
+  const handleStart = async () => {
+    setErrorMessage(null);
+    setLastSummary(null);
+    const sessionId = await recorder.start(getMetadata ? getMetadata() : {});
+    if (!sessionId) {
+      setErrorMessage('Gagal membuat file sesi');
+    }
+    setStatus(recorder.getStatus());
+  };
+  
+  const handleStop = async () => {
+    const summary = await recorder.stop();
+    setLastSummary(summary);
+    setStatus(recorder.getStatus());
+  };
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Rekam Sesi Sensor</Text>
+      
+      {status.isRecording ? (
+        <Text style={styles.statusText}>
+          <Text style={styles.recordingDot}>● </Text>
+          {formatDuration(status.duration)} - {status.sampleCount} sampel (file {status.part})
+        </Text>
+      ) : lastSummary ? (
+        <Text style={styles.statusText}>
+          Sesi {lastSummary.sessionId} tersimpan: {lastSummary.sampleCount} sampel,{' '}
+          {lastSummary.files.length} file
+        </Text>
+      ) : (
+        <Text style={styles.statusText}>Tidak merekam</Text>
+      )}
+      
+      {errorMessage && <Text style={styles.errorText}>{errorMessage}</Text>}
+      
+      <TouchableOpacity
+        style={[styles.button, status.isRecording && styles.stopButton]}
+        onPress={status.isRecording ? handleStop : handleStart}
+      >
+        <Text style={styles.buttonText}>{status.isRecording ? 'Berhenti' : 'Mulai Rekam'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 8,
+  },
+  statusText: {
+    fontSize: 12,
+    color: '#ccc',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  recordingDot: {
+    color: '#FF5722',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    marginBottom: 10,
+  },
+  button: {
+    backgroundColor: '#0f3460',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  stopButton: {
+    backgroundColor: '#FF5722',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default SessionRecorderControls;
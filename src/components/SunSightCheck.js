@@ -0,0 +1,168 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {evaluateSunSight, computeHeadingOffset} from '../utils/SunSight';
+
+const GOOD_RESIDUAL = 3; // Degrees; larger residuals are worth correcting
+
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}°`;
+
+const SunSightCheck = ({heading, location, declinationMode, headingOffset = 0, canSaveOffset, onSaveOffset}) => {
+  const [sights, setSights] = useState([]);
+  const [message, setMessage] = useState(null);
+  
+  const handleSight = () => {
+    const sight = evaluateSunSight({heading, location, date: new Date(), declinationMode});
+    if (!sight.isUsable) {
+      setMessage(sight.reason);
+      return;
+    }
+    setMessage(null);
+    setSights([...sights, sight]);
+  };
+  
+  // The sighted headings already include the active offset, the new one builds on it
+  const result = computeHeadingOffset(sights, headingOffset);
+  
+  const handleSave = async (offset) => {
+    const saved = await onSaveOffset(offset);
+    if (saved) {
+      setSights([]);
+      setMessage(offset === 0 ? 'Koreksi dihapus' : `Koreksi ${formatSigned(offset)} disimpan`);
+    } else {
+      setMessage('Simpan kalibrasi dulu agar koreksi bisa disimpan');
+    }
+  };
+  
+  const lastSight = sights.length > 0 ? sights[sights.length - 1] : null;
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Cek Arah dengan Matahari</Text>
+      <Text style={styles.hintText}>
+        Arahkan ujung atas ponsel ke matahari (bayangan ponsel lurus ke belakang), lalu bidik.
+      </Text>
+      
+      {lastSight && (
+        <View style={styles.row}>
+          <Text style={styles.label}>Azimut matahari:</Text>
+          <Text style={styles.value}>
+            {lastSight.expectedHeading.toFixed(1)}° (El {lastSight.sunElevation.toFixed(0)}°)
+          </Text>
+        </View>
+      )}
+      
+      {result && (
+        <>
+          <View style={styles.row}>
+            <Text style={styles.label}>Selisih kompas ({result.count}x):</Text>
+            <Text style={[
+              styles.value,
+              {color: Math.abs(result.meanResidual) <= GOOD_RESIDUAL ? '#4CAF50' : '#FF5722'},
+            ]}>
+              {formatSigned(result.meanResidual)}
+            </Text>
+          </View>
+          {result.count > 1 && (
+            <View style={styles.row}>
+              <Text style={styles.label}>Sebaran:</Text>
+              <Text style={styles.value}>±{result.spread.toFixed(1)}°</Text>
+            </View>
+          )}
+        </>
+      )}
+      
+      {headingOffset !== 0 && (
+        <View style={styles.row}>
+          <Text style={styles.label}>Koreksi aktif:</Text>
+          <Text style={styles.value}>{formatSigned(headingOffset)}</Text>
+        </View>
+      )}
+      
+      {message && <Text style={styles.messageText}>{message}</Text>}
+      
+      <View style={styles.buttonRow}>
+        {headingOffset !== 0 && (
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => handleSave(0)}>
+            <Text style={styles.buttonText}>Hapus Koreksi</Text>
+          </TouchableOpacity>
+        )}
+        {result && canSaveOffset && (
+          <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={() => handleSave(result.offset)}>
+            <Text style={styles.buttonText}>Simpan Koreksi</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.button} onPress={handleSight} disabled={!location}>
+          <Text style={styles.buttonText}>Bidik Matahari</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 5,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#ccc',
+    marginBottom: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#ccc',
+  },
+  value: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  messageText: {
+    fontSize: 12,
+    color: '#FFC107',
+    marginTop: 4,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  button: {
+    backgroundColor: '#e94560',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    backgroundColor: '#0f3460',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+});
+
+export default SunSightCheck;
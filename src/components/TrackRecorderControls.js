@@ -0,0 +1,227 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {useTrackRecorder} from '../hooks';
+import {formatDistance} from '../utils/CompassUtils';
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+const formatSpeed = (metersPerSecond) => `${(metersPerSecond * 3.6).toFixed(1)} km/j`;
+
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const StatisticRow = ({label, value}) => (
+  <View style={styles.row}>
+    <Text style={styles.label}>{label}</Text>
+    <Text style={styles.value}>{value}</Text>
+  </View>
+);
+
+const TrackRecorderControls = ({refreshKey = 0}) => {
+  const {status, tracks, start, pause, resume, stop, deleteTrack, error} = useTrackRecorder({refreshKey});
+  const [name, setName] = useState('');
+  const {statistics} = status;
+  
+  const handleStart = async () => {
+    await start(name);
+    setName('');
+  };
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Rekam Jejak GPS</Text>
+      
+      {status.isRecording ? (
+        <>
+          <Text style={styles.statusText}>
+            <Text style={status.isPaused ? styles.pausedDot : styles.recordingDot}>● </Text>
+            {status.name}{status.isPaused ? ' (jeda)' : ''}
+          </Text>
+          <StatisticRow label="Jarak" value={formatDistance(statistics.distance)} />
+          <StatisticRow label="Durasi" value={formatDuration(statistics.duration)} />
+          <StatisticRow label="Waktu bergerak" value={formatDuration(statistics.movingTime)} />
+          <StatisticRow label="Kecepatan rata-rata" value={formatSpeed(statistics.averageSpeed)} />
+          <StatisticRow
+            label="Titik"
+            value={`${statistics.pointCount}${status.rejectedCount > 0 ? ` (${status.rejectedCount} ditolak)` : ''}`}
+          />
+          
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.button} onPress={status.isPaused ? resume : pause}>
+              <Text style={styles.buttonText}>{status.isPaused ? 'Lanjut' : 'Jeda'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.stopButton]} onPress={stop}>
+              <Text style={styles.buttonText}>Selesai</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : (
+        <>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="Nama jejak (opsional)"
+            placeholderTextColor="#888"
+          />
+          <TouchableOpacity style={styles.button} onPress={handleStart}>
+            <Text style={styles.buttonText}>Mulai Rekam Jejak</Text>
+          </TouchableOpacity>
+        </>
+      )}
+      
+      {error && <Text style={styles.errorText}>{error}</Text>}
+      
+      {tracks.length > 0 && (
+        <View style={styles.trackList}>
+          <Text style={styles.subtitle}>Jejak Tersimpan</Text>
+          {tracks.map((track) => (
+            <View key={track.id} style={styles.trackItem}>
+              <View style={styles.trackInfo}>
+                <Text style={styles.trackName}>{track.name}</Text>
+                <Text style={styles.trackDetail}>
+                  {formatDate(track.startedAt)} · {formatDistance(track.statistics.distance)} ·{' '}
+                  {formatDuration(track.statistics.duration)}
+                </Text>
+              </View>
+              {track.id !== status.trackId && (
+                <TouchableOpacity onPress={() => deleteTrack(track.id)}>
+                  <Text style={styles.deleteText}>Hapus</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 6,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#fff',
+    marginBottom: 8,
+  },
+  recordingDot: {
+    color: '#FF5722',
+  },
+  pausedDot: {
+    color: '#FFC107',
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#ccc',
+  },
+  value: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  input: {
+    width: '100%',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+    fontSize: 14,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  button: {
+    backgroundColor: '#0f3460',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 8,
+    alignSelf: 'flex-end',
+  },
+  stopButton: {
+    backgroundColor: '#FF5722',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    marginTop: 8,
+  },
+  trackList: {
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.2)',
+    paddingTop: 10,
+    marginTop: 12,
+  },
+  trackItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  trackInfo: {
+    flex: 1,
+  },
+  trackName: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  trackDetail: {
+    fontSize: 12,
+    color: '#ccc',
+  },
+  deleteText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+});
+
+export default TrackRecorderControls;
@@ -0,0 +1,205 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {WAYPOINT_CATEGORIES, DEFAULT_CATEGORY, validateWaypoint} from '../utils/WaypointStore';
+import {parseDecimalDegrees} from '../utils/CoordinateFormats';
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const WaypointForm = ({waypoint = null, location, onSubmit, onCancel, errorMessage}) => {
+  const [name, setName] = useState(waypoint ? waypoint.name : '');
+  const [latitude, setLatitude] = useState(waypoint ? toText(waypoint.latitude) : '');
+  const [longitude, setLongitude] = useState(waypoint ? toText(waypoint.longitude) : '');
+  const [altitude, setAltitude] = useState(waypoint ? waypoint.altitude : null);
+  const [category, setCategory] = useState(waypoint ? waypoint.category : DEFAULT_CATEGORY);
+  const [notes, setNotes] = useState(waypoint ? waypoint.notes : '');
+  const [validationMessage, setValidationMessage] = useState(null);
+  
+  const fillCurrentLocation = () => {
+    if (!location) return;
+    setLatitude(location.latitude.toFixed(6));
+    setLongitude(location.longitude.toFixed(6));
+    setAltitude(isFinite(location.altitude) ? location.altitude : null);
+  };
+  
+  const handleSubmit = () => {
+    const data = {
+      name,
+      latitude: parseDecimalDegrees(latitude),
+      longitude: parseDecimalDegrees(longitude),
+      altitude,
+      category,
+      notes: notes.trim(),
+    };
+    
+    const {isValid, reason} = validateWaypoint(data);
+    if (!isValid) {
+      setValidationMessage(reason);
+      return;
+    }
+    
+    setValidationMessage(null);
+    onSubmit(data);
+  };
+  
+  const message = validationMessage || errorMessage;
+  
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{waypoint ? 'Ubah Titik' : 'Titik Baru'}</Text>
+      
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Nama titik"
+        placeholderTextColor="#888"
+      />
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.halfInput]}
+          value={latitude}
+          onChangeText={setLatitude}
+          placeholder="Latitude"
+          placeholderTextColor="#888"
+          keyboardType="numbers-and-punctuation"
+        />
+        <TextInput
+          style={[styles.input, styles.halfInput]}
+          value={longitude}
+          onChangeText={setLongitude}
+          placeholder="Longitude"
+          placeholderTextColor="#888"
+          keyboardType="numbers-and-punctuation"
+        />
+      </View>
+      
+      {location && (
+        <TouchableOpacity onPress={fillCurrentLocation}>
+          <Text style={styles.linkText}>Gunakan lokasi saat ini</Text>
+        </TouchableOpacity>
+      )}
+      
+      <View style={styles.categoryRow}>
+        {Object.keys(WAYPOINT_CATEGORIES).map((key) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.categoryChip, category === key && styles.activeChip]}
+            onPress={() => setCategory(key)}
+          >
+            <Text style={styles.chipText}>{WAYPOINT_CATEGORIES[key]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      <TextInput
+        style={styles.input}
+        value={notes}
+        onChangeText={setNotes}
+        placeholder="Catatan (opsional)"
+        placeholderTextColor="#888"
+        multiline
+      />
+      
+      {message && <Text style={styles.errorText}>{message}</Text>}
+      
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+          <Text style={styles.buttonText}>Batal</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={handleSubmit}>
+          <Text style={styles.buttonText}>Simpan</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    paddingVertical: 10,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  input: {
+    width: '100%',
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    color: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginBottom: 8,
+    fontSize: 14,
+  },
+  halfInput: {
+    width: '48%',
+  },
+  linkText: {
+    fontSize: 12,
+    color: '#e94560',
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  categoryChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  activeChip: {
+    backgroundColor: '#0f3460',
+    borderWidth: 1,
+    borderColor: '#e94560',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#fff',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    marginBottom: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  button: {
+    backgroundColor: '#0f3460',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  cancelButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+});
+
+export default WaypointForm;
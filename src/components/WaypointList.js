@@ -0,0 +1,113 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import {WAYPOINT_CATEGORIES} from '../utils/WaypointStore';
+import {formatDistance} from '../utils/CompassUtils';
+
+const WaypointList = ({waypoints, activeTargetId, onNavigate, onEdit, onDelete}) => {
+  if (!waypoints || waypoints.length === 0) {
+    return <Text style={styles.emptyText}>Belum ada titik tersimpan</Text>;
+  }
+  
+  return (
+    <View>
+      {waypoints.map((waypoint) => {
+        const isTarget = waypoint.id === activeTargetId;
+        
+        return (
+          <View key={waypoint.id} style={styles.waypointRow}>
+            <View style={styles.waypointInfo}>
+              <Text style={[styles.waypointName, isTarget && styles.targetName]}>
+                {waypoint.name}
+              </Text>
+              <Text style={styles.waypointDetail}>
+                {WAYPOINT_CATEGORIES[waypoint.category] || waypoint.category}
+                {waypoint.distance !== null ? ` · ${formatDistance(waypoint.distance)}` : ''}
+              </Text>
+              <Text style={styles.waypointDetail}>
+                {waypoint.latitude.toFixed(6)}°, {waypoint.longitude.toFixed(6)}°
+              </Text>
+              {!!waypoint.notes && <Text style={styles.waypointNotes}>{waypoint.notes}</Text>}
+            </View>
+            
+            <View style={styles.actions}>
+              <TouchableOpacity onPress={() => onNavigate && onNavigate(waypoint)}>
+                <Text style={styles.navigateText}>{isTarget ? 'Tujuan' : 'Navigasi'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => onEdit && onEdit(waypoint)}>
+                <Text style={styles.actionText}>Ubah</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => onDelete && onDelete(waypoint)}>
+                <Text style={styles.deleteText}>Hapus</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  emptyText: {
+    fontSize: 12,
+    color: '#ccc',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  waypointRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  waypointInfo: {
+    flex: 1,
+  },
+  waypointName: {
+    fontSize: 14,
+    color: '#fff',
+  },
+  targetName: {
+    color: '#4CAF50',
+    fontWeight: 'bold',
+  },
+  waypointDetail: {
+    fontSize: 11,
+    color: '#ccc',
+  },
+  waypointNotes: {
+    fontSize: 11,
+    color: '#ccc',
+    fontStyle: 'italic',
+  },
+  actions: {
+    alignItems: 'flex-end',
+    marginLeft: 10,
+  },
+  navigateText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    fontWeight: 'bold',
+    paddingVertical: 2,
+  },
+  actionText: {
+    fontSize: 12,
+    color: '#fff',
+    paddingVertical: 2,
+  },
+  deleteText: {
+    fontSize: 12,
+    color: '#ff6b6b',
+    paddingVertical: 2,
+  },
+});
+
+export default WaypointList;
@@ -0,0 +1,149 @@
+import React, {useState} from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+} from 'react-native';
+import WaypointForm from './WaypointForm';
+import WaypointList from './WaypointList';
+import {useWaypoints} from '../hooks';
+import {WAYPOINT_CATEGORIES, WAYPOINT_SORT_ORDERS} from '../utils/WaypointStore';
+
+const SORT_LABELS = {
+  distance: 'Jarak',
+  name: 'Nama',
+  recent: 'Terbaru',
+};
+
+const WaypointManager = ({location, target, onNavigate}) => {
+  const [sortBy, setSortBy] = useState('distance');
+  const [category, setCategory] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or the waypoint being edited
+  
+  const {waypoints, addWaypoint, updateWaypoint, deleteWaypoint, error} = useWaypoints({
+    location,
+    sortBy,
+    category,
+  });
+  
+  const cycleSortOrder = () => {
+    const index = WAYPOINT_SORT_ORDERS.indexOf(sortBy);
+    setSortBy(WAYPOINT_SORT_ORDERS[(index + 1) % WAYPOINT_SORT_ORDERS.length]);
+  };
+  
+  const handleSubmit = async (data) => {
+    const saved = editing === 'new'
+      ? await addWaypoint(data)
+      : await updateWaypoint(editing.id, data);
+    
+    if (saved) {
+      setEditing(null);
+      // Keep navigating to the edited point at its new position
+      if (target && target.id === saved.id) {
+        onNavigate(saved);
+      }
+    }
+  };
+  
+  const handleDelete = async (waypoint) => {
+    await deleteWaypoint(waypoint.id);
+    if (target && target.id === waypoint.id) {
+      onNavigate(null);
+    }
+  };
+  
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>Titik Tersimpan</Text>
+        {!editing && (
+          <TouchableOpacity style={styles.addButton} onPress={() => setEditing('new')}>
+            <Text style={styles.addButtonText}>+ Tambah</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      {editing ? (
+        <WaypointForm
+          key={editing === 'new' ? 'new' : editing.id}
+          waypoint={editing === 'new' ? null : editing}
+          location={location}
+          onSubmit={handleSubmit}
+          onCancel={() => setEditing(null)}
+          errorMessage={error}
+        />
+      ) : (
+        <>
+          <View style={styles.filterRow}>
+            <TouchableOpacity onPress={cycleSortOrder}>
+              <Text style={styles.filterText}>Urutkan: {SORT_LABELS[sortBy]}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => {
+                const keys = [null, ...Object.keys(WAYPOINT_CATEGORIES)];
+                setCategory(keys[(keys.indexOf(category) + 1) % keys.length]);
+              }}
+            >
+              <Text style={styles.filterText}>
+                Kategori: {category ? WAYPOINT_CATEGORIES[category] : 'Semua'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          
+          <WaypointList
+            waypoints={waypoints}
+            activeTargetId={target ? target.id : null}
+            onNavigate={onNavigate}
+            onEdit={setEditing}
+            onDelete={handleDelete}
+          />
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.1)',
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  addButton: {
+    backgroundColor: '#0f3460',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 5,
+  },
+  filterText: {
+    fontSize: 12,
+    color: '#e94560',
+    fontWeight: 'bold',
+  },
+});
+
+export default WaypointManager;
@@ -0,0 +1,13 @@
+/**
+ * Public hooks for screens that need the compass heading or the device position
+ */
+
+export {default as useCompass, FILTER_TYPES, DECLINATION_MODES} from './useCompass';
+export {default as useLocation, requestLocationPermission} from './useLocation';
+export {default as useCalibrationProfiles} from './useCalibrationProfiles';
+export {default as useNavigation} from './useNavigation';
+export {default as useWaypoints} from './useWaypoints';
+export {default as useCelestial} from './useCelestial';
+export {default as useTrackRecorder} from './useTrackRecorder';
+export {default as useBearingLog} from './useBearingLog';
+export {default as useBearingCapture} from './useBearingCapture';
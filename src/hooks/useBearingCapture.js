@@ -0,0 +1,54 @@
+import {useState, useEffect, useRef} from 'react';
+import {averageHeadings, DEFAULT_CAPTURE_DURATION, MIN_CAPTURE_SAMPLES} from '../utils/BearingLog';
+
+const SAMPLE_INTERVAL = 100; // ms
+
+/**
+ * Hold a heading steady: sample it for a short window and average the samples
+ * The heading is sampled on a timer rather than on change, so a perfectly still reading still counts.
+ * @param {Object} options - {heading (degrees), duration (ms)}
+ * @returns {Object} {isCapturing, capture}; capture resolves to the averageHeadings result,
+ *   or null when too few samples arrived (no compass)
+ */
+const useBearingCapture = ({heading, duration = DEFAULT_CAPTURE_DURATION}) => {
+  const [isCapturing, setIsCapturing] = useState(false);
+  const headingRef = useRef(heading);
+  const timerRef = useRef(null);
+  
+  headingRef.current = heading;
+  
+  useEffect(() => {
+    return () => clearInterval(timerRef.current);
+  }, []);
+  
+  const capture = () => {
+    if (timerRef.current) {
+      return Promise.resolve(null);
+    }
+    
+    setIsCapturing(true);
+    const samples = [];
+    const startedAt = Date.now();
+    
+    return new Promise((resolve) => {
+      timerRef.current = setInterval(() => {
+        samples.push(headingRef.current);
+        if (Date.now() - startedAt < duration) return;
+        
+        clearInterval(timerRef.current);
+        timerRef.current = null;
+        setIsCapturing(false);
+        
+        const summary = averageHeadings(samples);
+        resolve(summary && summary.count >= MIN_CAPTURE_SAMPLES ? summary : null);
+      }, SAMPLE_INTERVAL);
+    });
+  };
+  
+  return {
+    isCapturing,
+    capture,
+  };
+};
+
+export default useBearingCapture;
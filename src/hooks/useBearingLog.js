@@ -0,0 +1,52 @@
+import {useState, useEffect, useMemo} from 'react';
+import {bearingLog} from '../utils/BearingLog';
+
+/**
+ * Load and manage the bearing sighting log
+ * @returns {Object} {sightings, addSighting, deleteSighting, error}
+ *   sightings are newest first; addSighting resolves to the saved sighting, or null with error set
+ */
+const useBearingLog = () => {
+  const [revision, setRevision] = useState(0);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    const loadSightings = async () => {
+      if (!bearingLog.isLoaded) {
+        await bearingLog.load();
+      }
+      setRevision(value => value + 1);
+    };
+    loadSightings();
+  }, []);
+  
+  const runChange = async (change) => {
+    try {
+      setError(null);
+      const result = await change();
+      setRevision(value => value + 1);
+      return result;
+    } catch (changeError) {
+      console.warn('Bearing log change rejected:', changeError.message);
+      setError(changeError.message);
+      return null;
+    }
+  };
+  
+  const addSighting = (data) => runChange(() => bearingLog.addSighting(data));
+  const deleteSighting = (id) => runChange(() => bearingLog.deleteSighting(id));
+  
+  // revision changes whenever the log does
+  const sightings = useMemo(() => {
+    return revision > 0 ? bearingLog.listSightings() : [];
+  }, [revision]);
+  
+  return {
+    sightings,
+    addSighting,
+    deleteSighting,
+    error,
+  };
+};
+
+export default useBearingLog;
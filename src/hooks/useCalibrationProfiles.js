@@ -0,0 +1,107 @@
+import {useState, useEffect, useRef} from 'react';
+import {calibrationStore, DEFAULT_PROFILE_NAME} from '../utils/CalibrationStore';
+
+/**
+ * Load, apply and manage stored magnetometer calibration profiles
+ * @returns {Object} {calibration, profiles, activeProfileName, saveProfile, selectProfile, deleteProfile,
+ *   saveHeadingOffset, checkFieldStrength}
+ */
+const useCalibrationProfiles = () => {
+  const [calibration, setCalibration] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileName, setActiveProfileName] = useState(DEFAULT_PROFILE_NAME);
+  
+  // Set when a stored profile was applied and has not yet been checked against a live reading
+  const fieldCheckPendingRef = useRef(false);
+  
+  useEffect(() => {
+    loadActiveProfile();
+  }, []);
+  
+  const refreshProfiles = () => {
+    setProfiles(calibrationStore.listProfiles());
+    setActiveProfileName(calibrationStore.activeProfileName);
+  };
+  
+  const loadActiveProfile = async () => {
+    try {
+      const stored = await calibrationStore.loadActiveCalibration();
+      setCalibration(stored);
+      fieldCheckPendingRef.current = !!stored;
+      refreshProfiles();
+    } catch (error) {
+      console.error('Failed to load calibration profile:', error);
+    }
+  };
+  
+  const saveProfile = async (result, profileName) => {
+    setCalibration(result);
+    fieldCheckPendingRef.current = false;
+    await calibrationStore.saveProfile(profileName, result);
+    refreshProfiles();
+  };
+  
+  const selectProfile = async (name) => {
+    const profile = await calibrationStore.setActiveProfile(name);
+    const {isExpired} = calibrationStore.checkExpiry(profile);
+    setCalibration(isExpired ? null : profile.calibration);
+    fieldCheckPendingRef.current = !isExpired;
+    refreshProfiles();
+  };
+  
+  const deleteProfile = async (name) => {
+    const wasActive = name === calibrationStore.activeProfileName;
+    await calibrationStore.deleteProfile(name);
+    if (wasActive) {
+      setCalibration(null);
+      fieldCheckPendingRef.current = false;
+    }
+    refreshProfiles();
+  };
+  
+  /**
+   * Keep a sun sight correction with the active profile
+   * @param {number} offset - Degrees added to the heading, 0 to clear
+   * @returns {Promise<boolean>} Whether there was a profile to store it on
+   */
+  const saveHeadingOffset = async (offset) => {
+    const profile = await calibrationStore.setHeadingOffset(offset);
+    if (!profile) {
+      return false;
+    }
+    setCalibration(current => (current ? {...current, headingOffset: offset} : current));
+    refreshProfiles();
+    return true;
+  };
+  
+  /**
+   * A stored profile no longer fits if the corrected field strength moved a lot
+   * @param {number} strength - Magnitude of the first calibrated reading (µT)
+   */
+  const checkFieldStrength = (strength) => {
+    if (!fieldCheckPendingRef.current) return;
+    fieldCheckPendingRef.current = false;
+    
+    const {isExpired, reason} = calibrationStore.checkExpiry(
+      calibrationStore.getActiveProfile(),
+      strength
+    );
+    if (isExpired) {
+      console.log('Stored calibration discarded:', reason);
+      setCalibration(null);
+    }
+  };
+  
+  return {
+    calibration,
+    profiles,
+    activeProfileName,
+    saveProfile,
+    selectProfile,
+    deleteProfile,
+    saveHeadingOffset,
+    checkFieldStrength,
+  };
+};
+
+export default useCalibrationProfiles;
@@ -0,0 +1,62 @@
+import {useState, useEffect, useMemo} from 'react';
+import {getSunPosition, getMoonPosition, getSunTimes, getMoonTimes} from '../utils/Astronomy';
+import {getMagneticDeclination} from '../utils/CompassUtils';
+
+const toHeadingReference = (azimuth, declination) => ((azimuth - declination) % 360 + 360) % 360;
+
+/**
+ * Sun and moon positions for the current position, refreshed on a timer
+ * @param {Object} options - {location, declinationMode, updateInterval (ms)}
+ *   declinationMode comes from useCompass so the markers use the same north as the heading
+ * @returns {Object|null} {sun, moon, sunTimes, moonTimes, markers}; azimuths in sun, moon and the
+ *   rise/set times are true, markers are in the heading reference for the dial; null without position
+ */
+const useCelestial = ({location, declinationMode = 'magnetic', updateInterval = 60000}) => {
+  const [now, setNow] = useState(() => new Date());
+  
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), updateInterval);
+    return () => clearInterval(timer);
+  }, [updateInterval]);
+  
+  // Rise and set times only change with the day, the search is too slow to repeat every tick
+  const day = now.toDateString();
+  const times = useMemo(() => {
+    if (!location) {
+      return null;
+    }
+    return {
+      sunTimes: getSunTimes(now, location),
+      moonTimes: getMoonTimes(now, location),
+    };
+  }, [location, day]);
+  
+  return useMemo(() => {
+    if (!location || !times) {
+      return null;
+    }
+    
+    const sun = getSunPosition(now, location);
+    const moon = getMoonPosition(now, location);
+    const {sunTimes, moonTimes} = times;
+    const declination = declinationMode === 'true' ? 0 : getMagneticDeclination(location).declination;
+    const toDial = (event) => (event ? toHeadingReference(event.azimuth, declination) : null);
+    
+    return {
+      sun,
+      moon,
+      sunTimes,
+      moonTimes,
+      markers: {
+        sun: {azimuth: toHeadingReference(sun.azimuth, declination), isAboveHorizon: sun.elevation > 0},
+        moon: {azimuth: toHeadingReference(moon.azimuth, declination), isAboveHorizon: moon.elevation > 0},
+        sunrise: toDial(sunTimes.sunrise),
+        sunset: toDial(sunTimes.sunset),
+        moonrise: toDial(moonTimes.moonrise),
+        moonset: toDial(moonTimes.moonset),
+      },
+    };
+  }, [location, times, now, declinationMode]);
+};
+
+export default useCelestial;
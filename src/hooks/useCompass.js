@@ -0,0 +1,334 @@
+import {useState, useEffect, useRef, useMemo} from 'react';
+import {
+  applyMagnetometerCalibration,
+  calculateHeading,
+  calculateCompassAccuracy,
+  getMagneticDeclination,
+  headingKalmanFilter,
+  smoothHeading,
+  validateMagnetometerData,
+  detectMagneticDisturbance,
+  getExpectedMagneticField,
+  FILTER_DEFAULTS,
+} from '../utils/CompassUtils';
+import {MadgwickFilter} from '../utils/SensorFusion';
+import {liveSensorProvider} from '../sensors';
+import useCalibrationProfiles from './useCalibrationProfiles';
+
+export const FILTER_TYPES = ['fusion', 'kalman', 'smooth', 'none'];
+export const DECLINATION_MODES = ['magnetic', 'true'];
+
+const NO_DISTURBANCE = {isDisturbed: false, severity: 'none', weight: 1};
+const ACCURACY_HISTORY_SIZE = 20;
+// The gyroscope drives the fusion filter and needs a faster rate than the display
+const MAX_GYROSCOPE_INTERVAL = 20;
+const PUBLISH_INTERVAL_SLACK = 0.8;
+
+/**
+ * Subscribe to the compass sensors and produce a filtered heading
+ * @param {Object} options - {updateInterval (ms), filterType: 'fusion'|'kalman'|'smooth'|'none',
+ *   declinationMode: 'magnetic'|'true', location: {latitude, longitude, altitude},
+ *   provider: sensor source (live hardware by default), useStoredCalibration,
+ *   recorder: SessionRecorder that receives raw readings, calibrated vectors and filtered headings}
+ * @returns {Object} {heading, magneticHeading, declination, headingOffset, accuracy, orientation,
+ *   magnetometerData, disturbance, calibration, isCalibrated, calibrationProfiles, error}
+ *   heading and magneticHeading include the sun sight offset stored with the calibration profile
+ */
+const useCompass = ({
+  updateInterval = 50,
+  filterType = 'fusion',
+  declinationMode = 'magnetic',
+  location = null,
+  provider = liveSensorProvider,
+  useStoredCalibration = true,
+  recorder = null,
+} = {}) => {
+  const [magneticHeading, setMagneticHeading] = useState(0);
+  const [accuracy, setAccuracy] = useState(0);
+  const [magnetometerData, setMagnetometerData] = useState({x: 0, y: 0, z: 0});
+  const [orientation, setOrientation] = useState({pitch: 0, roll: 0});
+  const [disturbance, setDisturbance] = useState(NO_DISTURBANCE);
+  const [error, setError] = useState(null);
+  
+  const {
+    calibration,
+    profiles,
+    activeProfileName,
+    saveProfile,
+    selectProfile,
+    deleteProfile,
+    saveHeadingOffset,
+    checkFieldStrength,
+  } = useCalibrationProfiles();
+  
+  // Created once; a useRef initialiser would build and discard a filter on every render
+  const [fusion] = useState(() => new MadgwickFilter());
+  const isFusionActiveRef = useRef(false);
+  const filterTypeRef = useRef(filterType);
+  const headingFilterStateRef = useRef(null);
+  const smoothedHeadingRef = useRef(undefined);
+  const headingHistoryRef = useRef([]);
+  const accuracyRef = useRef(0);
+  const publishedRef = useRef({heading: null, at: 0});
+  const expectedFieldRef = useRef(null);
+  const disturbanceRef = useRef(NO_DISTURBANCE);
+  const latestMagnetometerRef = useRef(null);
+  const latestAccelerometerRef = useRef(null);
+  const calibrationRef = useRef(null);
+  const fieldCheckPendingRef = useRef(false);
+  const checkFieldStrengthRef = useRef(checkFieldStrength);
+  const recorderRef = useRef(recorder);
+  
+  checkFieldStrengthRef.current = checkFieldStrength;
+  recorderRef.current = recorder;
+  
+  const record = (type, data, timestamp) => {
+    if (recorderRef.current) {
+      recorderRef.current.record(type, data, isFinite(timestamp) ? timestamp : Date.now());
+    }
+  };
+  
+  // A phone's hard/soft-iron profile does not apply to simulated or foreign recorded readings
+  const appliedCalibration = useStoredCalibration ? calibration : null;
+  
+  useEffect(() => {
+    calibrationRef.current = appliedCalibration;
+    fieldCheckPendingRef.current = !!appliedCalibration;
+  }, [appliedCalibration]);
+  
+  useEffect(() => {
+    if (!FILTER_TYPES.includes(filterType)) {
+      console.warn(`Unknown filter type "${filterType}", using fusion`);
+    }
+    filterTypeRef.current = FILTER_TYPES.includes(filterType) ? filterType : 'fusion';
+    headingFilterStateRef.current = null;
+    smoothedHeadingRef.current = undefined;
+  }, [filterType]);
+  
+  useEffect(() => {
+    expectedFieldRef.current = location ? getExpectedMagneticField(location) : null;
+  }, [location]);
+  
+  const publishHeading = (value, timestamp) => {
+    // The gyroscope drives fusion at up to 50 Hz; re-render at about the requested rate, and only for a
+    // visible change. The slack keeps sensor timing jitter from dropping every other magnetometer heading.
+    const now = Date.now();
+    const rounded = Math.round(value * 100) / 100;
+    const published = publishedRef.current;
+    if (rounded !== published.heading && now - published.at >= updateInterval * PUBLISH_INTERVAL_SLACK) {
+      publishedRef.current = {heading: rounded, at: now};
+      setMagneticHeading(rounded);
+    }
+    
+    const history = headingHistoryRef.current;
+    history.push({heading: value, timestamp: now});
+    if (history.length > ACCURACY_HISTORY_SIZE) {
+      history.shift();
+    }
+    
+    // Only re-render for accuracy changes that are visible as a percentage
+    const nextAccuracy = calculateCompassAccuracy(history);
+    if (Math.abs(nextAccuracy - accuracyRef.current) >= 0.01) {
+      accuracyRef.current = nextAccuracy;
+      setAccuracy(nextAccuracy);
+    }
+    
+    record('heading', {
+      heading: value,
+      accuracy: nextAccuracy,
+      filterType: filterTypeRef.current,
+      disturbance: disturbanceRef.current.severity,
+    }, timestamp);
+  };
+  
+  useEffect(() => {
+    const subscriptions = [];
+    
+    // A new source starts from scratch; readings from the previous one must not leak into the filters
+    setError(null);
+    fusion.reset();
+    isFusionActiveRef.current = false;
+    headingFilterStateRef.current = null;
+    smoothedHeadingRef.current = undefined;
+    latestMagnetometerRef.current = null;
+    latestAccelerometerRef.current = null;
+    
+    try {
+      provider.setUpdateInterval('magnetometer', updateInterval);
+      provider.setUpdateInterval('accelerometer', updateInterval);
+      provider.setUpdateInterval('gyroscope', Math.min(updateInterval, MAX_GYROSCOPE_INTERVAL));
+      
+      subscriptions.push(provider.subscribe(
+        'magnetometer',
+        ({x, y, z, timestamp}) => {
+          try {
+            if (!isFinite(x) || !isFinite(y) || !isFinite(z)) return;
+            
+            const data = {x, y, z};
+            setMagnetometerData(data);
+            record('magnetometer', data, timestamp);
+            
+            // Heading is computed on the hard/soft-iron corrected vector
+            const corrected = applyMagnetometerCalibration(data, calibrationRef.current);
+            
+            if (fieldCheckPendingRef.current) {
+              fieldCheckPendingRef.current = false;
+              const strength = Math.sqrt(
+                corrected.x * corrected.x + corrected.y * corrected.y + corrected.z * corrected.z
+              );
+              checkFieldStrengthRef.current(strength);
+            }
+            latestMagnetometerRef.current = corrected;
+            // Hard/soft-iron corrected only; the filters' output is the heading entry
+            record('calibrated', {x: corrected.x, y: corrected.y, z: corrected.z}, timestamp);
+            
+            // Compare the live field with the expected local field to spot steel, vehicles or electronics
+            const detected = detectMagneticDisturbance(
+              corrected,
+              latestAccelerometerRef.current,
+              expectedFieldRef.current
+            );
+            if (detected.severity !== disturbanceRef.current.severity) {
+              setDisturbance(detected);
+            }
+            disturbanceRef.current = detected;
+            
+            // Fusion needs the gyroscope; without it the heading falls back to the Kalman filter
+            const activeFilter = filterTypeRef.current === 'fusion' && !isFusionActiveRef.current
+              ? 'kalman'
+              : filterTypeRef.current;
+            if (activeFilter === 'fusion') return;
+            // Severe interference: hold the last heading rather than follow the steel
+            if (detected.severity === 'severe') return;
+            
+            const measured = calculateHeading(corrected, null, false, latestAccelerometerRef.current);
+            
+            if (activeFilter === 'kalman') {
+              const {quality} = validateMagnetometerData(data);
+              const filtered = headingKalmanFilter(measured, headingFilterStateRef.current, {
+                timestamp: isFinite(timestamp) ? timestamp : Date.now(),
+                quality: quality * detected.weight,
+              });
+              headingFilterStateRef.current = filtered.state;
+              publishHeading(filtered.heading, timestamp);
+            } else if (activeFilter === 'smooth') {
+              // A disturbed reading pulls the heading proportionally less
+              const smoothed = smoothHeading(
+                measured,
+                smoothedHeadingRef.current,
+                FILTER_DEFAULTS.smoothingFactor * detected.weight
+              );
+              smoothedHeadingRef.current = smoothed;
+              publishHeading(Math.round(smoothed * 100) / 100, timestamp);
+            } else {
+              // Unfiltered while the field is clean, de-weighted towards the last heading while it is not
+              const unfiltered = detected.weight < 1
+                ? smoothHeading(measured, smoothedHeadingRef.current, detected.weight)
+                : measured;
+              smoothedHeadingRef.current = unfiltered;
+              publishHeading(unfiltered, timestamp);
+            }
+          } catch (err) {
+            console.warn('Magnetometer processing error:', err);
+          }
+        },
+        (err) => {
+          console.error('Magnetometer error:', err);
+          setError('Sensor magnetometer tidak dapat diakses');
+        }
+      ));
+      
+      subscriptions.push(provider.subscribe(
+        'accelerometer',
+        ({x, y, z, timestamp}) => {
+          if (isFinite(x) && isFinite(y) && isFinite(z)) {
+            latestAccelerometerRef.current = {x, y, z};
+            record('accelerometer', {x, y, z}, timestamp);
+          }
+        },
+        (err) => {
+          console.warn('Accelerometer unavailable, tilt compensation disabled:', err);
+        }
+      ));
+      
+      subscriptions.push(provider.subscribe(
+        'gyroscope',
+        ({x, y, z, timestamp}) => {
+          try {
+            record('gyroscope', {x, y, z}, timestamp);
+            if (!latestAccelerometerRef.current || !latestMagnetometerRef.current) return;
+            
+            // During severe interference the heading is carried by the gyroscope alone
+            const fused = fusion.update(
+              {x, y, z},
+              latestAccelerometerRef.current,
+              disturbanceRef.current.severity === 'severe' ? null : latestMagnetometerRef.current,
+              timestamp
+            );
+            isFusionActiveRef.current = fusion.isInitialized;
+            
+            if (filterTypeRef.current === 'fusion') {
+              publishHeading(fused.heading, timestamp);
+            }
+            setOrientation({pitch: fused.pitch, roll: fused.roll});
+          } catch (err) {
+            console.warn('Sensor fusion error:', err);
+          }
+        },
+        (err) => {
+          console.warn('Gyroscope unavailable, using magnetometer heading:', err);
+          isFusionActiveRef.current = false;
+        }
+      ));
+    } catch (err) {
+      console.error('Failed to setup magnetometer:', err);
+      setError('Gagal menginisialisasi sensor kompas');
+    }
+    
+    return () => {
+      try {
+        subscriptions.forEach((subscription) => subscription.unsubscribe());
+      } catch (err) {
+        console.error('Sensor cleanup error:', err);
+      }
+    };
+  }, [provider, updateInterval]);
+  
+  // True north needs the local declination, which needs a position
+  const declination = useMemo(() => {
+    return declinationMode === 'true' && location
+      ? getMagneticDeclination(location).declination
+      : 0;
+  }, [declinationMode, location]);
+  
+  // Residual error measured against the sun after calibration
+  const headingOffset = appliedCalibration && isFinite(appliedCalibration.headingOffset)
+    ? appliedCalibration.headingOffset
+    : 0;
+  const correctedHeading = ((magneticHeading + headingOffset) % 360 + 360) % 360;
+  const heading = Math.round((((correctedHeading + declination) % 360 + 360) % 360) * 100) / 100;
+  
+  return {
+    heading,
+    magneticHeading: Math.round(correctedHeading * 100) / 100,
+    declination,
+    headingOffset,
+    accuracy,
+    orientation,
+    magnetometerData,
+    disturbance,
+    calibration: appliedCalibration,
+    isCalibrated: !!(appliedCalibration && appliedCalibration.isCalibrated),
+    calibrationProfiles: {
+      profiles,
+      activeProfileName,
+      saveProfile,
+      selectProfile,
+      deleteProfile,
+      saveHeadingOffset,
+    },
+    error,
+  };
+};
+
+export default useCompass;
@@ -0,0 +1,148 @@
+import {useState, useEffect, useRef} from 'react';
+import {PermissionsAndroid, Platform} from 'react-native';
+import Geolocation from 'react-native-geolocation-service';
+
+/**
+ * Ask for location permission. Android needs a runtime request, iOS prompts on first use.
+ * @returns {Promise<boolean>} Whether location may be used
+ */
+export const requestLocationPermission = async () => {
+  if (Platform.OS !== 'android') {
+    return true;
+  }
+  
+  try {
+    const granted = await PermissionsAndroid.requestMultiple([
+      PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION,
+      PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION,
+    ]);
+    
+    const isGranted =
+      granted[PermissionsAndroid.PERMISSIONS.ACCESS_FINE_LOCATION] ===
+        PermissionsAndroid.RESULTS.GRANTED &&
+      granted[PermissionsAndroid.PERMISSIONS.ACCESS_COARSE_LOCATION] ===
+        PermissionsAndroid.RESULTS.GRANTED;
+    
+    console.log(isGranted ? 'Location permissions granted' : 'Location permissions denied');
+    return isGranted;
+  } catch (err) {
+    console.warn('Permission error:', err);
+    return false;
+  }
+};
+
+/**
+ * Request permission and watch the device position
+ * @param {Object} options - {enabled, enableHighAccuracy, distanceFilter (m), interval (ms),
+ *   recorder: SessionRecorder that receives every fix, trackRecorder: TrackRecorder that receives every fix}
+ * @returns {Object} {location, accuracy, isLocationEnabled, error}
+ */
+const useLocation = ({
+  enabled = true,
+  enableHighAccuracy = true,
+  distanceFilter = 10,
+  interval = 5000,
+  recorder = null,
+  trackRecorder = null,
+} = {}) => {
+  const [location, setLocation] = useState(null);
+  const [accuracy, setAccuracy] = useState(0);
+  const [isLocationEnabled, setIsLocationEnabled] = useState(false);
+  const [error, setError] = useState(null);
+  const recorderRef = useRef(recorder);
+  const trackRecorderRef = useRef(trackRecorder);
+  
+  recorderRef.current = recorder;
+  trackRecorderRef.current = trackRecorder;
+  
+  useEffect(() => {
+    if (!enabled) return;
+    
+    let isActive = true;
+    requestLocationPermission().then((isGranted) => {
+      if (isActive) {
+        setIsLocationEnabled(isGranted);
+        setError(isGranted ? null : 'Izin lokasi ditolak');
+      }
+    });
+    
+    return () => {
+      isActive = false;
+    };
+  }, [enabled]);
+  
+  // Start watching only after the permission result is known, not with the initial false
+  useEffect(() => {
+    if (!enabled || !isLocationEnabled) return;
+    
+    const handlePosition = (position) => {
+      const {latitude, longitude, altitude, accuracy, speed, heading} = position.coords;
+      setLocation({latitude, longitude, altitude});
+      setAccuracy(accuracy);
+      setError(null);
+      
+      if (recorderRef.current) {
+        recorderRef.current.record(
+          'location',
+          {latitude, longitude, altitude, accuracy, speed, heading},
+          position.timestamp || Date.now()
+        );
+      }
+      if (trackRecorderRef.current) {
+        trackRecorderRef.current.addFix({
+          latitude,
+          longitude,
+          altitude,
+          accuracy,
+          speed,
+          timestamp: position.timestamp || Date.now(),
+        });
+      }
+    };
+    
+    let watchId = null;
+    try {
+      Geolocation.getCurrentPosition(
+        handlePosition,
+        (err) => {
+          console.log('Location error:', err);
+        },
+        {
+          enableHighAccuracy,
+          timeout: 15000,
+          maximumAge: 10000,
+        }
+      );
+      
+      watchId = Geolocation.watchPosition(
+        handlePosition,
+        (err) => {
+          console.log('Location watch error:', err);
+          setError('Lokasi tidak tersedia');
+        },
+        {
+          enableHighAccuracy,
+          distanceFilter,
+          interval,
+        }
+      );
+    } catch (err) {
+      console.error('Failed to setup location:', err);
+      setError('Gagal mengaktifkan lokasi');
+    }
+    
+    return () => {
+      try {
+        if (watchId !== null) {
+          Geolocation.clearWatch(watchId);
+        }
+      } catch (err) {
+        console.error('Location cleanup error:', err);
+      }
+    };
+  }, [enabled, isLocationEnabled, enableHighAccuracy, distanceFilter, interval]);
+  
+  return {location, accuracy, isLocationEnabled, error};
+};
+
+export default useLocation;
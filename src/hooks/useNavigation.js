@@ -0,0 +1,47 @@
+import {useMemo} from 'react';
+import {
+  calculateDistance,
+  calculateInitialBearing,
+  calculateFinalBearing,
+  getRelativeBearing,
+  getMagneticDeclination,
+} from '../utils/CompassUtils';
+
+/**
+ * Distance and direction from the current position to a navigation target
+ * @param {Object} options - {location, target: {name, latitude, longitude}, heading, declinationMode}
+ *   heading and declinationMode come from useCompass so the target bearing uses the same north
+ * @returns {Object|null} {target, distance, bearing, finalBearing, headingBearing, relativeBearing},
+ *   bearings in degrees, bearing and finalBearing relative to true north; null without target or position
+ */
+const useNavigation = ({location, target, heading, declinationMode = 'magnetic'}) => {
+  const route = useMemo(() => {
+    if (!location || !target || !isFinite(target.latitude) || !isFinite(target.longitude)) {
+      return null;
+    }
+    
+    const bearing = calculateInitialBearing(location, target);
+    
+    // Great-circle bearings are true; a magnetic heading needs the declination taken off
+    const declination = declinationMode === 'true' ? 0 : getMagneticDeclination(location).declination;
+    
+    return {
+      distance: calculateDistance(location, target),
+      bearing,
+      finalBearing: calculateFinalBearing(location, target),
+      headingBearing: ((bearing - declination) % 360 + 360) % 360,
+    };
+  }, [location, target, declinationMode]);
+  
+  if (!route) {
+    return null;
+  }
+  
+  return {
+    target,
+    ...route,
+    relativeBearing: getRelativeBearing(heading, route.headingBearing),
+  };
+};
+
+export default useNavigation;
@@ -0,0 +1,85 @@
+import {useState, useEffect} from 'react';
+import {trackRecorder} from '../utils/TrackRecorder';
+
+const STATUS_REFRESH_INTERVAL = 1000;
+
+/**
+ * Control the GPS track recorder and list saved tracks
+ * Fixes reach the recorder through useLocation({trackRecorder}).
+ * @param {Object} options - {recorder: TrackRecorder, refreshInterval (ms) for the live statistics,
+ *   refreshKey: change it to re-list the tracks after something else saved one}
+ * @returns {Object} {status, tracks, start, pause, resume, stop, deleteTrack, refreshTracks, error}
+ */
+const useTrackRecorder = ({
+  recorder = trackRecorder,
+  refreshInterval = STATUS_REFRESH_INTERVAL,
+  refreshKey = 0,
+} = {}) => {
+  const [status, setStatus] = useState(() => recorder.getStatus());
+  const [tracks, setTracks] = useState([]);
+  const [error, setError] = useState(null);
+  
+  const refreshStatus = () => setStatus(recorder.getStatus());
+  
+  const refreshTracks = async () => {
+    setTracks(await recorder.listTracks());
+  };
+  
+  useEffect(() => {
+    refreshTracks();
+  }, [recorder, refreshKey]);
+  
+  // Duration grows even without new fixes, so poll while recording
+  useEffect(() => {
+    if (!status.isRecording) return;
+    
+    const timer = setInterval(refreshStatus, refreshInterval);
+    return () => clearInterval(timer);
+  }, [recorder, status.isRecording, refreshInterval]);
+  
+  const start = async (name) => {
+    setError(null);
+    const trackId = await recorder.start(name);
+    if (!trackId) {
+      setError('Gagal membuat file jejak');
+    }
+    refreshStatus();
+    refreshTracks();
+  };
+  
+  const pause = async () => {
+    await recorder.pause();
+    refreshStatus();
+  };
+  
+  const resume = () => {
+    recorder.resume();
+    refreshStatus();
+  };
+  
+  const stop = async () => {
+    const track = await recorder.stop();
+    refreshStatus();
+    await refreshTracks();
+    return track;
+  };
+  
+  const deleteTrack = async (id) => {
+    await recorder.deleteTrack(id);
+    await refreshTracks();
+  };
+  
+  return {
+    status,
+    tracks,
+    start,
+    pause,
+    resume,
+    stop,
+    deleteTrack,
+    refreshTracks,
+    error,
+  };
+};
+
+export default useTrackRecorder;
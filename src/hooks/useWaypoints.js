@@ -0,0 +1,61 @@
+import {useState, useEffect, useMemo} from 'react';
+import {waypointStore} from '../utils/WaypointStore';
+
+/**
+ * Load and manage saved waypoints
+ * Follows the shared waypoint store, so waypoints added elsewhere (another list, a file import) show up.
+ * @param {Object} options - {location, sortBy: 'distance'|'name'|'recent', category}
+ * @returns {Object} {waypoints, addWaypoint, updateWaypoint, deleteWaypoint, error}
+ *   addWaypoint and updateWaypoint resolve to the saved waypoint, or null with error set
+ */
+const useWaypoints = ({location = null, sortBy = 'distance', category = null} = {}) => {
+  const [revision, setRevision] = useState(0);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    // Changes made through another instance of this hook, or by an import, re-read the list too
+    const subscription = waypointStore.subscribe(() => setRevision(value => value + 1));
+    const loadWaypoints = async () => {
+      if (!waypointStore.isLoaded) {
+        await waypointStore.load();
+      }
+      setRevision(value => value + 1);
+    };
+    loadWaypoints();
+    return () => subscription.unsubscribe();
+  }, []);
+  
+  const refresh = () => setRevision(value => value + 1);
+  
+  const runChange = async (change) => {
+    try {
+      setError(null);
+      const result = await change();
+      refresh();
+      return result;
+    } catch (changeError) {
+      console.warn('Waypoint change rejected:', changeError.message);
+      setError(changeError.message);
+      return null;
+    }
+  };
+  
+  const addWaypoint = (data) => runChange(() => waypointStore.addWaypoint(data));
+  const updateWaypoint = (id, changes) => runChange(() => waypointStore.updateWaypoint(id, changes));
+  const deleteWaypoint = (id) => runChange(() => waypointStore.deleteWaypoint(id));
+  
+  // revision changes whenever the store does
+  const waypoints = useMemo(() => {
+    return revision > 0 ? waypointStore.listWaypoints({from: location, sortBy, category}) : [];
+  }, [revision, location, sortBy, category]);
+  
+  return {
+    waypoints,
+    addWaypoint,
+    updateWaypoint,
+    deleteWaypoint,
+    error,
+  };
+};
+
+export default useWaypoints;
@@ -0,0 +1,38 @@
+/**
+ * Sensor provider backed by the phone hardware through react-native-sensors
+ */
+
+import {
+  magnetometer,
+  accelerometer,
+  gyroscope,
+  setUpdateIntervalForType,
+  SensorTypes,
+} from 'react-native-sensors';
+import { SensorProvider, SENSOR_TYPES } from './SensorProvider';
+
+const OBSERVABLES = { magnetometer, accelerometer, gyroscope };
+
+/**
+ * Live hardware sensors
+ */
+export class LiveSensorProvider extends SensorProvider {
+  constructor() {
+    super('live');
+  }
+  
+  setUpdateInterval(type, interval) {
+    super.setUpdateInterval(type, interval);
+    setUpdateIntervalForType(SensorTypes[type], this.updateIntervals[type]);
+  }
+  
+  subscribe(type, next, error) {
+    if (!SENSOR_TYPES.includes(type)) {
+      throw new Error(`Unknown sensor type: ${type}`);
+    }
+    return OBSERVABLES[type].subscribe(next, error);
+  }
+}
+
+// Global live sensor provider instance
+export const liveSensorProvider = new LiveSensorProvider();
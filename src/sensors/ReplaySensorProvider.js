@@ -0,0 +1,195 @@
+/**
+ * Sensor provider that plays back a recorded session
+ * Recordings are lists of {t, type, x, y, z} with t in milliseconds, as JSON or newline-delimited JSON,
+ * so a bug seen in the field can be reproduced on a desk with the exact same readings.
+ */
+
+import { SensorProvider, SENSOR_TYPES } from './SensorProvider';
+
+const isReading = (event) => (
+  event && SENSOR_TYPES.includes(event.type) && isFinite(event.t) &&
+  isFinite(event.x) && isFinite(event.y) && isFinite(event.z)
+);
+
+/**
+ * Parse a recording
+ * Lines that are not sensor readings (session metadata, markers) are kept separately.
+ * @param {string|Array} recording - NDJSON text, a JSON array string, or an array of events
+ * @returns {Object} {events, other} with events sorted by t
+ */
+export const parseSensorRecording = (recording) => {
+  let entries = [];
+  
+  if (Array.isArray(recording)) {
+    entries = recording;
+  } else if (typeof recording === 'string') {
+    const text = recording.trim();
+    if (text.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(text);
+        entries = Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        // A truncated or foreign file plays back as an empty recording
+        console.warn('Skipping malformed JSON recording:', error.message);
+      }
+    } else {
+      entries = text.split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.warn(`Skipping malformed recording line ${index + 1}`);
+          return null;
+        }
+      });
+    }
+  }
+  
+  const events = entries.filter(isReading).sort((a, b) => a.t - b.t);
+  const other = entries.filter(entry => entry && !isReading(entry));
+  
+  return { events, other };
+};
+
+/**
+ * Recorded sensor playback
+ */
+export class ReplaySensorProvider extends SensorProvider {
+  /**
+   * @param {string|Array} recording - See parseSensorRecording
+   * @param {Object} options - {speed: playback rate multiplier, loop, onEnd, now}
+   */
+  constructor(recording = [], options = {}) {
+    super('replay');
+    this.isSimulated = true;
+    this.speed = options.speed > 0 ? options.speed : 1;
+    this.loop = !!options.loop;
+    this.onEnd = options.onEnd || null;
+    this.now = options.now || (() => Date.now());
+    this.listeners = new Set();
+    this.timer = null;
+    this.load(recording);
+  }
+  
+  /**
+   * Replace the recording and rewind
+   * @param {string|Array} recording - See parseSensorRecording
+   */
+  load(recording) {
+    this.stop();
+    const { events, other } = parseSensorRecording(recording);
+    this.events = events;
+    this.metadata = other;
+    this.rewind();
+  }
+  
+  rewind() {
+    this.index = 0;
+    this.loopOffset = 0;
+    this.isFinished = false;
+  }
+  
+  /**
+   * Recording length in milliseconds
+   */
+  getDuration() {
+    if (this.events.length < 2) return 0;
+    return this.events[this.events.length - 1].t - this.events[0].t;
+  }
+  
+  /**
+   * Playback position
+   * @returns {Object} {position, duration} in milliseconds of recording time
+   */
+  getProgress() {
+    const current = this.events[Math.min(this.index, this.events.length - 1)];
+    return {
+      position: current ? current.t - this.events[0].t : 0,
+      duration: this.getDuration()
+    };
+  }
+  
+  start() {
+    if (this.timer || this.isFinished || this.events.length === 0) return;
+    
+    // Anchor recording time to wall time at the current index
+    this.anchorWallTime = this.now();
+    this.anchorRecordTime = this.events[this.index].t;
+    this.tick();
+  }
+  
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  tick() {
+    this.timer = null;
+    const recordTime = this.anchorRecordTime + (this.now() - this.anchorWallTime) * this.speed;
+    
+    while (this.index < this.events.length && this.events[this.index].t <= recordTime) {
+      this.dispatch(this.events[this.index]);
+      this.index++;
+    }
+    
+    if (this.index >= this.events.length) {
+      if (this.loop && this.events.length > 1) {
+        // Keep timestamps increasing across loops so filters see a normal time step
+        this.loopOffset += this.getDuration() + this.getDuration() / (this.events.length - 1);
+        this.index = 0;
+        this.anchorWallTime = this.now();
+        this.anchorRecordTime = this.events[0].t;
+      } else {
+        this.isFinished = true;
+        this.onEnd && this.onEnd();
+        return;
+      }
+    }
+    
+    const delay = Math.max(0, (this.events[this.index].t - recordTime) / this.speed);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+  
+  dispatch(event) {
+    const reading = { x: event.x, y: event.y, z: event.z, timestamp: event.t + this.loopOffset };
+    this.listeners.forEach((listener) => {
+      if (listener.type !== event.type) return;
+      try {
+        listener.next(reading);
+      } catch (error) {
+        console.warn('Replay listener error:', error);
+      }
+    });
+  }
+  
+  subscribe(type, next, error) {
+    if (!SENSOR_TYPES.includes(type)) {
+      throw new Error(`Unknown sensor type: ${type}`);
+    }
+    
+    const listener = { type, next, error };
+    this.listeners.add(listener);
+    
+    if (!this.events.some(event => event.type === type)) {
+      error && error(new Error(`Recording has no ${type} readings`));
+    }
+    
+    // Start on the next tick so every sensor type is subscribed before the first readings go out
+    if (!this.timer && !this.isFinished) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.start();
+      }, 0);
+    }
+    
+    return {
+      unsubscribe: () => {
+        this.listeners.delete(listener);
+        if (this.listeners.size === 0) {
+          this.stop();
+        }
+      }
+    };
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Common interface for compass sensor sources
+ * Consumers subscribe per sensor type and never care whether readings come from hardware, a simulator or a recording
+ */
+
+export const SENSOR_TYPES = ['magnetometer', 'accelerometer', 'gyroscope'];
+
+const DEFAULT_UPDATE_INTERVAL = 100; // ms, same default as react-native-sensors
+
+/**
+ * Base sensor provider
+ * Readings are {x, y, z, timestamp}: magnetometer in µT, accelerometer in m/s², gyroscope in rad/s,
+ * timestamp in milliseconds, all in the device axes used by react-native-sensors.
+ */
+export class SensorProvider {
+  constructor(name) {
+    this.name = name;
+    this.isSimulated = false;
+    this.updateIntervals = {};
+    SENSOR_TYPES.forEach((type) => {
+      this.updateIntervals[type] = DEFAULT_UPDATE_INTERVAL;
+    });
+  }
+  
+  /**
+   * Set how often a sensor type emits readings
+   * @param {string} type - One of SENSOR_TYPES
+   * @param {number} interval - Update interval in milliseconds
+   */
+  setUpdateInterval(type, interval) {
+    if (!SENSOR_TYPES.includes(type)) {
+      throw new Error(`Unknown sensor type: ${type}`);
+    }
+    if (isFinite(interval) && interval > 0) {
+      this.updateIntervals[type] = interval;
+    }
+  }
+  
+  /**
+   * Subscribe to readings of one sensor type
+   * @param {string} type - One of SENSOR_TYPES
+   * @param {Function} next - Called with each reading {x, y, z, timestamp}
+   * @param {Function} error - Called once if the sensor cannot deliver readings (optional)
+   * @returns {Object} Subscription with an unsubscribe() method
+   */
+  subscribe(type, next, error) {
+    throw new Error(`${this.name} does not implement subscribe`);
+  }
+}
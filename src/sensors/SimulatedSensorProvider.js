@@ -0,0 +1,250 @@
+/**
+ * Sensor provider that synthesises physically consistent readings for a virtual phone
+ * The phone turns at a set rate with optional tilt and wobble; readings can carry noise,
+ * gyroscope drift, a hard-iron offset and random magnetic disturbance spikes.
+ */
+
+import { SensorProvider, SENSOR_TYPES } from './SensorProvider';
+import { multiplyMatrices, multiplyMatrixVector, transpose } from '../utils/MatrixUtils';
+
+const DEG_TO_RAD = Math.PI / 180;
+const GRAVITY = 9.81; // m/s²
+const RATE_STEP = 0.001; // Seconds, finite difference step for the gyroscope rates
+
+const DEFAULT_OPTIONS = {
+  initialHeading: 0, // degrees
+  rotationRate: 10, // degrees per second, positive turns towards east
+  pitch: 0, // degrees, static tilt
+  roll: 0, // degrees, static tilt
+  wobbleAmplitude: 0, // degrees of periodic pitch/roll on top of the static tilt
+  wobblePeriod: 4, // seconds
+  fieldStrength: 45, // µT
+  inclination: -30, // degrees, positive when the field points down
+  hardIron: { x: 0, y: 0, z: 0 }, // µT offset added to every magnetometer reading
+  magnetometerNoise: 0.3, // µT standard deviation
+  accelerometerNoise: 0.05, // m/s² standard deviation
+  gyroscopeNoise: 0.002, // rad/s standard deviation
+  gyroscopeDrift: { x: 0, y: 0, z: 0 }, // rad/s constant bias
+  spikeRate: 0, // expected disturbance spikes per second
+  spikeMagnitude: 30, // µT
+  spikeDuration: 1500, // ms
+  seed: null, // number for a repeatable sequence of noise and spikes
+  now: () => Date.now()
+};
+
+/**
+ * Small seedable pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const rotationX = (a) => [[1, 0, 0], [0, Math.cos(a), -Math.sin(a)], [0, Math.sin(a), Math.cos(a)]];
+const rotationY = (a) => [[Math.cos(a), 0, Math.sin(a)], [0, 1, 0], [-Math.sin(a), 0, Math.cos(a)]];
+const rotationZ = (a) => [[Math.cos(a), -Math.sin(a), 0], [Math.sin(a), Math.cos(a), 0], [0, 0, 1]];
+
+/**
+ * Simulated sensors
+ */
+export class SimulatedSensorProvider extends SensorProvider {
+  constructor(options = {}) {
+    super('simulated');
+    this.isSimulated = true;
+    this.subscriptions = new Set();
+    this.configure(options);
+  }
+  
+  /**
+   * Change simulation parameters; unspecified ones keep their current value
+   * @param {Object} options - See DEFAULT_OPTIONS
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...this.options, ...options };
+    if ('seed' in options) {
+      this.random = isFinite(options.seed) && options.seed !== null
+        ? createRandom(options.seed)
+        : Math.random;
+    }
+    if (!this.random) {
+      this.random = Math.random;
+    }
+    if ('initialHeading' in options || 'rotationRate' in options) {
+      this.startTime = null;
+    }
+    this.activeSpike = null;
+  }
+  
+  /**
+   * Standard normal random number (Box-Muller)
+   */
+  gaussian() {
+    const u = Math.max(this.random(), 1e-12);
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+  
+  noisyVector(vector, deviation, bias = { x: 0, y: 0, z: 0 }) {
+    return {
+      x: vector[0] + bias.x + deviation * this.gaussian(),
+      y: vector[1] + bias.y + deviation * this.gaussian(),
+      z: vector[2] + bias.z + deviation * this.gaussian()
+    };
+  }
+  
+  elapsedSeconds(timestamp) {
+    if (this.startTime === null || this.startTime === undefined) {
+      this.startTime = timestamp;
+    }
+    return (timestamp - this.startTime) / 1000;
+  }
+  
+  /**
+   * True orientation of the virtual phone
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {Object} {heading, pitch, roll} in degrees
+   */
+  getTruth(timestamp = this.options.now()) {
+    const t = this.elapsedSeconds(timestamp);
+    const {
+      initialHeading, rotationRate, pitch, roll, wobbleAmplitude, wobblePeriod
+    } = this.options;
+    
+    const phase = 2 * Math.PI * t / wobblePeriod;
+    const heading = ((initialHeading + rotationRate * t) % 360 + 360) % 360;
+    
+    return {
+      heading,
+      pitch: pitch + wobbleAmplitude * Math.sin(phase),
+      roll: roll + wobbleAmplitude * Math.cos(phase)
+    };
+  }
+  
+  /**
+   * Body-to-world rotation at a given time
+   * World axes: x to magnetic north, z up. Yaw is the negative heading, matching calculateHeading.
+   */
+  rotationAt(timestamp) {
+    const { heading, pitch, roll } = this.getTruth(timestamp);
+    return multiplyMatrices(
+      multiplyMatrices(rotationZ(-heading * DEG_TO_RAD), rotationY(pitch * DEG_TO_RAD)),
+      rotationX(roll * DEG_TO_RAD)
+    );
+  }
+  
+  /**
+   * Produce one reading for a sensor type
+   * @param {string} type - One of SENSOR_TYPES
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {Object} {x, y, z, timestamp}
+   */
+  sample(type, timestamp = this.options.now()) {
+    const rotation = this.rotationAt(timestamp);
+    const toBody = transpose(rotation);
+    let reading;
+    
+    if (type === 'magnetometer') {
+      const { fieldStrength, inclination, hardIron, magnetometerNoise } = this.options;
+      const field = [
+        fieldStrength * Math.cos(inclination * DEG_TO_RAD),
+        0,
+        -fieldStrength * Math.sin(inclination * DEG_TO_RAD)
+      ];
+      reading = this.noisyVector(multiplyMatrixVector(toBody, field), magnetometerNoise, hardIron);
+      
+      const spike = this.updateSpike(timestamp);
+      if (spike) {
+        reading.x += spike.x;
+        reading.y += spike.y;
+        reading.z += spike.z;
+      }
+    } else if (type === 'accelerometer') {
+      reading = this.noisyVector(
+        multiplyMatrixVector(toBody, [0, 0, GRAVITY]),
+        this.options.accelerometerNoise
+      );
+    } else if (type === 'gyroscope') {
+      // Body rates from the skew-symmetric matrix Rᵀ·dR/dt
+      const before = this.rotationAt(timestamp - RATE_STEP * 1000);
+      const after = this.rotationAt(timestamp + RATE_STEP * 1000);
+      const derivative = after.map((row, i) => row.map((value, j) => (value - before[i][j]) / (2 * RATE_STEP)));
+      const skew = multiplyMatrices(toBody, derivative);
+      reading = this.noisyVector(
+        [skew[2][1], skew[0][2], skew[1][0]],
+        this.options.gyroscopeNoise,
+        this.options.gyroscopeDrift
+      );
+    } else {
+      throw new Error(`Unknown sensor type: ${type}`);
+    }
+    
+    return { ...reading, timestamp };
+  }
+  
+  /**
+   * Start, continue or end a disturbance spike
+   * @returns {Object|null} Spike vector in µT while a spike is active
+   */
+  updateSpike(timestamp) {
+    const { spikeRate, spikeMagnitude, spikeDuration } = this.options;
+    
+    if (this.activeSpike && timestamp < this.activeSpike.until) {
+      return this.activeSpike.vector;
+    }
+    this.activeSpike = null;
+    
+    if (spikeRate <= 0) {
+      return null;
+    }
+    
+    const dt = this.updateIntervals.magnetometer / 1000;
+    if (this.random() < 1 - Math.exp(-spikeRate * dt)) {
+      const direction = { x: this.gaussian(), y: this.gaussian(), z: this.gaussian() };
+      const norm = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2) || 1;
+      this.activeSpike = {
+        until: timestamp + spikeDuration,
+        vector: {
+          x: direction.x / norm * spikeMagnitude,
+          y: direction.y / norm * spikeMagnitude,
+          z: direction.z / norm * spikeMagnitude
+        }
+      };
+      return this.activeSpike.vector;
+    }
+    
+    return null;
+  }
+  
+  subscribe(type, next, error) {
+    if (!SENSOR_TYPES.includes(type)) {
+      throw new Error(`Unknown sensor type: ${type}`);
+    }
+    
+    const timer = setInterval(() => {
+      try {
+        next(this.sample(type, this.options.now()));
+      } catch (sampleError) {
+        console.warn('Simulated sensor error:', sampleError);
+        error && error(sampleError);
+      }
+    }, this.updateIntervals[type]);
+    
+    const subscription = {
+      unsubscribe: () => {
+        clearInterval(timer);
+        this.subscriptions.delete(subscription);
+      }
+    };
+    this.subscriptions.add(subscription);
+    
+    return subscription;
+  }
+}
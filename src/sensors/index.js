@@ -0,0 +1,9 @@
+/**
+ * Sensor sources for the compass
+ * Every consumer reads through a provider so live, simulated and recorded readings are interchangeable
+ */
+
+export { SensorProvider, SENSOR_TYPES } from './SensorProvider';
+export { LiveSensorProvider, liveSensorProvider } from './LiveSensorProvider';
+export { SimulatedSensorProvider } from './SimulatedSensorProvider';
+export { ReplaySensorProvider, parseSensorRecording } from './ReplaySensorProvider';
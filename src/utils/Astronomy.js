@@ -0,0 +1,321 @@
+/**
+ * Offline sun and moon positions
+ * Low-precision series from Meeus, "Astronomical Algorithms" (chapters 25 and 47): about 0.01° for
+ * the sun and 0.1° for the moon, ample for a compass dial and for checking a heading against the sun.
+ * Azimuths are true bearings measured clockwise from north.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+const J2000 = 2451545.0; // Julian day of 2000-01-01 12:00 TT
+const EARTH_RADIUS = 6378.14; // km
+const AU = 149597870.7; // km
+
+// Rise and set search parameters
+const SUN_HORIZON = -0.833; // Degrees: refraction at the horizon plus the solar semidiameter
+const SEARCH_STEP = 10 * 60 * 1000; // ms between samples when looking for horizon crossings
+const SEARCH_PRECISION = 10 * 1000; // ms
+const DAY = 24 * 60 * 60 * 1000;
+
+const sin = (degrees) => Math.sin(degrees * DEG_TO_RAD);
+const cos = (degrees) => Math.cos(degrees * DEG_TO_RAD);
+const normalize = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Julian day for a date
+ * @param {Date|number} date - Date or milliseconds since the epoch
+ * @returns {number} Julian day
+ */
+export const toJulianDay = (date) => {
+  return new Date(date).getTime() / DAY + 2440587.5;
+};
+
+/**
+ * Julian centuries since J2000
+ */
+const toCenturies = (date) => (toJulianDay(date) - J2000) / 36525;
+
+/**
+ * Ecliptic to equatorial coordinates
+ * @returns {Object} {rightAscension, declination} in degrees
+ */
+const eclipticToEquatorial = (longitude, latitude, obliquity) => {
+  const rightAscension = Math.atan2(
+    sin(longitude) * cos(obliquity) - Math.tan(latitude * DEG_TO_RAD) * sin(obliquity),
+    cos(longitude)
+  ) * RAD_TO_DEG;
+  const declination = Math.asin(
+    sin(latitude) * cos(obliquity) + cos(latitude) * sin(obliquity) * sin(longitude)
+  ) * RAD_TO_DEG;
+  
+  return { rightAscension: normalize(rightAscension), declination };
+};
+
+const meanObliquity = (T) => 23.439291 - 0.0130042 * T;
+
+/**
+ * Geocentric apparent position of the sun
+ * @param {Date} date - Time of observation
+ * @returns {Object} {longitude, rightAscension, declination, distance (km)}
+ */
+const solarCoordinates = (date) => {
+  const T = toCenturies(date);
+  const L0 = 280.46646 + 36000.76983 * T;
+  const M = 357.52911 + 35999.05029 * T;
+  const e = 0.016708634 - 0.000042037 * T;
+  const C = (1.914602 - 0.004817 * T) * sin(M) + (0.019993 - 0.000101 * T) * sin(2 * M) + 0.000289 * sin(3 * M);
+  const omega = 125.04 - 1934.136 * T;
+  
+  const trueAnomaly = M + C;
+  const longitude = normalize(L0 + C - 0.00569 - 0.00478 * sin(omega));
+  const obliquity = meanObliquity(T) + 0.00256 * cos(omega);
+  const distance = 1.000001018 * (1 - e * e) / (1 + e * cos(trueAnomaly)) * AU;
+  
+  return { longitude, distance, ...eclipticToEquatorial(longitude, 0, obliquity) };
+};
+
+/**
+ * Geocentric position of the moon from the largest periodic terms
+ * @param {Date} date - Time of observation
+ * @returns {Object} {longitude, latitude, rightAscension, declination, distance (km)}
+ */
+const lunarCoordinates = (date) => {
+  const T = toCenturies(date);
+  const L = 218.3164477 + 481267.88123421 * T; // Mean longitude
+  const D = 297.8501921 + 445267.1114034 * T; // Mean elongation
+  const M = 357.5291092 + 35999.0502909 * T; // Sun's mean anomaly
+  const Mm = 134.9633964 + 477198.8675055 * T; // Moon's mean anomaly
+  const F = 93.2720950 + 483202.0175233 * T; // Argument of latitude
+  
+  const longitude = normalize(L +
+    6.288774 * sin(Mm) +
+    1.274027 * sin(2 * D - Mm) +
+    0.658314 * sin(2 * D) +
+    0.213618 * sin(2 * Mm) -
+    0.185116 * sin(M) -
+    0.114332 * sin(2 * F) +
+    0.058793 * sin(2 * D - 2 * Mm) +
+    0.057066 * sin(2 * D - M - Mm) +
+    0.053322 * sin(2 * D + Mm) +
+    0.045758 * sin(2 * D - M) -
+    0.040923 * sin(M - Mm) -
+    0.034720 * sin(D) -
+    0.030383 * sin(M + Mm));
+  
+  const latitude =
+    5.128122 * sin(F) +
+    0.280602 * sin(Mm + F) +
+    0.277693 * sin(Mm - F) +
+    0.173237 * sin(2 * D - F) +
+    0.055413 * sin(2 * D - Mm + F) +
+    0.046271 * sin(2 * D - Mm - F) +
+    0.032573 * sin(2 * D + F) +
+    0.017198 * sin(2 * Mm + F);
+  
+  const distance = 385000.56 -
+    20905.355 * cos(Mm) -
+    3699.111 * cos(2 * D - Mm) -
+    2955.968 * cos(2 * D) -
+    569.925 * cos(2 * Mm) +
+    48.888 * cos(M) +
+    246.158 * cos(2 * D - 2 * Mm) -
+    152.138 * cos(2 * D - M - Mm) -
+    170.733 * cos(2 * D + Mm) -
+    204.586 * cos(2 * D - M) -
+    129.620 * cos(M - Mm) +
+    108.743 * cos(D) +
+    104.755 * cos(M + Mm);
+  
+  return { longitude, latitude, distance, ...eclipticToEquatorial(longitude, latitude, meanObliquity(T)) };
+};
+
+/**
+ * Greenwich mean sidereal time
+ * @returns {number} Degrees
+ */
+const siderealTime = (date) => {
+  const d = toJulianDay(date) - J2000;
+  const T = d / 36525;
+  return normalize(280.46061837 + 360.98564736629 * d + 0.000387933 * T * T);
+};
+
+/**
+ * Equatorial to horizontal coordinates for an observer
+ * @returns {Object} {azimuth, altitude} in degrees, geometric (no refraction)
+ */
+const equatorialToHorizontal = ({ rightAscension, declination }, date, location) => {
+  const hourAngle = siderealTime(date) + location.longitude - rightAscension;
+  const latitude = location.latitude;
+  
+  const altitude = Math.asin(
+    sin(latitude) * sin(declination) + cos(latitude) * cos(declination) * cos(hourAngle)
+  ) * RAD_TO_DEG;
+  const azimuth = Math.atan2(
+    -sin(hourAngle) * cos(declination),
+    cos(latitude) * sin(declination) - sin(latitude) * cos(declination) * cos(hourAngle)
+  ) * RAD_TO_DEG;
+  
+  return { azimuth: normalize(azimuth), altitude };
+};
+
+/**
+ * Atmospheric refraction for a geometric altitude (Saemundsson)
+ * @param {number} altitude - Degrees
+ * @returns {number} Degrees to add to the geometric altitude
+ */
+const refraction = (altitude) => {
+  if (altitude < -1) return 0;
+  return 1.02 / Math.tan((altitude + 10.3 / (altitude + 5.11)) * DEG_TO_RAD) / 60;
+};
+
+/**
+ * Position of the sun in the sky
+ * @param {Date} date - Time of observation
+ * @param {Object} location - {latitude, longitude}
+ * @returns {Object} {azimuth, elevation, declination, distance}
+ *   azimuth clockwise from true north, elevation in degrees including refraction, distance in km
+ */
+export const getSunPosition = (date, location) => {
+  const sun = solarCoordinates(date);
+  const { azimuth, altitude } = equatorialToHorizontal(sun, date, location);
+  
+  return {
+    azimuth,
+    elevation: altitude + refraction(altitude),
+    declination: sun.declination,
+    distance: sun.distance
+  };
+};
+
+/**
+ * Position and phase of the moon in the sky
+ * @param {Date} date - Time of observation
+ * @param {Object} location - {latitude, longitude}
+ * @returns {Object} {azimuth, elevation, distance, illumination, phase, isWaxing}
+ *   elevation is topocentric with refraction; illumination is the lit fraction (0-1);
+ *   phase runs 0 (new) → 0.5 (full) → 1 (new)
+ */
+export const getMoonPosition = (date, location) => {
+  const moon = lunarCoordinates(date);
+  const sun = solarCoordinates(date);
+  const { azimuth, altitude } = equatorialToHorizontal(moon, date, location);
+  
+  // Seen from the surface the moon sits lower than from the earth's centre
+  const parallax = Math.asin(EARTH_RADIUS / moon.distance) * RAD_TO_DEG;
+  const topocentric = altitude - parallax * cos(altitude);
+  
+  // Phase angle from the sun-moon elongation
+  const elongation = Math.acos(
+    sin(sun.declination) * sin(moon.declination) +
+    cos(sun.declination) * cos(moon.declination) * cos(sun.rightAscension - moon.rightAscension)
+  ) * RAD_TO_DEG;
+  const phaseAngle = Math.atan2(
+    sun.distance * sin(elongation),
+    moon.distance - sun.distance * cos(elongation)
+  ) * RAD_TO_DEG;
+  const age = normalize(moon.longitude - sun.longitude);
+  
+  return {
+    azimuth,
+    elevation: topocentric + refraction(topocentric),
+    distance: moon.distance,
+    illumination: (1 + cos(phaseAngle)) / 2,
+    phase: age / 360,
+    isWaxing: age < 180
+  };
+};
+
+/**
+ * Find when a body crosses a horizon altitude
+ * @param {Function} altitudeAt - (timeMs) => altitude above the threshold in degrees
+ * @param {number} start - Window start in ms
+ * @param {number} end - Window end in ms
+ * @returns {Object} {rise, set} times in ms, null if the crossing does not happen in the window
+ */
+const findHorizonCrossings = (altitudeAt, start, end) => {
+  let rise = null;
+  let set = null;
+  let previousTime = start;
+  let previous = altitudeAt(start);
+  
+  for (let time = start + SEARCH_STEP; time <= end && (rise === null || set === null); time += SEARCH_STEP) {
+    const current = altitudeAt(time);
+    
+    if ((previous < 0) !== (current < 0)) {
+      // Bisect the interval with the sign change
+      let low = previousTime;
+      let high = time;
+      while (high - low > SEARCH_PRECISION) {
+        const middle = (low + high) / 2;
+        if ((altitudeAt(middle) < 0) === (previous < 0)) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      const crossing = Math.round((low + high) / 2);
+      
+      if (previous < 0 && rise === null) {
+        rise = crossing;
+      } else if (previous >= 0 && set === null) {
+        set = crossing;
+      }
+    }
+    
+    previousTime = time;
+    previous = current;
+  }
+  
+  return { rise, set };
+};
+
+const startOfLocalDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start.getTime();
+};
+
+/**
+ * Sunrise and sunset for the local calendar day of a date
+ * @param {Date} date - Any time on the day
+ * @param {Object} location - {latitude, longitude}
+ * @returns {Object} {sunrise, sunset}, each {time: Date, azimuth} or null (polar day or night)
+ */
+export const getSunTimes = (date, location) => {
+  const start = startOfLocalDay(date);
+  const altitudeAt = (time) => {
+    const { altitude } = equatorialToHorizontal(solarCoordinates(time), time, location);
+    return altitude - SUN_HORIZON;
+  };
+  const { rise, set } = findHorizonCrossings(altitudeAt, start, start + DAY);
+  const event = (time) => (time === null ? null : {
+    time: new Date(time),
+    azimuth: getSunPosition(time, location).azimuth
+  });
+  
+  return { sunrise: event(rise), sunset: event(set) };
+};
+
+/**
+ * Moonrise and moonset for the local calendar day of a date
+ * @param {Date} date - Any time on the day
+ * @param {Object} location - {latitude, longitude}
+ * @returns {Object} {moonrise, moonset}, each {time: Date, azimuth} or null (about once a month one is missing)
+ */
+export const getMoonTimes = (date, location) => {
+  const start = startOfLocalDay(date);
+  const altitudeAt = (time) => {
+    const moon = lunarCoordinates(time);
+    const { altitude } = equatorialToHorizontal(moon, time, location);
+    // Upper limb on the horizon: parallax, semidiameter and refraction (Meeus 15.1)
+    const parallax = Math.asin(EARTH_RADIUS / moon.distance) * RAD_TO_DEG;
+    return altitude - (0.7275 * parallax - 0.5667);
+  };
+  const { rise, set } = findHorizonCrossings(altitudeAt, start, start + DAY);
+  const event = (time) => (time === null ? null : {
+    time: new Date(time),
+    azimuth: getMoonPosition(time, location).azimuth
+  });
+  
+  return { moonrise: event(rise), moonset: event(set) };
+};
@@ -0,0 +1,214 @@
+/**
+ * Log of compass bearing sightings
+ * Each sighting keeps where it was taken and the bearing in magnetic, true and UTM grid north, with the
+ * declination and convergence that link them, so sightlines can be drawn again on a map after the survey.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getMagneticDeclination } from './CompassUtils';
+import { validateCoordinates, getGridConvergence } from './CoordinateFormats';
+
+const STORAGE_KEY = '@KompasApp/bearings';
+const DEG_TO_RAD = Math.PI / 180;
+
+// Capture parameters
+export const DEFAULT_CAPTURE_DURATION = 3000; // ms of headings averaged into one sighting
+export const MIN_CAPTURE_SAMPLES = 5;
+export const UNSTEADY_CAPTURE_SPREAD = 5; // Degrees; a wider spread means the phone was moving
+
+const normalizeBearing = (value) => ((value % 360) + 360) % 360;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+// Rounding can carry 359.999 up to 360
+const roundBearing = (value) => round(normalizeBearing(value)) % 360;
+
+/**
+ * Circular mean and spread of headings
+ * Headings cannot be averaged as plain numbers across north (359° and 1° must give 0°, not 180°),
+ * so each one is taken as a unit vector and the vectors are summed.
+ * @param {Array<number>} headings - Degrees
+ * @returns {Object|null} {mean, spread, resultantLength, count}; resultantLength is 0-1 (1 when all agree),
+ *   spread is the circular standard deviation sqrt(-2 ln R) in degrees; null without headings
+ */
+export const averageHeadings = (headings) => {
+  const valid = headings.filter(heading => typeof heading === 'number' && isFinite(heading));
+  if (valid.length === 0) {
+    return null;
+  }
+  
+  const sumSin = valid.reduce((sum, heading) => sum + Math.sin(heading * DEG_TO_RAD), 0);
+  const sumCos = valid.reduce((sum, heading) => sum + Math.cos(heading * DEG_TO_RAD), 0);
+  const resultantLength = Math.min(1, Math.sqrt(sumSin * sumSin + sumCos * sumCos) / valid.length);
+  
+  return {
+    mean: normalizeBearing(Math.atan2(sumSin, sumCos) / DEG_TO_RAD),
+    // Headings spread evenly round the dial have no direction; their spread is unbounded
+    spread: resultantLength > 0 ? Math.sqrt(-2 * Math.log(resultantLength)) / DEG_TO_RAD : Infinity,
+    resultantLength,
+    count: valid.length
+  };
+};
+
+/**
+ * Create a unique sighting identifier
+ * @returns {string} Identifier
+ */
+const createSightingId = () => {
+  return `brg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Build a sighting from a magnetic heading
+ * A sighting aimed at a saved waypoint keeps a copy of it as the target, so it can be used for resection
+ * even after the waypoint is edited or deleted. Such a sighting needs no GPS fix; the declination and
+ * convergence are then taken at the target, which differ negligibly over sighting distances.
+ * @param {Object} data - {magneticHeading (degrees), location: {latitude, longitude, altitude, accuracy},
+ *   target: waypoint {id, name, latitude, longitude}, compassAccuracy: score from calculateCompassAccuracy (0-1),
+ *   spread and sampleCount from averageHeadings, note, timestamp}
+ * @returns {Object} {timestamp, latitude, longitude, altitude, locationAccuracy, magneticHeading, declination,
+ *   declinationSource, trueHeading, gridConvergence, gridHeading, utmZone, target, compassAccuracy, spread,
+ *   sampleCount, note}; the position fields are null without a location, the grid fields are null outside UTM
+ *   (beyond 80°S and 84°N), target is null or {id, name, latitude, longitude}
+ * @throws {Error} When the heading is missing, or both the position and the target
+ */
+export const createBearingSighting = ({
+  magneticHeading,
+  location = null,
+  target = null,
+  compassAccuracy = 0,
+  spread = null,
+  sampleCount = 1,
+  note = '',
+  timestamp = Date.now()
+}) => {
+  if (typeof magneticHeading !== 'number' || !isFinite(magneticHeading)) {
+    throw new Error('Arah kompas belum tersedia');
+  }
+  if (!location && !target) {
+    throw new Error('Lokasi belum tersedia');
+  }
+  for (const position of [location, target]) {
+    const coordinates = position ? validateCoordinates(position.latitude, position.longitude) : { isValid: true };
+    if (!coordinates.isValid) {
+      throw new Error(coordinates.reason);
+    }
+  }
+  
+  // Declination for the day of the sighting, not the day of an export
+  const reference = location || target;
+  const { declination, source } = getMagneticDeclination(reference, new Date(timestamp));
+  const trueHeading = normalizeBearing(magneticHeading + declination);
+  const grid = getGridConvergence(reference.latitude, reference.longitude);
+  
+  return {
+    timestamp,
+    latitude: location ? location.latitude : null,
+    longitude: location ? location.longitude : null,
+    altitude: location && isFinite(location.altitude) && location.altitude !== null ? location.altitude : null,
+    locationAccuracy: location && isFinite(location.accuracy) && location.accuracy !== null ? location.accuracy : null,
+    magneticHeading: roundBearing(magneticHeading),
+    declination: round(declination),
+    declinationSource: source,
+    trueHeading: roundBearing(trueHeading),
+    gridConvergence: grid ? round(grid.convergence) : null,
+    gridHeading: grid ? roundBearing(trueHeading - grid.convergence) : null,
+    utmZone: grid ? grid.zone : null,
+    target: target
+      ? { id: target.id || null, name: target.name || '', latitude: target.latitude, longitude: target.longitude }
+      : null,
+    compassAccuracy: isFinite(compassAccuracy) ? compassAccuracy : 0,
+    spread: isFinite(spread) && spread !== null ? round(spread) : null,
+    sampleCount,
+    note: note.trim()
+  };
+};
+
+/**
+ * Bearing log
+ */
+export class BearingLog {
+  constructor() {
+    this.sightings = {};
+    this.isLoaded = false;
+  }
+  
+  /**
+   * Load sightings from storage
+   * @returns {Promise<Object>} - Stored sightings keyed by id
+   */
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.sightings = parsed.sightings || {};
+      }
+    } catch (error) {
+      console.error('Error loading bearing log:', error);
+      this.sightings = {};
+    }
+    
+    this.isLoaded = true;
+    return this.sightings;
+  }
+  
+  /**
+   * Write sightings to storage
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  async persist() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ sightings: this.sightings }));
+      return true;
+    } catch (error) {
+      console.error('Error saving bearing log:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Record a sighting
+   * @param {Object} data - Fields for createBearingSighting
+   * @returns {Promise<Object>} - Saved sighting
+   * @throws {Error} - When the heading or position is missing
+   */
+  async addSighting(data) {
+    const sighting = { id: createSightingId(), ...createBearingSighting(data) };
+    
+    this.sightings[sighting.id] = sighting;
+    await this.persist();
+    
+    return sighting;
+  }
+  
+  /**
+   * Delete a sighting
+   * @param {string} id - Sighting identifier
+   * @returns {Promise<boolean>} - Whether the sighting existed
+   */
+  async deleteSighting(id) {
+    if (!this.sightings[id]) {
+      return false;
+    }
+    
+    delete this.sightings[id];
+    await this.persist();
+    
+    return true;
+  }
+  
+  /**
+   * List sightings, newest first
+   * @returns {Array} - Sightings
+   */
+  listSightings() {
+    return Object.values(this.sightings).sort((a, b) => b.timestamp - a.timestamp);
+  }
+}
+
+// Global bearing log instance
+export const bearingLog = new BearingLog();
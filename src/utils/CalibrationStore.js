@@ -0,0 +1,251 @@
+/**
+ * Persistent storage for magnetometer calibration profiles
+ * Keeps named hard-iron/soft-iron profiles across app launches and decides when they are stale
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+
+const STORAGE_KEY = '@KompasApp/calibrationProfiles';
+
+export const DEFAULT_PROFILE_NAME = 'Ponsel tanpa casing';
+
+// Expiry parameters
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_FIELD_CHANGE_THRESHOLD = 0.25; // 25% relative field strength change
+
+/**
+ * Get a device model identifier for the current phone
+ * @returns {string} Device model
+ */
+export const getDeviceModel = () => {
+  const constants = Platform.constants || {};
+  return constants.Model || constants.model || Platform.OS;
+};
+
+/**
+ * Calibration profile store
+ */
+export class CalibrationStore {
+  constructor(options = {}) {
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.fieldChangeThreshold = options.fieldChangeThreshold || DEFAULT_FIELD_CHANGE_THRESHOLD;
+    this.profiles = {};
+    this.activeProfileName = DEFAULT_PROFILE_NAME;
+    this.isLoaded = false;
+  }
+  
+  /**
+   * Update expiry options
+   * @param {Object} options - {maxAge, fieldChangeThreshold}
+   */
+  setOptions(options = {}) {
+    if (isFinite(options.maxAge) && options.maxAge > 0) {
+      this.maxAge = options.maxAge;
+    }
+    if (isFinite(options.fieldChangeThreshold) && options.fieldChangeThreshold > 0) {
+      this.fieldChangeThreshold = options.fieldChangeThreshold;
+    }
+  }
+  
+  /**
+   * Load profiles from storage
+   * @returns {Promise<Object>} - Stored profiles keyed by name
+   */
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.profiles = parsed.profiles || {};
+        this.activeProfileName = parsed.activeProfileName || DEFAULT_PROFILE_NAME;
+      }
+    } catch (error) {
+      console.error('Error loading calibration profiles:', error);
+      this.profiles = {};
+    }
+    
+    this.isLoaded = true;
+    return this.profiles;
+  }
+  
+  /**
+   * Write profiles to storage
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  async persist() {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({
+        profiles: this.profiles,
+        activeProfileName: this.activeProfileName
+      }));
+      return true;
+    } catch (error) {
+      console.error('Error saving calibration profiles:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Save a calibration result under a profile name
+   * @param {string} name - Profile name, e.g. "Ponsel tanpa casing" or "Casing rugged"
+   * @param {Object} calibration - Result of calibrateMagnetometer
+   * @returns {Promise<Object>} - Saved profile
+   */
+  async saveProfile(name, calibration) {
+    const profileName = (name || '').trim() || DEFAULT_PROFILE_NAME;
+    
+    const profile = {
+      name: profileName,
+      savedAt: Date.now(),
+      deviceModel: getDeviceModel(),
+      calibration: {
+        isCalibrated: calibration.isCalibrated,
+        method: calibration.method,
+        hardIron: calibration.hardIron,
+        softIron: calibration.softIron,
+        fieldStrength: calibration.fieldStrength,
+        residual: calibration.residual,
+        coverage: calibration.coverage,
+        quality: calibration.quality,
+        offsets: calibration.offsets,
+        // Sun sight correction; a fresh fit starts without one since its residual is different
+        headingOffset: isFinite(calibration.headingOffset) ? calibration.headingOffset : 0
+      }
+    };
+    
+    this.profiles[profileName] = profile;
+    this.activeProfileName = profileName;
+    await this.persist();
+    
+    return profile;
+  }
+  
+  /**
+   * Store a heading offset from a sun sight on the active profile
+   * @param {number} offset - Degrees added to the calibrated heading
+   * @returns {Promise<Object|null>} - Updated profile, null without an active profile
+   */
+  async setHeadingOffset(offset) {
+    const profile = this.getActiveProfile();
+    if (!profile || !isFinite(offset)) {
+      return null;
+    }
+    
+    profile.calibration = { ...profile.calibration, headingOffset: offset };
+    profile.headingOffsetSetAt = Date.now();
+    await this.persist();
+    
+    return profile;
+  }
+  
+  /**
+   * Delete a profile
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} - Whether the profile existed
+   */
+  async deleteProfile(name) {
+    if (!this.profiles[name]) {
+      return false;
+    }
+    
+    delete this.profiles[name];
+    if (this.activeProfileName === name) {
+      this.activeProfileName = Object.keys(this.profiles)[0] || DEFAULT_PROFILE_NAME;
+    }
+    await this.persist();
+    
+    return true;
+  }
+  
+  /**
+   * Select the active profile
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} - Selected profile, null if it does not exist yet
+   */
+  async setActiveProfile(name) {
+    this.activeProfileName = name;
+    await this.persist();
+    return this.profiles[name] || null;
+  }
+  
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {Object|null} - Profile
+   */
+  getProfile(name) {
+    return this.profiles[name] || null;
+  }
+  
+  /**
+   * Get the active profile
+   * @returns {Object|null} - Active profile
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeProfileName);
+  }
+  
+  /**
+   * List profiles, most recently saved first
+   * @returns {Array} - Profiles
+   */
+  listProfiles() {
+    return Object.values(this.profiles).sort((a, b) => b.savedAt - a.savedAt);
+  }
+  
+  /**
+   * Check whether a profile should no longer be applied
+   * @param {Object} profile - Stored profile
+   * @param {number} currentFieldStrength - Magnitude of a live reading after applying the profile (optional)
+   * @returns {Object} - {isExpired, reason}
+   */
+  checkExpiry(profile, currentFieldStrength = null) {
+    if (!profile || !profile.calibration) {
+      return { isExpired: true, reason: 'No profile' };
+    }
+    
+    if (Date.now() - profile.savedAt > this.maxAge) {
+      return { isExpired: true, reason: 'Profile too old' };
+    }
+    
+    if (profile.deviceModel && profile.deviceModel !== getDeviceModel()) {
+      return { isExpired: true, reason: 'Different device' };
+    }
+    
+    const expectedStrength = profile.calibration.fieldStrength;
+    if (isFinite(currentFieldStrength) && currentFieldStrength > 0 && expectedStrength > 0) {
+      const change = Math.abs(currentFieldStrength - expectedStrength) / expectedStrength;
+      if (change > this.fieldChangeThreshold) {
+        return { isExpired: true, reason: 'Field strength changed' };
+      }
+    }
+    
+    return { isExpired: false, reason: 'Valid' };
+  }
+  
+  /**
+   * Load storage if needed and return the active calibration when it is still valid
+   * @returns {Promise<Object|null>} - Calibration result or null
+   */
+  async loadActiveCalibration() {
+    if (!this.isLoaded) {
+      await this.load();
+    }
+    
+    const profile = this.getActiveProfile();
+    const { isExpired, reason } = this.checkExpiry(profile);
+    
+    if (isExpired) {
+      if (profile) {
+        console.log(`Calibration profile "${profile.name}" expired: ${reason}`);
+      }
+      return null;
+    }
+    
+    return profile.calibration;
+  }
+}
+
+// Global calibration store instance
+export const calibrationStore = new CalibrationStore();
@@ -3,86 +3,148 @@
  * Includes complex algorithms for magnetometer calibration, filtering, and accuracy assessment
  */
 
-// Enhanced magnetic declination data for Indonesia region
-const MAGNETIC_DECLINATION_DATA = {
-  regions: [
-    { lat: -11, lng: 95, declination: 0.5, accuracy: 0.1 },
-    { lat: -6, lng: 105, declination: 0.3, accuracy: 0.1 },
-    { lat: 6, lng: 95, declination: 0.7, accuracy: 0.1 },
-    { lat: 6, lng: 141, declination: 1.2, accuracy: 0.1 },
-    { lat: -8.5, lng: 115, declination: 0.4, accuracy: 0.1 }, // Bali
-    { lat: -6.2, lng: 106.8, declination: 0.2, accuracy: 0.1 }, // Jakarta
-    { lat: -7.8, lng: 110.4, declination: 0.3, accuracy: 0.1 }, // Yogyakarta
-  ]
-};
+import { calculateGeomagneticField, getDeclinationUncertainty } from './MagneticModel';
+import {
+  solveLinearSystem,
+  symmetricEigen3,
+  multiplyMatrices,
+  multiplyMatrixVector,
+  transpose,
+} from './MatrixUtils';
 
 // Calibration parameters
-const CALIBRATION_THRESHOLD = 0.1;
-const MIN_CALIBRATION_SAMPLES = 50;
-const MAX_CALIBRATION_SAMPLES = 200;
+const CALIBRATION_THRESHOLD = 0.05; // Max normalised RMS fit residual
+const MIN_SPHERE_COVERAGE = 0.6;
+const SPHERE_LATITUDE_BANDS = 6;
+const SPHERE_LONGITUDE_SECTORS = 8;
+export const MIN_CALIBRATION_SAMPLES = 50;
+export const MAX_CALIBRATION_SAMPLES = 200;
 
 // Filtering parameters
 const LOW_PASS_ALPHA = 0.8;
 const HIGH_PASS_ALPHA = 0.1;
 const KALMAN_Q = 0.1;
 const KALMAN_R = 0.1;
+const SMOOTHING_FACTOR = 0.1;
+const HEADING_KALMAN_Q = 100; // Angular acceleration noise density (deg²/s³)
+const HEADING_KALMAN_R = 4; // Heading measurement variance at full quality (deg²)
+const HEADING_KALMAN_MIN_QUALITY = 0.05;
+const HEADING_KALMAN_MAX_DT = 1.0; // Seconds
+
+// Kaaba, Masjidil Haram, Mecca
+export const KAABA_LOCATION = { latitude: 21.422487, longitude: 39.826206 };
+
+// Magnetic disturbance parameters
+const DISTURBANCE_FIELD_THRESHOLD = 0.15; // Relative field strength deviation
+const DISTURBANCE_FIELD_SEVERE = 0.35;
+const DISTURBANCE_INCLINATION_THRESHOLD = 10; // Degrees
+const DISTURBANCE_INCLINATION_SEVERE = 25;
+const TYPICAL_FIELD_RANGE = { min: 25, max: 65 }; // Microtesla, used when no location is known
+
+// Default filter parameters, exposed for offline tuning tools
+export const FILTER_DEFAULTS = {
+  lowPassAlpha: LOW_PASS_ALPHA,
+  kalmanQ: KALMAN_Q,
+  kalmanR: KALMAN_R,
+  smoothingFactor: SMOOTHING_FACTOR,
+  headingKalmanQ: HEADING_KALMAN_Q,
+  headingKalmanR: HEADING_KALMAN_R
+};
 
 /**
- * Calculate magnetic declination based on location with improved accuracy
- * @param {Object} location - {latitude, longitude}
+ * Calculate magnetic declination from the World Magnetic Model
+ * @param {Object} location - {latitude, longitude, altitude}, altitude in meters (optional)
+ * @param {Date} date - Date of the observation, defaults to now
  * @returns {Object} {declination, accuracy, source}
  */
-export const getMagneticDeclination = (location) => {
-  if (!location) {
+export const getMagneticDeclination = (location, date = new Date()) => {
+  if (!location || !isFinite(location.latitude) || !isFinite(location.longitude)) {
     return { declination: 0, accuracy: 1.0, source: 'default' };
   }
   
-  const { latitude, longitude } = location;
-  
-  // Find closest region for interpolation
-  let closestRegion = null;
-  let minDistance = Infinity;
-  
-  for (const region of MAGNETIC_DECLINATION_DATA.regions) {
-    const distance = Math.sqrt(
-      Math.pow(latitude - region.lat, 2) + Math.pow(longitude - region.lng, 2)
-    );
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestRegion = region;
+  try {
+    const field = calculateGeomagneticField({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      altitude: isFinite(location.altitude) ? location.altitude : 0,
+      date
+    });
+    
+    if (!isFinite(field.declination)) {
+      return { declination: 0, accuracy: 1.0, source: 'default' };
     }
-  }
-  
-  if (closestRegion && minDistance < 5) {
-    // Use closest region if within 5 degrees
+    
+    // The secular variation terms degrade quickly outside the model's validity window
+    const accuracy = getDeclinationUncertainty(field.horizontalIntensity) * (field.isDateValid ? 1 : 2);
+    
     return {
-      declination: closestRegion.declination,
-      accuracy: closestRegion.accuracy,
-      source: 'regional_data'
+      declination: field.declination,
+      accuracy: Math.round(accuracy * 100) / 100,
+      source: field.isDateValid ? 'wmm' : 'wmm_extrapolated'
     };
+  } catch (error) {
+    console.warn('Error evaluating magnetic model:', error);
+    return { declination: 0, accuracy: 1.0, source: 'default' };
+  }
+};
+
+/**
+ * Calculate pitch and roll from an accelerometer sample
+ * Both sensors are expected in the same device axes; the magnitude unit does not matter
+ * (m/s² on Android, g on iOS) because only the direction of gravity is used.
+ * @param {Object} accelerometerData - {x, y, z}
+ * @returns {Object|null} {pitch, roll} in radians, or null if gravity cannot be resolved
+ */
+export const calculateTiltAngles = (accelerometerData) => {
+  if (!accelerometerData || typeof accelerometerData.x !== 'number' ||
+      typeof accelerometerData.y !== 'number' || typeof accelerometerData.z !== 'number') {
+    return null;
   }
   
-  // Fallback to simple approximation for Indonesia
-  if (latitude >= -11 && latitude <= 6 && longitude >= 95 && longitude <= 141) {
-    const declination = 0.5 + (longitude - 95) * 0.01;
-    return {
-      declination,
-      accuracy: 0.5,
-      source: 'approximation'
-    };
+  const { x, y, z } = accelerometerData;
+  const gravity = Math.sqrt(x * x + y * y + z * z);
+  
+  if (!isFinite(gravity) || gravity < 1e-6) {
+    return null;
   }
   
-  return { declination: 0, accuracy: 1.0, source: 'default' };
+  // Roll around the device X axis, then pitch around the rolled Y axis
+  const roll = Math.atan2(y, z);
+  const pitch = Math.atan2(-x, y * Math.sin(roll) + z * Math.cos(roll));
+  
+  return { pitch, roll };
+};
+
+/**
+ * Rotate the magnetic vector into the horizontal plane
+ * @param {Object} magnetometerData - {x, y, z}
+ * @param {Object} tilt - {pitch, roll} in radians from calculateTiltAngles
+ * @returns {Object} Horizontal components {x, y}
+ */
+const calculateTiltCompensation = (magnetometerData, tilt) => {
+  const { x, y, z } = magnetometerData;
+  const { pitch, roll } = tilt;
+  
+  const sinRoll = Math.sin(roll);
+  const cosRoll = Math.cos(roll);
+  const sinPitch = Math.sin(pitch);
+  const cosPitch = Math.cos(pitch);
+  
+  return {
+    x: x * cosPitch + y * sinPitch * sinRoll + z * sinPitch * cosRoll,
+    y: y * cosRoll - z * sinRoll
+  };
 };
 
 /**
  * Calculate compass heading from magnetometer data with advanced algorithms and error handling
  * @param {Object} magnetometerData - {x, y, z}
  * @param {Object} location - {latitude, longitude}
- * @param {boolean} isCalibrated - Whether magnetometer is calibrated
+ * @param {Object|boolean} calibration - Result of calibrateMagnetometer (a plain boolean applies no correction)
+ * @param {Object} accelerometerData - {x, y, z}, enables tilt compensation when provided
  * @returns {number} Heading in degrees (0-360)
  */
-export const calculateHeading = (magnetometerData, location, isCalibrated = false) => {
+export const calculateHeading = (magnetometerData, location, calibration = false, accelerometerData = null) => {
   try {
     if (!magnetometerData || typeof magnetometerData.x !== 'number' || 
         typeof magnetometerData.y !== 'number' || typeof magnetometerData.z !== 'number') {
@@ -90,7 +152,11 @@ export const calculateHeading = (magnetometerData, location, isCalibrated = fals
       return 0;
     }
     
-    const { x, y, z } = magnetometerData;
+    // Remove hard-iron and soft-iron distortion before any geometry
+    const correctedData = typeof calibration === 'object'
+      ? applyMagnetometerCalibration(magnetometerData, calibration)
+      : magnetometerData;
+    const { x, y, z } = correctedData;
     
     // Calculate magnetic field strength safely
     let fieldStrength;
@@ -107,10 +173,24 @@ export const calculateHeading = (magnetometerData, location, isCalibrated = fals
       return 0;
     }
     
+    // Project the field onto the horizontal plane if accelerometer data is available
+    let horizontal = { x, y };
+    if (accelerometerData) {
+      try {
+        const tilt = calculateTiltAngles(accelerometerData);
+        if (tilt) {
+          horizontal = calculateTiltCompensation(correctedData, tilt);
+        }
+      } catch (tiltError) {
+        console.warn('Error applying tilt compensation:', tiltError);
+        // Continue with the uncompensated vector
+      }
+    }
+    
     // Calculate raw heading using atan2 with error handling
     let heading;
     try {
-      heading = Math.atan2(y, x) * (180 / Math.PI);
+      heading = Math.atan2(horizontal.y, horizontal.x) * (180 / Math.PI);
     } catch (atanError) {
       console.error('Error calculating atan2:', atanError);
       return 0;
@@ -128,15 +208,6 @@ export const calculateHeading = (magnetometerData, location, isCalibrated = fals
       // Continue without declination correction
     }
     
-    // Apply tilt compensation if accelerometer data is available
-    try {
-      const tiltCompensation = calculateTiltCompensation(magnetometerData);
-      heading = heading + tiltCompensation;
-    } catch (tiltError) {
-      console.warn('Error applying tilt compensation:', tiltError);
-      // Continue without tilt compensation
-    }
-    
     // Normalize again after corrections
     heading = heading % 360;
     heading = heading < 0 ? heading + 360 : heading;
@@ -147,30 +218,14 @@ export const calculateHeading = (magnetometerData, location, isCalibrated = fals
       return 0;
     }
     
-    return Math.round(heading * 100) / 100; // Round to 2 decimal places
+    // Round to 2 decimal places; values just below 360 round up and wrap to 0
+    return (Math.round(heading * 100) / 100) % 360;
   } catch (error) {
     console.error('Error in calculateHeading:', error);
     return 0;
   }
 };
 
-/**
- * Calculate tilt compensation (simplified version)
- * @param {Object} magnetometerData - {x, y, z}
- * @returns {number} Tilt compensation in degrees
- */
-const calculateTiltCompensation = (magnetometerData) => {
-  const { x, y, z } = magnetometerData;
-  const fieldStrength = Math.sqrt(x * x + y * y + z * z);
-  
-  // Simple tilt estimation based on Z component
-  // In production, use accelerometer data for accurate tilt compensation
-  const tiltAngle = Math.asin(z / fieldStrength) * (180 / Math.PI);
-  
-  // Return small compensation factor
-  return tiltAngle * 0.1;
-};
-
 /**
  * Advanced smoothing algorithm for heading values
  * @param {number} newHeading - New heading value
@@ -179,7 +234,7 @@ const calculateTiltCompensation = (magnetometerData) => {
  * @param {number} velocity - Rate of change
  * @returns {number} Smoothed heading
  */
-export const smoothHeading = (newHeading, previousHeading, smoothingFactor = 0.1, velocity = 0) => {
+export const smoothHeading = (newHeading, previousHeading, smoothingFactor = SMOOTHING_FACTOR, velocity = 0) => {
   if (previousHeading === undefined) return newHeading;
   
   // Handle 360/0 degree boundary
@@ -201,9 +256,12 @@ export const smoothHeading = (newHeading, previousHeading, smoothingFactor = 0.1
  * Kalman filter for magnetometer data
  * @param {Object} measurement - {x, y, z}
  * @param {Object} previousState - Previous filter state
+ * @param {Object} options - {processNoise, measurementNoise}, default KALMAN_Q and KALMAN_R
  * @returns {Object} Filtered data and new state
  */
-export const kalmanFilter = (measurement, previousState = null) => {
+export const kalmanFilter = (measurement, previousState = null, options = {}) => {
+  const { processNoise = KALMAN_Q, measurementNoise = KALMAN_R } = options;
+  
   if (!previousState) {
     return {
       filtered: measurement,
@@ -219,10 +277,10 @@ export const kalmanFilter = (measurement, previousState = null) => {
   const { x, y, z, P } = previousState;
   
   // Prediction step
-  const P_pred = P + KALMAN_Q;
+  const P_pred = P + processNoise;
   
   // Update step
-  const K = P_pred / (P_pred + KALMAN_R);
+  const K = P_pred / (P_pred + measurementNoise);
   
   const filtered = {
     x: x + K * (measurement.x - x),
@@ -240,6 +298,99 @@ export const kalmanFilter = (measurement, previousState = null) => {
   return { filtered, state: newState };
 };
 
+/**
+ * Wrap an angle difference into the -180..180 degree range
+ * @param {number} angle - Angle in degrees
+ * @returns {number} Wrapped angle
+ */
+const wrapAngle = (angle) => {
+  let wrapped = angle % 360;
+  if (wrapped > 180) wrapped -= 360;
+  if (wrapped < -180) wrapped += 360;
+  return wrapped;
+};
+
+/**
+ * Two-state Kalman filter for heading (angle and angular rate) with a constant-rate motion model
+ * Measurement noise grows as the magnetometer quality drops; quality 0 skips the update entirely.
+ * @param {number} measuredHeading - Measured heading in degrees
+ * @param {Object} previousState - Previous filter state, null to initialise
+ * @param {Object} options - {timestamp, quality, processNoise, measurementNoise}
+ * @returns {Object} {heading, rate, state} with rate in degrees per second
+ */
+export const headingKalmanFilter = (measuredHeading, previousState = null, options = {}) => {
+  const {
+    timestamp = Date.now(),
+    quality = 1,
+    processNoise = HEADING_KALMAN_Q,
+    measurementNoise = HEADING_KALMAN_R
+  } = options;
+  
+  if (!previousState) {
+    const initial = isFinite(measuredHeading) ? ((measuredHeading % 360) + 360) % 360 : 0;
+    return {
+      heading: Math.round(initial * 100) / 100,
+      rate: 0,
+      state: {
+        angle: initial,
+        rate: 0,
+        P: [[measurementNoise, 0], [0, 100]],
+        timestamp
+      }
+    };
+  }
+  
+  const dt = Math.min(Math.max((timestamp - previousState.timestamp) / 1000, 0), HEADING_KALMAN_MAX_DT);
+  const { P } = previousState;
+  
+  // Prediction step: angle advances by rate * dt
+  let angle = previousState.angle + previousState.rate * dt;
+  let rate = previousState.rate;
+  
+  const dt2 = dt * dt;
+  const dt3 = dt2 * dt;
+  let P00 = P[0][0] + dt * (P[1][0] + P[0][1]) + dt2 * P[1][1] + processNoise * dt3 / 3;
+  let P01 = P[0][1] + dt * P[1][1] + processNoise * dt2 / 2;
+  let P10 = P[1][0] + dt * P[1][1] + processNoise * dt2 / 2;
+  let P11 = P[1][1] + processNoise * dt;
+  
+  // Update step, skipped when the measurement carries no information
+  if (isFinite(measuredHeading) && quality > 0) {
+    const effectiveQuality = Math.max(HEADING_KALMAN_MIN_QUALITY, Math.min(1, quality));
+    const R = measurementNoise / (effectiveQuality * effectiveQuality);
+    
+    const innovation = wrapAngle(measuredHeading - angle);
+    const S = P00 + R;
+    const K0 = P00 / S;
+    const K1 = P10 / S;
+    
+    angle += K0 * innovation;
+    rate += K1 * innovation;
+    
+    const newP00 = (1 - K0) * P00;
+    const newP01 = (1 - K0) * P01;
+    const newP10 = P10 - K1 * P00;
+    const newP11 = P11 - K1 * P01;
+    P00 = newP00;
+    P01 = newP01;
+    P10 = newP10;
+    P11 = newP11;
+  }
+  
+  angle = ((angle % 360) + 360) % 360;
+  
+  return {
+    heading: Math.round(angle * 100) / 100,
+    rate: Math.round(rate * 100) / 100,
+    state: {
+      angle,
+      rate,
+      P: [[P00, P01], [P10, P11]],
+      timestamp
+    }
+  };
+};
+
 /**
  * Get direction name from heading
  * @param {number} heading - Heading in degrees
@@ -298,6 +449,71 @@ export const calculateDistance = (coord1, coord2) => {
   return R * c;
 };
 
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "850 m", "2.35 km", "12.3 km"
+ */
+export const formatDistance = (meters) => {
+  if (meters === null || !isFinite(meters)) return '-';
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(meters < 10000 ? 2 : 1)} km`;
+};
+
+/**
+ * Initial great-circle bearing from one coordinate to another
+ * @param {Object} from - {latitude, longitude}
+ * @param {Object} to - {latitude, longitude}
+ * @returns {number} True bearing in degrees (0-360) to follow when setting off
+ */
+export const calculateInitialBearing = (from, to) => {
+  const φ1 = from.latitude * Math.PI / 180;
+  const φ2 = to.latitude * Math.PI / 180;
+  const Δλ = (to.longitude - from.longitude) * Math.PI / 180;
+  
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  const bearing = Math.atan2(y, x) * 180 / Math.PI;
+  
+  return (bearing + 360) % 360;
+};
+
+/**
+ * Final great-circle bearing on arrival at the destination
+ * @param {Object} from - {latitude, longitude}
+ * @param {Object} to - {latitude, longitude}
+ * @returns {number} True bearing in degrees (0-360)
+ */
+export const calculateFinalBearing = (from, to) => {
+  // The reverse route's initial bearing, turned around
+  return (calculateInitialBearing(to, from) + 180) % 360;
+};
+
+/**
+ * Qibla direction from a position
+ * @param {Object} location - {latitude, longitude}
+ * @returns {number|null} True bearing in degrees (0-360) to the Kaaba, null without a usable position
+ */
+export const calculateQiblaDirection = (location) => {
+  if (!location || !isFinite(location.latitude) || !isFinite(location.longitude)) {
+    return null;
+  }
+  return calculateInitialBearing(location, KAABA_LOCATION);
+};
+
+/**
+ * Angle to turn from the current heading to face a bearing
+ * @param {number} heading - Current heading in degrees
+ * @param {number} bearing - Bearing to the target in degrees, same north reference as heading
+ * @returns {number} Degrees in -180..180, positive to turn right (clockwise)
+ */
+export const getRelativeBearing = (heading, bearing) => {
+  let relative = (bearing - heading) % 360;
+  if (relative > 180) relative -= 360;
+  if (relative <= -180) relative += 360;
+  return relative;
+};
+
 /**
  * Advanced validation for magnetometer data with enhanced error checking
  * @param {Object} data - {x, y, z}
@@ -372,6 +588,108 @@ export const validateMagnetometerData = (data) => {
   }
 };
 
+/**
+ * Get the expected local magnetic field from the World Magnetic Model
+ * @param {Object} location - {latitude, longitude, altitude}
+ * @param {Date} date - Date of the observation, defaults to now
+ * @returns {Object|null} {fieldStrength, inclination} in microtesla and degrees
+ */
+export const getExpectedMagneticField = (location, date = new Date()) => {
+  if (!location || !isFinite(location.latitude) || !isFinite(location.longitude)) {
+    return null;
+  }
+  
+  try {
+    const field = calculateGeomagneticField({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      altitude: isFinite(location.altitude) ? location.altitude : 0,
+      date
+    });
+    
+    return {
+      fieldStrength: field.totalIntensity / 1000, // nT to microtesla
+      inclination: field.inclination
+    };
+  } catch (error) {
+    console.warn('Error evaluating expected magnetic field:', error);
+    return null;
+  }
+};
+
+/**
+ * Detect magnetic interference by comparing the live field with the expected local field
+ * Readings should be hard/soft-iron corrected, otherwise the magnitude is meaningless.
+ * @param {Object} magnetometerData - {x, y, z} in microtesla
+ * @param {Object} accelerometerData - {x, y, z}, enables the inclination check when provided
+ * @param {Object} expectedField - Result of getExpectedMagneticField, or null for a generic range check
+ * @returns {Object} {isDisturbed, severity, weight, fieldStrength, fieldDeviation, inclination, inclinationDeviation}
+ */
+export const detectMagneticDisturbance = (magnetometerData, accelerometerData = null, expectedField = null) => {
+  try {
+    if (!magnetometerData || !isFinite(magnetometerData.x) ||
+        !isFinite(magnetometerData.y) || !isFinite(magnetometerData.z)) {
+      return { isDisturbed: false, severity: 'none', weight: 1 };
+    }
+    
+    const { x, y, z } = magnetometerData;
+    const fieldStrength = Math.sqrt(x * x + y * y + z * z);
+    
+    // Relative magnitude deviation, either from the model or from the edge of the typical range
+    let fieldDeviation;
+    if (expectedField && expectedField.fieldStrength > 0) {
+      fieldDeviation = Math.abs(fieldStrength - expectedField.fieldStrength) / expectedField.fieldStrength;
+    } else if (fieldStrength < TYPICAL_FIELD_RANGE.min) {
+      fieldDeviation = (TYPICAL_FIELD_RANGE.min - fieldStrength) / TYPICAL_FIELD_RANGE.min;
+    } else if (fieldStrength > TYPICAL_FIELD_RANGE.max) {
+      fieldDeviation = (fieldStrength - TYPICAL_FIELD_RANGE.max) / TYPICAL_FIELD_RANGE.max;
+    } else {
+      fieldDeviation = 0;
+    }
+    
+    // Inclination is the angle of the field below the horizontal; gravity points opposite the accelerometer
+    let inclination = null;
+    let inclinationDeviation = 0;
+    if (accelerometerData && expectedField && fieldStrength > 0) {
+      const { x: ax, y: ay, z: az } = accelerometerData;
+      const gravity = Math.sqrt(ax * ax + ay * ay + az * az);
+      if (isFinite(gravity) && gravity > 0) {
+        const downComponent = -(x * ax + y * ay + z * az) / gravity;
+        inclination = Math.asin(Math.max(-1, Math.min(1, downComponent / fieldStrength))) * (180 / Math.PI);
+        inclinationDeviation = Math.abs(inclination - expectedField.inclination);
+      }
+    }
+    
+    let severity = 'none';
+    if (fieldDeviation > DISTURBANCE_FIELD_SEVERE || inclinationDeviation > DISTURBANCE_INCLINATION_SEVERE) {
+      severity = 'severe';
+    } else if (fieldDeviation > DISTURBANCE_FIELD_THRESHOLD || inclinationDeviation > DISTURBANCE_INCLINATION_THRESHOLD) {
+      severity = 'moderate';
+    }
+    
+    // Weight falls linearly from 1 at the warning threshold to 0 at the severe threshold
+    const fieldWeight = 1 - (fieldDeviation - DISTURBANCE_FIELD_THRESHOLD) /
+      (DISTURBANCE_FIELD_SEVERE - DISTURBANCE_FIELD_THRESHOLD);
+    const inclinationWeight = 1 - (inclinationDeviation - DISTURBANCE_INCLINATION_THRESHOLD) /
+      (DISTURBANCE_INCLINATION_SEVERE - DISTURBANCE_INCLINATION_THRESHOLD);
+    const weight = Math.max(0, Math.min(1, fieldWeight, inclinationWeight));
+    
+    return {
+      isDisturbed: severity !== 'none',
+      severity,
+      weight: Math.round(weight * 100) / 100,
+      fieldStrength: Math.round(fieldStrength * 100) / 100,
+      expectedFieldStrength: expectedField ? Math.round(expectedField.fieldStrength * 100) / 100 : null,
+      fieldDeviation: Math.round(fieldDeviation * 1000) / 1000,
+      inclination: inclination === null ? null : Math.round(inclination * 100) / 100,
+      inclinationDeviation: Math.round(inclinationDeviation * 100) / 100
+    };
+  } catch (error) {
+    console.error('Error in detectMagneticDisturbance:', error);
+    return { isDisturbed: false, severity: 'none', weight: 1 };
+  }
+};
+
 /**
  * Get accuracy status based on GPS accuracy
  * @param {number} accuracy - GPS accuracy in meters
@@ -406,47 +724,241 @@ export const getAccuracyStatus = (accuracy) => {
 };
 
 /**
- * Calibrate magnetometer using collected data
+ * Estimate the centre of a point cloud from the per-axis mid-range
+ * @param {Array} samples - Array of {x, y, z}
+ * @returns {Object} {x, y, z}
+ */
+const estimateCenter = (samples) => {
+  const center = {};
+  for (const axis of ['x', 'y', 'z']) {
+    const values = samples.map(s => s[axis]);
+    center[axis] = (Math.min(...values) + Math.max(...values)) / 2;
+  }
+  return center;
+};
+
+/**
+ * Calculate which orientations of the sphere are covered by magnetometer samples
+ * The sphere is split into equal-area cells: bands of equal sin(latitude) and equal longitude sectors.
+ * @param {Array} samples - Array of magnetometer readings {x, y, z}
+ * @param {Object} center - Sphere centre {x, y, z}; estimated from the samples if omitted
+ * @returns {Object} {bins, coverage} where bins[band][sector] holds sample counts
+ */
+export const calculateSphereCoverage = (samples, center = null) => {
+  const bins = Array.from({ length: SPHERE_LATITUDE_BANDS }, () => new Array(SPHERE_LONGITUDE_SECTORS).fill(0));
+  
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return { bins, coverage: 0 };
+  }
+  
+  const origin = center || estimateCenter(samples);
+  
+  for (const sample of samples) {
+    const dx = sample.x - origin.x;
+    const dy = sample.y - origin.y;
+    const dz = sample.z - origin.z;
+    const radius = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (!isFinite(radius) || radius === 0) continue;
+    
+    const sinLatitude = dz / radius;
+    const longitude = Math.atan2(dy, dx) + Math.PI;
+    const band = Math.min(SPHERE_LATITUDE_BANDS - 1, Math.floor((sinLatitude + 1) / 2 * SPHERE_LATITUDE_BANDS));
+    const sector = Math.min(SPHERE_LONGITUDE_SECTORS - 1, Math.floor(longitude / (2 * Math.PI) * SPHERE_LONGITUDE_SECTORS));
+    bins[band][sector]++;
+  }
+  
+  const filled = bins.reduce((sum, row) => sum + row.filter(count => count > 0).length, 0);
+  
+  return {
+    bins,
+    coverage: Math.round(filled / (SPHERE_LATITUDE_BANDS * SPHERE_LONGITUDE_SECTORS) * 100) / 100
+  };
+};
+
+/**
+ * Fit a general ellipsoid (x - c)^T Q (x - c) = 1 by linear least squares
+ * @param {Array} samples - Array of {x, y, z}
+ * @returns {Object|null} {center, shape} or null if the fit is degenerate
+ */
+const fitEllipsoid = (samples) => {
+  const normal = Array.from({ length: 9 }, () => new Array(9).fill(0));
+  const rhs = new Array(9).fill(0);
+  
+  for (const { x, y, z } of samples) {
+    const row = [x * x, y * y, z * z, 2 * x * y, 2 * x * z, 2 * y * z, 2 * x, 2 * y, 2 * z];
+    for (let i = 0; i < 9; i++) {
+      rhs[i] += row[i];
+      for (let j = 0; j < 9; j++) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  }
+  
+  const v = solveLinearSystem(normal, rhs);
+  if (!v) return null;
+  
+  const M = [
+    [v[0], v[3], v[4]],
+    [v[3], v[1], v[5]],
+    [v[4], v[5], v[2]]
+  ];
+  const c = solveLinearSystem(M, [-v[6], -v[7], -v[8]]);
+  if (!c) return null;
+  
+  // Move the constant term to the right-hand side: k = 1 + c^T M c
+  const Mc = multiplyMatrixVector(M, c);
+  const k = 1 + c[0] * Mc[0] + c[1] * Mc[1] + c[2] * Mc[2];
+  if (!isFinite(k) || k <= 0) return null;
+  
+  return {
+    center: c,
+    shape: M.map(row => row.map(value => value / k))
+  };
+};
+
+/**
+ * Fit a sphere |x - c| = r by linear least squares (hard-iron only)
+ * @param {Array} samples - Array of {x, y, z}
+ * @returns {Object|null} {center, radius} or null if the fit is degenerate
+ */
+const fitSphere = (samples) => {
+  const normal = Array.from({ length: 4 }, () => new Array(4).fill(0));
+  const rhs = new Array(4).fill(0);
+  
+  for (const { x, y, z } of samples) {
+    const row = [2 * x, 2 * y, 2 * z, 1];
+    const target = x * x + y * y + z * z;
+    for (let i = 0; i < 4; i++) {
+      rhs[i] += row[i] * target;
+      for (let j = 0; j < 4; j++) {
+        normal[i][j] += row[i] * row[j];
+      }
+    }
+  }
+  
+  const v = solveLinearSystem(normal, rhs);
+  if (!v) return null;
+  
+  const radiusSquared = v[3] + v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+  if (!isFinite(radiusSquared) || radiusSquared <= 0) return null;
+  
+  return { center: [v[0], v[1], v[2]], radius: Math.sqrt(radiusSquared) };
+};
+
+/**
+ * Apply hard-iron and soft-iron correction to a magnetometer reading
+ * @param {Object} data - Raw magnetometer reading {x, y, z}
+ * @param {Object} calibration - Result of calibrateMagnetometer
+ * @returns {Object} Corrected reading {x, y, z}
+ */
+export const applyMagnetometerCalibration = (data, calibration) => {
+  if (!data || !calibration || !calibration.isCalibrated || !calibration.hardIron || !calibration.softIron) {
+    return data;
+  }
+  
+  const { hardIron, softIron } = calibration;
+  const [x, y, z] = multiplyMatrixVector(softIron, [
+    data.x - hardIron.x,
+    data.y - hardIron.y,
+    data.z - hardIron.z
+  ]);
+  
+  return { x, y, z };
+};
+
+/**
+ * Calibrate magnetometer with an ellipsoid fit over a rotation sweep
+ * Returns a hard-iron offset and a soft-iron matrix mapping raw readings onto a sphere:
+ * corrected = softIron · (raw - hardIron)
  * @param {Array} calibrationData - Array of magnetometer readings
  * @returns {Object} Calibration result
  */
 export const calibrateMagnetometer = (calibrationData) => {
-  if (calibrationData.length < MIN_CALIBRATION_SAMPLES) {
+  if (!Array.isArray(calibrationData) || calibrationData.length < MIN_CALIBRATION_SAMPLES) {
     return {
       isCalibrated: false,
       reason: 'Insufficient data',
-      samples: calibrationData.length
+      samples: Array.isArray(calibrationData) ? calibrationData.length : 0
     };
   }
   
-  // Calculate statistics
-  const xValues = calibrationData.map(d => d.x);
-  const yValues = calibrationData.map(d => d.y);
-  const zValues = calibrationData.map(d => d.z);
+  const samples = calibrationData.filter(d =>
+    d && isFinite(d.x) && isFinite(d.y) && isFinite(d.z)
+  );
+  
+  let method = 'ellipsoid';
+  let center = null;
+  let softIron = null;
+  let fieldStrength = 0;
+  
+  const ellipsoid = fitEllipsoid(samples);
+  const eigen = ellipsoid ? symmetricEigen3(ellipsoid.shape) : null;
+  
+  if (eigen && eigen.values.every(value => value > 0)) {
+    // Radii are 1/sqrt(eigenvalue); scale the correction so the sphere keeps the mean radius
+    fieldStrength = Math.cbrt(eigen.values.reduce((product, value) => product / Math.sqrt(value), 1));
+    const V = transpose(eigen.vectors);
+    const D = [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? Math.sqrt(eigen.values[i]) * fieldStrength : 0)));
+    softIron = multiplyMatrices(multiplyMatrices(V, D), eigen.vectors);
+    center = ellipsoid.center;
+  } else {
+    // Poor coverage makes the full ellipsoid ill-posed; fall back to hard-iron only
+    const sphere = fitSphere(samples);
+    if (!sphere) {
+      return {
+        isCalibrated: false,
+        reason: 'Fit failed',
+        samples: calibrationData.length
+      };
+    }
+    method = 'sphere';
+    center = sphere.center;
+    fieldStrength = sphere.radius;
+    softIron = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  }
+  
+  const hardIron = { x: center[0], y: center[1], z: center[2] };
+  const correction = { isCalibrated: true, hardIron, softIron };
+  
+  // Normalised RMS distance of the corrected samples from the fitted sphere
+  const squaredError = samples.reduce((sum, sample) => {
+    const corrected = applyMagnetometerCalibration(sample, correction);
+    const radius = Math.sqrt(corrected.x * corrected.x + corrected.y * corrected.y + corrected.z * corrected.z);
+    return sum + Math.pow((radius - fieldStrength) / fieldStrength, 2);
+  }, 0);
+  const residual = Math.sqrt(squaredError / samples.length);
   
-  const xMean = xValues.reduce((a, b) => a + b, 0) / xValues.length;
-  const yMean = yValues.reduce((a, b) => a + b, 0) / yValues.length;
-  const zMean = zValues.reduce((a, b) => a + b, 0) / zValues.length;
+  const { coverage } = calculateSphereCoverage(
+    samples.map(sample => applyMagnetometerCalibration(sample, correction)),
+    { x: 0, y: 0, z: 0 }
+  );
   
-  const xStd = Math.sqrt(xValues.reduce((sum, x) => sum + Math.pow(x - xMean, 2), 0) / xValues.length);
-  const yStd = Math.sqrt(yValues.reduce((sum, y) => sum + Math.pow(y - yMean, 2), 0) / yValues.length);
-  const zStd = Math.sqrt(zValues.reduce((sum, z) => sum + Math.pow(z - zMean, 2), 0) / zValues.length);
+  const residualScore = Math.max(0, 1 - residual / (2 * CALIBRATION_THRESHOLD));
+  const quality = Math.round(residualScore * Math.min(1, coverage / MIN_SPHERE_COVERAGE) * 100) / 100;
   
-  // Check if calibration is good enough
-  const isCalibrated = xStd < CALIBRATION_THRESHOLD && yStd < CALIBRATION_THRESHOLD && zStd < CALIBRATION_THRESHOLD;
+  let reason = 'Calibration successful';
+  if (!isFinite(residual) || residual > CALIBRATION_THRESHOLD) {
+    reason = 'High fit residual';
+  } else if (coverage < MIN_SPHERE_COVERAGE) {
+    reason = 'Insufficient orientation coverage';
+  }
+  const isCalibrated = reason === 'Calibration successful';
   
   return {
     isCalibrated,
-    reason: isCalibrated ? 'Calibration successful' : 'High variance detected',
+    reason,
+    method,
     samples: calibrationData.length,
-    statistics: {
-      xMean, yMean, zMean,
-      xStd, yStd, zStd
-    },
+    hardIron,
+    softIron,
+    fieldStrength: Math.round(fieldStrength * 100) / 100,
+    residual: Math.round(residual * 10000) / 10000,
+    coverage,
+    quality,
     offsets: {
-      x: -xMean,
-      y: -yMean,
-      z: -zMean
+      x: -hardIron.x,
+      y: -hardIron.y,
+      z: -hardIron.z
     }
   };
 };
@@ -0,0 +1,563 @@
+/**
+ * Coordinate parsing, validation and formatting
+ * Decimal degrees, degrees-minutes-seconds (DMS), degrees-decimal-minutes (DDM), UTM and MGRS on WGS84.
+ * UTM and MGRS cover 80°S to 84°N; the polar UPS grids are not supported.
+ */
+
+export const COORDINATE_FORMATS = {
+  dd: 'Desimal',
+  dms: 'DMS',
+  ddm: 'DDM',
+  utm: 'UTM',
+  mgrs: 'MGRS'
+};
+export const DEFAULT_COORDINATE_FORMAT = 'dd';
+
+// WGS84 ellipsoid and UTM projection
+const WGS84_A = 6378137; // m
+const WGS84_F = 1 / 298.257223563;
+const E2 = WGS84_F * (2 - WGS84_F);
+const EP2 = E2 / (1 - E2);
+const UTM_SCALE = 0.9996;
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+const UTM_MIN_LATITUDE = -80;
+const UTM_MAX_LATITUDE = 84;
+const UTM_MIN_EASTING = 100000; // m, zones are at most about 670 km wide
+const UTM_MAX_EASTING = 900000;
+
+// Latitude bands of 8° from 80°S (X is 12°), shared by UTM and MGRS
+const BAND_LETTERS = 'CDEFGHJKLMNPQRSTUVWX';
+// MGRS 100 km square letters
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+const MGRS_SQUARE = 100000; // m
+const MGRS_ROW_CYCLE = 2000000; // m before row letters repeat
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Hemisphere letters, international and Indonesian (LU/LS lintang utara/selatan, BT/BB bujur timur/barat)
+const HEMISPHERES = {
+  N: { axis: 'latitude', sign: 1 },
+  S: { axis: 'latitude', sign: -1 },
+  E: { axis: 'longitude', sign: 1 },
+  W: { axis: 'longitude', sign: -1 },
+  LU: { axis: 'latitude', sign: 1 },
+  LS: { axis: 'latitude', sign: -1 },
+  BT: { axis: 'longitude', sign: 1 },
+  BB: { axis: 'longitude', sign: -1 }
+};
+
+/**
+ * Parse a decimal degree value typed by the user
+ * Accepts a decimal comma, which Indonesian keyboards often produce.
+ * @param {string|number} text - Input value
+ * @returns {number|null} Degrees, null if the input is not a number
+ */
+export const parseDecimalDegrees = (text) => {
+  if (typeof text === 'number') {
+    return isFinite(text) ? text : null;
+  }
+  if (typeof text !== 'string' || text.trim() === '') {
+    return null;
+  }
+  
+  const normalized = text.trim().replace(',', '.');
+  if (!/^[-+]?\d+(\.\d*)?$|^[-+]?\.\d+$/.test(normalized)) {
+    return null;
+  }
+  return parseFloat(normalized);
+};
+
+/**
+ * Check a latitude/longitude pair
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees
+ * @returns {Object} {isValid, reason}
+ */
+export const validateCoordinates = (latitude, longitude) => {
+  if (typeof latitude !== 'number' || !isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { isValid: false, reason: 'Latitude harus antara -90 dan 90' };
+  }
+  if (typeof longitude !== 'number' || !isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { isValid: false, reason: 'Longitude harus antara -180 dan 180' };
+  }
+  return { isValid: true, reason: 'Valid' };
+};
+
+const hemisphereLetter = (value, axis) => {
+  if (axis === 'latitude') return value < 0 ? 'S' : 'N';
+  return value < 0 ? 'W' : 'E';
+};
+
+/**
+ * Format one angle as degrees, minutes and seconds
+ * @param {number} value - Decimal degrees
+ * @param {string} axis - 'latitude' or 'longitude', picks the hemisphere letter
+ * @param {number} precision - Decimals on the seconds
+ * @returns {string} e.g. 6°12'31.7"S
+ */
+export const formatDMS = (value, axis, precision = 1) => {
+  const factor = Math.pow(10, precision);
+  // Round once on the smallest unit so 59.99" never shows as 60"
+  const totalSeconds = Math.round(Math.abs(value) * 3600 * factor) / factor;
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+  const seconds = totalSeconds - degrees * 3600 - minutes * 60;
+  
+  return `${degrees}°${String(minutes).padStart(2, '0')}'` +
+    `${seconds.toFixed(precision).padStart(precision > 0 ? precision + 3 : 2, '0')}"${hemisphereLetter(value, axis)}`;
+};
+
+/**
+ * Format one angle as degrees and decimal minutes
+ * @param {number} value - Decimal degrees
+ * @param {string} axis - 'latitude' or 'longitude'
+ * @param {number} precision - Decimals on the minutes
+ * @returns {string} e.g. 6°12.528'S
+ */
+export const formatDDM = (value, axis, precision = 3) => {
+  const factor = Math.pow(10, precision);
+  const totalMinutes = Math.round(Math.abs(value) * 60 * factor) / factor;
+  const degrees = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes - degrees * 60;
+  
+  return `${degrees}°${minutes.toFixed(precision).padStart(precision > 0 ? precision + 3 : 2, '0')}'` +
+    hemisphereLetter(value, axis);
+};
+
+/**
+ * Parse one angle in decimal degrees, DMS or DDM
+ * Degree, minute and second marks are optional; spaces or colons separate the parts.
+ * A hemisphere letter may come before or after the numbers.
+ * @param {string} text - e.g. 6°12'31.7"S, S 6 12.528, -6.2088, 106:50:44.2 BT
+ * @returns {Object|null} {value, axis, format}; axis is null when no hemisphere was given,
+ *   format is 'dd', 'ddm' or 'dms' from the number of parts
+ */
+export const parseAngle = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  
+  let normalized = text.trim().toUpperCase().replace(/,/g, '.');
+  let hemisphere = null;
+  const prefix = normalized.match(/^(LU|LS|BT|BB|N|S|E|W)\s*/);
+  const suffix = normalized.match(/\s*(LU|LS|BT|BB|N|S|E|W)$/);
+  if (prefix) {
+    hemisphere = HEMISPHERES[prefix[1]];
+    normalized = normalized.slice(prefix[0].length);
+  } else if (suffix) {
+    hemisphere = HEMISPHERES[suffix[1]];
+    normalized = normalized.slice(0, normalized.length - suffix[0].length);
+  }
+  
+  const match = normalized.match(
+    /^([-+])?\s*(\d+(?:\.\d+)?)(?:\s*[°º:\s]\s*(\d+(?:\.\d+)?)(?:\s*['′:\s]\s*(\d+(?:\.\d+)?))?)?\s*(?:''|["″'])?\s*°?$/
+  );
+  if (!match) {
+    return null;
+  }
+  
+  const [, sign, degreeText, minuteText, secondText] = match;
+  const minutes = minuteText ? parseFloat(minuteText) : 0;
+  const seconds = secondText ? parseFloat(secondText) : 0;
+  // Only the last part may carry decimals
+  if ((minuteText && degreeText.includes('.')) || (secondText && minuteText.includes('.'))) {
+    return null;
+  }
+  if (minutes >= 60 || seconds >= 60 || (sign === '-' && hemisphere)) {
+    return null;
+  }
+  
+  const magnitude = parseFloat(degreeText) + minutes / 60 + seconds / 3600;
+  const negative = sign === '-' || (hemisphere && hemisphere.sign < 0);
+  
+  return {
+    value: negative ? -magnitude : magnitude,
+    axis: hemisphere ? hemisphere.axis : null,
+    format: secondText ? 'dms' : minuteText ? 'ddm' : 'dd'
+  };
+};
+
+const getUTMZone = (latitude, longitude) => {
+  let zone = Math.floor((longitude + 180) / 6) + 1;
+  if (zone > 60) zone = 60;
+  
+  // Southern Norway and Svalbard exceptions
+  if (latitude >= 56 && latitude < 64 && longitude >= 3 && longitude < 12) {
+    zone = 32;
+  } else if (latitude >= 72 && longitude >= 0 && longitude < 42) {
+    if (longitude < 9) zone = 31;
+    else if (longitude < 21) zone = 33;
+    else if (longitude < 33) zone = 35;
+    else zone = 37;
+  }
+  return zone;
+};
+
+const getBandLetter = (latitude) => {
+  return BAND_LETTERS[Math.min(Math.floor((latitude - UTM_MIN_LATITUDE) / 8), BAND_LETTERS.length - 1)];
+};
+
+const centralMeridian = (zone) => zone * 6 - 183;
+
+// Meridian arc length from the equator (Snyder 3-21)
+const meridianArc = (phi) => {
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  return WGS84_A * (
+    (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+};
+
+// Transverse Mercator in a given zone (Snyder 8-9 and 8-10), true northing (negative south of the equator)
+const projectToZone = (latitude, longitude, zone) => {
+  const phi = latitude * DEG_TO_RAD;
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const N = WGS84_A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  const T = Math.tan(phi) ** 2;
+  const C = EP2 * cosPhi * cosPhi;
+  const A = cosPhi * (longitude - centralMeridian(zone)) * DEG_TO_RAD;
+  
+  const easting = FALSE_EASTING + UTM_SCALE * N * (
+    A +
+    (1 - T + C) * A ** 3 / 6 +
+    (5 - 18 * T + T * T + 72 * C - 58 * EP2) * A ** 5 / 120
+  );
+  const northing = UTM_SCALE * (
+    meridianArc(phi) + N * Math.tan(phi) * (
+      A * A / 2 +
+      (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+      (61 - 58 * T + T * T + 600 * C - 330 * EP2) * A ** 6 / 720
+    )
+  );
+  
+  return { easting, northing };
+};
+
+/**
+ * Convert latitude/longitude to UTM
+ * @param {number} latitude - Degrees, 80°S to 84°N
+ * @param {number} longitude - Degrees
+ * @returns {Object|null} {zone, band, hemisphere: 'N'|'S', easting, northing} in meters, null outside UTM
+ */
+export const toUTM = (latitude, longitude) => {
+  if (!validateCoordinates(latitude, longitude).isValid ||
+      latitude < UTM_MIN_LATITUDE || latitude > UTM_MAX_LATITUDE) {
+    return null;
+  }
+  
+  const zone = getUTMZone(latitude, longitude);
+  const { easting, northing } = projectToZone(latitude, longitude, zone);
+  
+  return {
+    zone,
+    band: getBandLetter(latitude),
+    hemisphere: latitude < 0 ? 'S' : 'N',
+    easting,
+    northing: latitude < 0 ? northing + FALSE_NORTHING_SOUTH : northing
+  };
+};
+
+/**
+ * Grid convergence: the angle from true north to UTM grid north (Transverse Mercator series to fifth order)
+ * Positive east of the zone's central meridian, where grid north lies clockwise of true north, so
+ * grid bearing = true bearing - convergence.
+ * @param {number} latitude - Degrees, 80°S to 84°N
+ * @param {number} longitude - Degrees
+ * @returns {Object|null} {zone, convergence (degrees)}, null outside UTM
+ */
+export const getGridConvergence = (latitude, longitude) => {
+  if (!validateCoordinates(latitude, longitude).isValid ||
+      latitude < UTM_MIN_LATITUDE || latitude > UTM_MAX_LATITUDE) {
+    return null;
+  }
+  
+  const zone = getUTMZone(latitude, longitude);
+  const phi = latitude * DEG_TO_RAD;
+  const cosPhi = Math.cos(phi);
+  const C = EP2 * cosPhi * cosPhi;
+  const T = Math.tan(phi) ** 2;
+  const A = cosPhi * (longitude - centralMeridian(zone)) * DEG_TO_RAD;
+  const convergence = Math.tan(phi) * A * (1 + A * A * (1 + 3 * C + 2 * C * C) / 3 + A ** 4 * (2 - T) / 15);
+  
+  return { zone, convergence: convergence / DEG_TO_RAD };
+};
+
+/**
+ * Convert UTM to latitude/longitude
+ * @param {Object} utm - {zone, hemisphere: 'N'|'S', easting, northing}
+ * @returns {Object|null} {latitude, longitude}, null for an invalid zone or hemisphere
+ */
+export const fromUTM = ({ zone, hemisphere, easting, northing }) => {
+  if (!Number.isInteger(zone) || zone < 1 || zone > 60 || !['N', 'S'].includes(hemisphere) ||
+      !isFinite(easting) || !isFinite(northing)) {
+    return null;
+  }
+  
+  const x = easting - FALSE_EASTING;
+  const y = hemisphere === 'S' ? northing - FALSE_NORTHING_SOUTH : northing;
+  
+  // Footpoint latitude (Snyder 3-26)
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  const mu = y / UTM_SCALE / (WGS84_A * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+  
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const C1 = EP2 * cosPhi1 * cosPhi1;
+  const T1 = Math.tan(phi1) ** 2;
+  const N1 = WGS84_A / Math.sqrt(1 - E2 * sinPhi1 * sinPhi1);
+  const R1 = WGS84_A * (1 - E2) / Math.pow(1 - E2 * sinPhi1 * sinPhi1, 1.5);
+  const D = x / (N1 * UTM_SCALE);
+  
+  const phi = phi1 - (N1 * Math.tan(phi1) / R1) * (
+    D * D / 2 -
+    (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * EP2) * D ** 4 / 24 +
+    (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * EP2 - 3 * C1 * C1) * D ** 6 / 720
+  );
+  const lambda = (
+    D -
+    (1 + 2 * T1 + C1) * D ** 3 / 6 +
+    (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * EP2 + 24 * T1 * T1) * D ** 5 / 120
+  ) / cosPhi1;
+  
+  let longitude = centralMeridian(zone) + lambda * RAD_TO_DEG;
+  if (longitude > 180) longitude -= 360;
+  if (longitude < -180) longitude += 360;
+  
+  return { latitude: phi * RAD_TO_DEG, longitude };
+};
+
+/**
+ * Format a UTM position
+ * @param {Object} utm - Result of toUTM
+ * @returns {string} e.g. 48M 706040 9313330
+ */
+export const formatUTM = ({ zone, band, easting, northing }) => {
+  return `${zone}${band} ${Math.floor(easting)} ${Math.floor(northing)}`;
+};
+
+/**
+ * Parse a UTM position
+ * @param {string} text - Zone with band letter, easting and northing, e.g. 48M 706040 9313330
+ *   (a trailing "mE"/"mN" is allowed)
+ * @returns {Object|null} {latitude, longitude}
+ */
+export const parseUTM = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  
+  const match = text.trim().toUpperCase().replace(/,/g, '.').match(
+    /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:ME)?\s+(\d+(?:\.\d+)?)\s*(?:MN)?$/
+  );
+  if (!match) {
+    return null;
+  }
+  
+  const [, zoneText, band, eastingText, northingText] = match;
+  const easting = parseFloat(eastingText);
+  const northing = parseFloat(northingText);
+  // Anything else is not a UTM position, e.g. "6 S 106 50" typed as degrees and minutes
+  if (easting < UTM_MIN_EASTING || easting > UTM_MAX_EASTING || northing > FALSE_NORTHING_SOUTH) {
+    return null;
+  }
+  
+  const position = fromUTM({
+    zone: parseInt(zoneText, 10),
+    hemisphere: band >= 'N' ? 'N' : 'S',
+    easting,
+    northing
+  });
+  
+  return position && validateCoordinates(position.latitude, position.longitude).isValid ? position : null;
+};
+
+/**
+ * Convert latitude/longitude to an MGRS grid reference
+ * @param {number} latitude - Degrees, 80°S to 84°N
+ * @param {number} longitude - Degrees
+ * @param {number} precision - Digits per axis, 5 for 1 m down to 1 for 10 km
+ * @returns {string|null} e.g. 48M XS 06040 13330, null outside UTM
+ */
+export const toMGRS = (latitude, longitude, precision = 5) => {
+  const utm = toUTM(latitude, longitude);
+  if (!utm) {
+    return null;
+  }
+  
+  const { zone, band, easting, northing } = utm;
+  const set = (zone - 1) % 3;
+  const column = MGRS_COLUMN_SETS[set][Math.floor(easting / MGRS_SQUARE) - 1];
+  // Even zones start their rows five letters later
+  const rowIndex = (Math.floor(northing / MGRS_SQUARE) + (zone % 2 === 0 ? 5 : 0)) % MGRS_ROW_LETTERS.length;
+  const row = MGRS_ROW_LETTERS[rowIndex];
+  
+  const divisor = Math.pow(10, 5 - precision);
+  const digits = (value) => String(Math.floor((value % MGRS_SQUARE) / divisor)).padStart(precision, '0');
+  
+  return precision > 0
+    ? `${zone}${band} ${column}${row} ${digits(easting)} ${digits(northing)}`
+    : `${zone}${band} ${column}${row}`;
+};
+
+/**
+ * Parse an MGRS grid reference
+ * Spaces are optional. The position is the centre of the referenced square.
+ * @param {string} text - e.g. 48M XS 06040 13330 or 48MXS0604013330
+ * @returns {Object|null} {latitude, longitude}
+ */
+export const parseMGRS = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  
+  const match = text.toUpperCase().replace(/\s+/g, '').match(
+    /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d{0,10})$/
+  );
+  if (!match || match[5].length % 2 !== 0) {
+    return null;
+  }
+  
+  const [, zoneText, band, column, row, digits] = match;
+  const zone = parseInt(zoneText, 10);
+  if (zone < 1 || zone > 60) {
+    return null;
+  }
+  
+  const columnIndex = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(column);
+  if (columnIndex < 0) {
+    return null;
+  }
+  
+  const precision = digits.length / 2;
+  const cell = Math.pow(10, 5 - precision);
+  const offset = (value) => (precision > 0 ? parseInt(value, 10) * cell : 0) + cell / 2;
+  const easting = (columnIndex + 1) * MGRS_SQUARE + offset(digits.slice(0, precision));
+  
+  // Row letters repeat every 2000 km; the band tells which cycle the square is in
+  const rowOffset = zone % 2 === 0 ? 5 : 0;
+  const rowIndex = (MGRS_ROW_LETTERS.indexOf(row) - rowOffset + MGRS_ROW_LETTERS.length) % MGRS_ROW_LETTERS.length;
+  const bandSouth = UTM_MIN_LATITUDE + BAND_LETTERS.indexOf(band) * 8;
+  const hemisphere = band >= 'N' ? 'N' : 'S';
+  let minNorthing = projectToZone(bandSouth, centralMeridian(zone), zone).northing;
+  if (hemisphere === 'S') minNorthing += FALSE_NORTHING_SOUTH;
+  
+  let northing = rowIndex * MGRS_SQUARE + offset(digits.slice(precision));
+  // Squares straddling the band edge start below it
+  while (northing + MGRS_SQUARE < minNorthing) {
+    northing += MGRS_ROW_CYCLE;
+  }
+  
+  const position = fromUTM({ zone, hemisphere, easting, northing });
+  return position && validateCoordinates(position.latitude, position.longitude).isValid ? position : null;
+};
+
+/**
+ * Format a position in one of the supported formats
+ * @param {Object} location - {latitude, longitude}
+ * @param {string} format - Key of COORDINATE_FORMATS
+ * @returns {string} Formatted position, '-' when it cannot be shown in that format
+ */
+export const formatCoordinates = (location, format = DEFAULT_COORDINATE_FORMAT) => {
+  if (!location || !validateCoordinates(location.latitude, location.longitude).isValid) {
+    return '-';
+  }
+  
+  const { latitude, longitude } = location;
+  switch (format) {
+    case 'dms':
+      return `${formatDMS(latitude, 'latitude')} ${formatDMS(longitude, 'longitude')}`;
+    case 'ddm':
+      return `${formatDDM(latitude, 'latitude')} ${formatDDM(longitude, 'longitude')}`;
+    case 'utm': {
+      const utm = toUTM(latitude, longitude);
+      return utm ? formatUTM(utm) : '-';
+    }
+    case 'mgrs':
+      return toMGRS(latitude, longitude) || '-';
+    default:
+      return `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`;
+  }
+};
+
+// Split "lat lon" text into its two angles
+const splitAnglePair = (text) => {
+  // Two plain decimal numbers joined by a bare comma, as pasted from most map apps: "-6.2,106.8"
+  const bare = text.match(/^([-+]?\d+(?:\.\d+)?°?)\s*,\s*([-+]?\d+(?:\.\d+)?°?)$/);
+  if (bare) {
+    return [bare[1], bare[2]];
+  }
+  
+  // A bare comma also separates when a hemisphere letter sits on either side of it: "6.2S,106.8E"
+  const separated = text.split(/\s*;\s*|\s*\/\s*|,\s+|\s*,\s*(?=[-+NSEWLB])|(?<=[NSEWUTB])\s*,\s*/i);
+  if (separated.length === 2) {
+    return separated;
+  }
+  
+  // Hemisphere before each angle: split before the second letter group
+  const prefixed = text.match(/^((?:LU|LS|BT|BB|N|S|E|W)[^A-Z]+?)\s*((?:LU|LS|BT|BB|N|S|E|W).+)$/i);
+  if (prefixed) {
+    return [prefixed[1], prefixed[2]];
+  }
+  
+  // Hemisphere after each angle: split after the first letter group
+  const suffixed = text.match(/^(.*?\d["″'°]?\s*(?:LU|LS|BT|BB|N|S|E|W))\s*(.+)$/i);
+  if (suffixed) {
+    return [suffixed[1], suffixed[2]];
+  }
+  
+  const words = text.trim().split(/\s+/);
+  return words.length === 2 ? words : null;
+};
+
+/**
+ * Parse a position typed or pasted in any of the supported formats
+ * Angle pairs are read latitude first unless hemisphere letters say otherwise.
+ * @param {string} text - e.g. "-6.2088, 106.8456", "6°12'31.7\"S 106°50'44.2\"E", "48M 706040 9313330"
+ * @returns {Object|null} {latitude, longitude, format}
+ */
+export const parseCoordinates = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return null;
+  }
+  
+  const mgrs = parseMGRS(text);
+  if (mgrs) {
+    return { ...mgrs, format: 'mgrs' };
+  }
+  const utm = parseUTM(text);
+  if (utm) {
+    return { ...utm, format: 'utm' };
+  }
+  
+  const parts = splitAnglePair(text.trim());
+  if (!parts) {
+    return null;
+  }
+  const [first, second] = parts.map(parseAngle);
+  if (!first || !second || (first.axis && first.axis === second.axis)) {
+    return null;
+  }
+  
+  const swapped = first.axis === 'longitude' || second.axis === 'latitude';
+  const latitude = swapped ? second.value : first.value;
+  const longitude = swapped ? first.value : second.value;
+  if (!validateCoordinates(latitude, longitude).isValid) {
+    return null;
+  }
+  
+  return { latitude, longitude, format: first.format };
+};
@@ -159,8 +159,8 @@ export class ErrorRecoveryManager {
     
     switch (errorType) {
       case ERROR_TYPES.SENSOR_UNAVAILABLE:
-        // Use simulated compass data
-        return true;
+        // No stand-in for a missing sensor; the user can switch to the Demo or Rekaman mode instead
+        return false;
       
       case ERROR_TYPES.LOCATION_ERROR:
         // Continue without location data
@@ -298,17 +298,3 @@ export const checkSensorAvailability = async () => {
   }
 };
 
-/**
- * Utility function to get fallback compass data
- * @returns {Object} - Fallback compass data
- */
-export const getFallbackCompassData = () => {
-  return {
-    x: 25.5,
-    y: 15.2,
-    z: -45.8,
-    heading: 0,
-    accuracy: 0.3,
-    isFallback: true
-  };
-};
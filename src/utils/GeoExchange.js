@@ -0,0 +1,141 @@
+/**
+ * Moving waypoints and tracks on and off the phone as GPX, KML or GeoJSON files
+ * Exports are written to the cache directory and handed to the share sheet; imports come from the
+ * system file picker and are added to the waypoint store and the track recorder.
+ */
+
+import RNFS from 'react-native-fs';
+import Share from 'react-native-share';
+import DocumentPicker from 'react-native-document-picker';
+import { toGPX, toKML, toGeoJSON, parseGeoFile, GEO_FORMATS } from './GeoFormats';
+import { waypointStore } from './WaypointStore';
+import { trackRecorder } from './TrackRecorder';
+import { bearingLog } from './BearingLog';
+import { createSessionId } from './SessionRecorder';
+
+const WRITERS = { gpx: toGPX, kml: toKML, geojson: toGeoJSON };
+
+/**
+ * Gather every saved waypoint, track and bearing sighting for an export
+ * @param {Object} sources - {store: WaypointStore, recorder: TrackRecorder, log: BearingLog}
+ * @returns {Promise<Object>} {waypoints, tracks, sightings} with all track points
+ */
+export const collectGeoData = async ({ store = waypointStore, recorder = trackRecorder, log = bearingLog } = {}) => {
+  if (!store.isLoaded) {
+    await store.load();
+  }
+  if (!log.isLoaded) {
+    await log.load();
+  }
+  
+  const tracks = [];
+  for (const summary of await recorder.listTracks()) {
+    const track = await recorder.loadTrack(summary.id);
+    if (track) {
+      tracks.push(track);
+    }
+  }
+  
+  return { waypoints: store.listWaypoints({ sortBy: 'name' }), tracks, sightings: log.listSightings() };
+};
+
+/**
+ * Write waypoints and tracks to a file and open the share sheet for it
+ * @param {string} format - 'gpx', 'kml' or 'geojson'; only GeoJSON carries the bearing sightings
+ * @param {Object} data - {waypoints, tracks, sightings}
+ * @returns {Promise<boolean>} - Whether the file was written and the share sheet opened
+ */
+export const exportGeoFile = async (format, data) => {
+  const type = GEO_FORMATS[format];
+  if (!type) {
+    return false;
+  }
+  
+  const fileName = `KompasApp-${createSessionId()}.${type.extension}`;
+  const path = `${RNFS.CachesDirectoryPath}/${fileName}`;
+  
+  try {
+    await RNFS.writeFile(path, WRITERS[format](data, { name: fileName }), 'utf8');
+    // Closing the share sheet without picking a target is not an error
+    await Share.open({ url: `file://${path}`, type: type.mimeType, filename: fileName, failOnCancel: false });
+    return true;
+  } catch (error) {
+    console.error('Error exporting geodata file:', error);
+    return false;
+  }
+};
+
+/**
+ * Let the user pick a GPX or KML file and read it
+ * Every file type is offered because Android rarely knows the GPX and KML MIME types.
+ * @returns {Promise<Object|null>} - {fileName, format, waypoints, tracks}, null when the picker was cancelled
+ * @throws {Error} - When the file cannot be read or is not GPX or KML
+ */
+export const pickGeoFile = async () => {
+  const file = await pickTextFile();
+  return file ? { fileName: file.name, ...parseGeoFile(file.text) } : null;
+};
+
+/**
+ * Let the user pick any text file, e.g. a sensor session recorded on another phone
+ * @returns {Promise<Object|null>} - {name, text}, null when the picker was cancelled
+ * @throws {Error} - When the file cannot be copied or read
+ */
+export const pickTextFile = async () => {
+  let file;
+  try {
+    file = await DocumentPicker.pickSingle({
+      type: [DocumentPicker.types.allFiles],
+      copyTo: 'cachesDirectory'
+    });
+  } catch (error) {
+    if (DocumentPicker.isCancel(error)) {
+      return null;
+    }
+    throw error;
+  }
+  
+  if (!file.fileCopyUri) {
+    throw new Error(file.copyError || 'File could not be copied');
+  }
+  
+  const path = decodeURIComponent(file.fileCopyUri.replace(/^file:\/\//, ''));
+  const text = await RNFS.readFile(path, 'utf8');
+  RNFS.unlink(path).catch(() => {});
+  
+  return { name: file.name, text };
+};
+
+/**
+ * Save imported waypoints and tracks
+ * @param {Object} data - {waypoints, tracks} from pickGeoFile
+ * @param {Object} targets - {store: WaypointStore, recorder: TrackRecorder}
+ * @returns {Promise<Object>} {waypoints, tracks, skipped}: how many were saved and how many were not
+ */
+export const importGeoData = async ({ waypoints = [], tracks = [] }, { store = waypointStore, recorder = trackRecorder } = {}) => {
+  if (!store.isLoaded) {
+    await store.load();
+  }
+  
+  const result = { waypoints: 0, tracks: 0, skipped: 0 };
+  
+  for (const waypoint of waypoints) {
+    try {
+      await store.addWaypoint(waypoint);
+      result.waypoints++;
+    } catch (error) {
+      console.warn('Imported waypoint rejected:', error.message);
+      result.skipped++;
+    }
+  }
+  
+  for (const track of tracks) {
+    if (await recorder.importTrack(track)) {
+      result.tracks++;
+    } else {
+      result.skipped++;
+    }
+  }
+  
+  return result;
+};
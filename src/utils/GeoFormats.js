@@ -0,0 +1,477 @@
+/**
+ * GPX, KML and GeoJSON conversion for waypoints, tracks and bearing sightings
+ * Lets routes planned in desktop GIS tools come onto the phone and recorded walks go back the other way.
+ * GeoJSON is export only. Everything here is pure text conversion; reading, writing and sharing files
+ * is in GeoExchange.
+ */
+
+import { escapeXml, parseXml, getChild, getChildren, getChildText, findElements } from './XmlUtils';
+import { validateCoordinates } from './CoordinateFormats';
+import { WAYPOINT_CATEGORIES, DEFAULT_CATEGORY } from './WaypointStore';
+
+export const GEO_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' }
+};
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+const GX_NAMESPACE = 'http://www.google.com/kml/ext/2.2';
+const DEFAULT_CREATOR = 'KompasApp';
+
+const hasValue = (value) => value !== null && value !== undefined && isFinite(value);
+
+const formatTime = (timestamp) => new Date(timestamp).toISOString();
+
+const parseTime = (text) => {
+  const timestamp = text ? Date.parse(text) : NaN;
+  return isFinite(timestamp) ? timestamp : null;
+};
+
+const parseNumber = (text) => {
+  const value = text !== null && text !== undefined && text !== '' ? Number(text) : NaN;
+  return isFinite(value) ? value : null;
+};
+
+const element = (name, value) => `<${name}>${escapeXml(value)}</${name}>`;
+
+/**
+ * Map an imported category to a waypoint category
+ * @param {string} text - Category key or its label, in any case
+ * @returns {string} Category key, the default one when it is not known
+ */
+export const matchCategory = (text) => {
+  const wanted = (text || '').trim().toLowerCase();
+  const key = Object.keys(WAYPOINT_CATEGORIES).find(category => {
+    return category === wanted || WAYPOINT_CATEGORIES[category].toLowerCase() === wanted;
+  });
+  return key || DEFAULT_CATEGORY;
+};
+
+const trackSegments = (track) => {
+  return (track.segments || []).filter(segment => segment.points && segment.points.length > 0);
+};
+
+/**
+ * Write waypoints and tracks as GPX 1.1
+ * @param {Object} data - {waypoints: [{name, latitude, longitude, altitude, category, notes, createdAt}],
+ *   tracks: [{name, segments: [{points: [{latitude, longitude, altitude, timestamp}]}]}]}
+ * @param {Object} options - {name: document name, creator, time: export time}
+ * @returns {string} GPX document
+ */
+export const toGPX = ({ waypoints = [], tracks = [] }, { name = null, creator = DEFAULT_CREATOR, time = Date.now() } = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(creator)}" xmlns="${GPX_NAMESPACE}" ` +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      `xsi:schemaLocation="${GPX_NAMESPACE} ${GPX_NAMESPACE}/gpx.xsd">`,
+    '  <metadata>',
+    ...(name ? [`    ${element('name', name)}`] : []),
+    `    ${element('time', formatTime(time))}`,
+    '  </metadata>'
+  ];
+  
+  // GPX fixes the child order: ele, time, name, desc, type
+  waypoints.forEach((waypoint) => {
+    lines.push(`  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`);
+    if (hasValue(waypoint.altitude)) {
+      lines.push(`    ${element('ele', waypoint.altitude)}`);
+    }
+    if (hasValue(waypoint.createdAt)) {
+      lines.push(`    ${element('time', formatTime(waypoint.createdAt))}`);
+    }
+    lines.push(`    ${element('name', waypoint.name)}`);
+    if (waypoint.notes) {
+      lines.push(`    ${element('desc', waypoint.notes)}`);
+    }
+    if (waypoint.category) {
+      lines.push(`    ${element('type', waypoint.category)}`);
+    }
+    lines.push('  </wpt>');
+  });
+  
+  tracks.forEach((track) => {
+    lines.push('  <trk>', `    ${element('name', track.name)}`);
+    trackSegments(track).forEach((segment) => {
+      lines.push('    <trkseg>');
+      segment.points.forEach((point) => {
+        const children = [
+          hasValue(point.altitude) ? element('ele', point.altitude) : '',
+          hasValue(point.timestamp) ? element('time', formatTime(point.timestamp)) : ''
+        ].join('');
+        lines.push(`      <trkpt lat="${point.latitude}" lon="${point.longitude}">${children}</trkpt>`);
+      });
+      lines.push('    </trkseg>');
+    });
+    lines.push('  </trk>');
+  });
+  
+  lines.push('</gpx>', '');
+  return lines.join('\n');
+};
+
+const readGpxPoint = (node) => {
+  const latitude = parseNumber(node.attributes.lat);
+  const longitude = parseNumber(node.attributes.lon);
+  if (!validateCoordinates(latitude, longitude).isValid) {
+    return null;
+  }
+  return {
+    latitude,
+    longitude,
+    altitude: parseNumber(getChildText(node, 'ele')),
+    timestamp: parseTime(getChildText(node, 'time'))
+  };
+};
+
+const readGpxPoints = (nodes) => nodes.map(readGpxPoint).filter(point => point !== null);
+
+const readGpxDocument = (root) => {
+  const waypoints = [];
+  getChildren(root, 'wpt').forEach((node, index) => {
+    const point = readGpxPoint(node);
+    if (point) {
+      waypoints.push({
+        name: getChildText(node, 'name') || `Titik ${index + 1}`,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude: point.altitude,
+        category: matchCategory(getChildText(node, 'type')),
+        notes: getChildText(node, 'desc') || getChildText(node, 'cmt') || '',
+        createdAt: point.timestamp
+      });
+    }
+  });
+  
+  const tracks = [];
+  getChildren(root, 'trk').forEach((node, index) => {
+    const segments = getChildren(node, 'trkseg')
+      .map(segment => ({ points: readGpxPoints(getChildren(segment, 'trkpt')) }))
+      .filter(segment => segment.points.length > 0);
+    if (segments.length > 0) {
+      tracks.push({ name: getChildText(node, 'name') || `Jejak ${index + 1}`, segments });
+    }
+  });
+  getChildren(root, 'rte').forEach((node, index) => {
+    const points = readGpxPoints(getChildren(node, 'rtept'));
+    if (points.length > 0) {
+      tracks.push({ name: getChildText(node, 'name') || `Rute ${index + 1}`, segments: [{ points }] });
+    }
+  });
+  
+  return { waypoints, tracks };
+};
+
+/**
+ * Read waypoints and tracks from a GPX 1.0 or 1.1 document
+ * Routes are read as single-segment tracks; they are lines to follow just like a recorded walk.
+ * @param {string} text - GPX document
+ * @returns {Object} {waypoints: [{name, latitude, longitude, altitude, category, notes, createdAt}],
+ *   tracks: [{name, segments: [{points}]}]}; points without valid coordinates are left out
+ * @throws {Error} When the text is not a GPX document
+ */
+export const parseGPX = (text) => {
+  const root = parseXml(text);
+  if (root.name !== 'gpx') {
+    throw new Error('Not a GPX document');
+  }
+  return readGpxDocument(root);
+};
+
+const kmlCoordinate = (point) => {
+  const coordinate = `${point.longitude},${point.latitude}`;
+  return hasValue(point.altitude) ? `${coordinate},${point.altitude}` : coordinate;
+};
+
+const kmlSegment = (segment, indent, isAbsolute) => {
+  const isTimed = segment.points.every(point => hasValue(point.timestamp));
+  
+  // gx:Track pairs every coordinate with a time; without times a plain line is all KML can hold
+  if (!isTimed) {
+    return [
+      `${indent}<LineString>`,
+      `${indent}  <coordinates>${segment.points.map(kmlCoordinate).join(' ')}</coordinates>`,
+      `${indent}</LineString>`
+    ];
+  }
+  
+  // gx:coord always carries a height, so a missing one cannot simply be left blank. Each run of fixes
+  // without a height goes in a gx:Track of its own clamped to the ground, rather than being written as 0 m.
+  const runs = [];
+  segment.points.forEach((point) => {
+    const isClamped = !hasValue(point.altitude);
+    const run = runs[runs.length - 1];
+    if (run && run.isClamped === isClamped) {
+      run.points.push(point);
+    } else {
+      runs.push({ isClamped, points: [point] });
+    }
+  });
+  
+  return runs.flatMap(({ isClamped, points }) => [
+    `${indent}<gx:Track>`,
+    ...(isClamped && isAbsolute ? [`${indent}  ${element('altitudeMode', 'clampToGround')}`] : []),
+    ...points.map(point => `${indent}  ${element('when', formatTime(point.timestamp))}`),
+    ...points.map(point => {
+      const altitude = isClamped ? 0 : point.altitude;
+      return `${indent}  <gx:coord>${point.longitude} ${point.latitude} ${altitude}</gx:coord>`;
+    }),
+    `${indent}</gx:Track>`
+  ]);
+};
+
+/**
+ * Write waypoints and tracks as KML 2.2
+ * Waypoints become Point placemarks, tracks become one placemark each with a gx:Track per segment
+ * (split where fixes without a height begin or end).
+ * @param {Object} data - {waypoints, tracks} as for toGPX
+ * @param {Object} options - {name: document name}
+ * @returns {string} KML document
+ */
+export const toKML = ({ waypoints = [], tracks = [] }, { name = DEFAULT_CREATOR } = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<kml xmlns="${KML_NAMESPACE}" xmlns:gx="${GX_NAMESPACE}">`,
+    '  <Document>',
+    `    ${element('name', name)}`
+  ];
+  
+  if (waypoints.length > 0) {
+    lines.push('    <Folder>', `      ${element('name', 'Titik')}`);
+    waypoints.forEach((waypoint) => {
+      lines.push('      <Placemark>', `        ${element('name', waypoint.name)}`);
+      if (waypoint.notes) {
+        lines.push(`        ${element('description', waypoint.notes)}`);
+      }
+      if (hasValue(waypoint.createdAt)) {
+        lines.push(`        <TimeStamp>${element('when', formatTime(waypoint.createdAt))}</TimeStamp>`);
+      }
+      if (waypoint.category) {
+        lines.push(
+          '        <ExtendedData>',
+          `          <Data name="category">${element('value', waypoint.category)}</Data>`,
+          '        </ExtendedData>'
+        );
+      }
+      lines.push(
+        '        <Point>',
+        ...(hasValue(waypoint.altitude) ? ['          <altitudeMode>absolute</altitudeMode>'] : []),
+        `          <coordinates>${kmlCoordinate(waypoint)}</coordinates>`,
+        '        </Point>',
+        '      </Placemark>'
+      );
+    });
+    lines.push('    </Folder>');
+  }
+  
+  if (tracks.length > 0) {
+    lines.push('    <Folder>', `      ${element('name', 'Jejak')}`);
+    tracks.forEach((track) => {
+      const segments = trackSegments(track);
+      const hasAltitude = segments.some(segment => segment.points.some(point => hasValue(point.altitude)));
+      lines.push(
+        '      <Placemark>',
+        `        ${element('name', track.name)}`,
+        '        <gx:MultiTrack>',
+        `          ${element('altitudeMode', hasAltitude ? 'absolute' : 'clampToGround')}`,
+        '          <gx:interpolate>0</gx:interpolate>'
+      );
+      segments.forEach((segment) => {
+        lines.push(...kmlSegment(segment, '          ', hasAltitude));
+      });
+      lines.push('        </gx:MultiTrack>', '      </Placemark>');
+    });
+    lines.push('    </Folder>');
+  }
+  
+  lines.push('  </Document>', '</kml>', '');
+  return lines.join('\n');
+};
+
+/**
+ * Read a KML coordinates list ("lon,lat[,alt] lon,lat[,alt] ...")
+ * @returns {Array} [{latitude, longitude, altitude, timestamp: null}], invalid tuples left out
+ */
+const readKmlCoordinates = (text) => {
+  return (text || '').trim().replace(/\s*,\s*/g, ',').split(/\s+/).map((tuple) => {
+    const [longitude, latitude, altitude] = tuple.split(',').map(parseNumber);
+    return { latitude, longitude, altitude: hasValue(altitude) ? altitude : null, timestamp: null };
+  }).filter(point => validateCoordinates(point.latitude, point.longitude).isValid);
+};
+
+const readKmlTrack = (node) => {
+  const times = getChildren(node, 'when').map(when => parseTime(when.text.trim()));
+  const isClamped = getChildText(node, 'altitudeMode') === 'clampToGround';
+  return getChildren(node, 'coord').map((coord, index) => {
+    const [longitude, latitude, altitude] = coord.text.trim().split(/\s+/).map(parseNumber);
+    return {
+      latitude,
+      longitude,
+      altitude: hasValue(altitude) && !isClamped ? altitude : null,
+      timestamp: index < times.length ? times[index] : null
+    };
+  }).filter(point => validateCoordinates(point.latitude, point.longitude).isValid);
+};
+
+const readExtendedData = (placemark, name) => {
+  const data = findElements(getChild(placemark, 'ExtendedData'), 'Data')
+    .find(node => node.attributes.name === name);
+  return data ? getChildText(data, 'value') : null;
+};
+
+const readKmlDocument = (root) => {
+  const waypoints = [];
+  const tracks = [];
+  findElements(root, 'Placemark').forEach((placemark, index) => {
+    const name = getChildText(placemark, 'name');
+    const segments = [
+      ...findElements(placemark, 'Track').map(readKmlTrack),
+      ...findElements(placemark, 'LineString').map(line => readKmlCoordinates(getChildText(line, 'coordinates')))
+    ].filter(points => points.length > 0).map(points => ({ points }));
+    
+    // Heights of geometry clamped to the ground are placeholders, usually 0
+    const altitudeMode = findElements(placemark, 'altitudeMode')[0];
+    if (altitudeMode && altitudeMode.text.trim() === 'clampToGround') {
+      segments.forEach((segment) => {
+        segment.points.forEach((point) => {
+          point.altitude = null;
+        });
+      });
+    }
+    
+    if (segments.length > 0) {
+      tracks.push({ name: name || `Jejak ${index + 1}`, segments });
+      return;
+    }
+    
+    const point = findElements(placemark, 'Point')[0];
+    const [position] = point ? readKmlCoordinates(getChildText(point, 'coordinates')) : [];
+    if (position) {
+      const timeStamp = getChild(placemark, 'TimeStamp');
+      waypoints.push({
+        name: name || `Titik ${index + 1}`,
+        latitude: position.latitude,
+        longitude: position.longitude,
+        altitude: position.altitude,
+        category: matchCategory(readExtendedData(placemark, 'category')),
+        notes: getChildText(placemark, 'description') || '',
+        createdAt: timeStamp ? parseTime(getChildText(timeStamp, 'when')) : null
+      });
+    }
+  });
+  
+  return { waypoints, tracks };
+};
+
+/**
+ * Read waypoints and tracks from a KML document
+ * Point placemarks become waypoints; placemarks with gx:Track or LineString geometry, also inside
+ * gx:MultiTrack or MultiGeometry, become tracks with one segment per line.
+ * @param {string} text - KML document
+ * @returns {Object} {waypoints, tracks} as for parseGPX
+ * @throws {Error} When the text is not a KML document
+ */
+export const parseKML = (text) => {
+  const root = parseXml(text);
+  if (root.name !== 'kml') {
+    throw new Error('Not a KML document');
+  }
+  return readKmlDocument(root);
+};
+
+// GeoJSON positions are [longitude, latitude] with an optional height
+const geoJsonPosition = (point) => {
+  return hasValue(point.altitude) ? [point.longitude, point.latitude, point.altitude] : [point.longitude, point.latitude];
+};
+
+const pointFeature = (point, properties) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: geoJsonPosition(point) },
+  properties
+});
+
+/**
+ * Write waypoints, tracks and bearing sightings as a GeoJSON FeatureCollection (RFC 7946)
+ * Every feature has a kind property: 'waypoint' and 'bearing' features are Points, 'track' features
+ * are LineStrings, one per recorded segment, with the point times in coordTimes.
+ * A bearing Point sits at the observer; its trueHeading gives the direction of the sightline.
+ * Sightings taken without a position fix have no observer to place and are left out.
+ * @param {Object} data - {waypoints, tracks} as for toGPX, and sightings from the BearingLog: [{latitude,
+ *   longitude, altitude, locationAccuracy, magneticHeading, trueHeading, gridHeading, declination,
+ *   declinationSource, gridConvergence, target, compassAccuracy, spread, note, timestamp}]
+ * @param {Object} options - {name: collection name, time: export time}
+ * @returns {string} GeoJSON document
+ */
+export const toGeoJSON = ({ waypoints = [], tracks = [], sightings = [] }, { name = DEFAULT_CREATOR, time = Date.now() } = {}) => {
+  const features = [];
+  
+  waypoints.forEach((waypoint) => {
+    features.push(pointFeature(waypoint, {
+      kind: 'waypoint',
+      name: waypoint.name,
+      category: waypoint.category || DEFAULT_CATEGORY,
+      notes: waypoint.notes || '',
+      elevation: hasValue(waypoint.altitude) ? waypoint.altitude : null,
+      time: hasValue(waypoint.createdAt) ? formatTime(waypoint.createdAt) : null
+    }));
+  });
+  
+  tracks.forEach((track) => {
+    // A LineString needs at least two positions
+    trackSegments(track).filter(segment => segment.points.length > 1).forEach((segment, index) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: segment.points.map(geoJsonPosition) },
+        properties: {
+          kind: 'track',
+          name: track.name,
+          segment: index,
+          coordTimes: segment.points.map(point => hasValue(point.timestamp) ? formatTime(point.timestamp) : null)
+        }
+      });
+    });
+  });
+  
+  sightings.filter(sighting => hasValue(sighting.latitude) && hasValue(sighting.longitude)).forEach((sighting) => {
+    features.push(pointFeature(sighting, {
+      kind: 'bearing',
+      magneticHeading: sighting.magneticHeading,
+      trueHeading: sighting.trueHeading,
+      gridHeading: hasValue(sighting.gridHeading) ? sighting.gridHeading : null,
+      declination: sighting.declination,
+      declinationSource: sighting.declinationSource || null,
+      gridConvergence: hasValue(sighting.gridConvergence) ? sighting.gridConvergence : null,
+      compassAccuracy: sighting.compassAccuracy,
+      spread: hasValue(sighting.spread) ? sighting.spread : null,
+      target: sighting.target ? sighting.target.name : null,
+      locationAccuracy: hasValue(sighting.locationAccuracy) ? sighting.locationAccuracy : null,
+      note: sighting.note || '',
+      time: hasValue(sighting.timestamp) ? formatTime(sighting.timestamp) : null
+    }));
+  });
+  
+  return `${JSON.stringify({
+    type: 'FeatureCollection',
+    name,
+    generated: formatTime(time),
+    features
+  }, null, 2)}\n`;
+};
+
+/**
+ * Read a GPX or KML document, telling them apart by the root element
+ * @param {string} text - File content
+ * @returns {Object} {format: 'gpx'|'kml', waypoints, tracks}
+ * @throws {Error} When the file is not well formed XML or neither format
+ */
+export const parseGeoFile = (text) => {
+  const root = parseXml(text);
+  if (root.name === 'gpx') {
+    return { format: 'gpx', ...readGpxDocument(root) };
+  }
+  if (root.name === 'kml') {
+    return { format: 'kml', ...readKmlDocument(root) };
+  }
+  throw new Error(`Unsupported document <${root.name}>`);
+};
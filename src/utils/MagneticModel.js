@@ -0,0 +1,269 @@
+/**
+ * World Magnetic Model (WMM) for offline geomagnetic field calculations
+ * Evaluates the spherical harmonic expansion at any location, altitude and date
+ */
+
+// WMM2025 coefficients (NOAA NCEI / BGS), valid 2025.0 - 2030.0
+// Each row: [n, m, g, h, g secular variation, h secular variation] in nT and nT/year
+const WMM_EPOCH = 2025.0;
+const WMM_VALID_UNTIL = 2030.0;
+const WMM_MAX_DEGREE = 12;
+const WMM_COEFFICIENTS = [
+  [ 1,  0, -29351.8,      0.0,     12.0,      0.0],
+  [ 1,  1,  -1410.8,   4545.4,      9.7,    -21.5],
+  [ 2,  0,  -2556.6,      0.0,    -11.6,      0.0],
+  [ 2,  1,   2951.1,  -3133.6,     -5.2,    -27.7],
+  [ 2,  2,   1649.3,   -815.1,     -8.0,    -12.1],
+  [ 3,  0,   1361.0,      0.0,     -1.3,      0.0],
+  [ 3,  1,  -2404.1,    -56.6,     -4.2,      4.0],
+  [ 3,  2,   1243.8,    237.5,      0.4,     -0.3],
+  [ 3,  3,    453.6,   -549.5,    -15.6,     -4.1],
+  [ 4,  0,    895.0,      0.0,     -1.6,      0.0],
+  [ 4,  1,    799.5,    278.6,     -2.4,     -1.1],
+  [ 4,  2,     55.7,   -133.9,     -6.0,      4.1],
+  [ 4,  3,   -281.1,    212.0,      5.6,      1.6],
+  [ 4,  4,     12.1,   -375.6,     -7.0,     -4.4],
+  [ 5,  0,   -233.2,      0.0,      0.6,      0.0],
+  [ 5,  1,    368.9,     45.4,      1.4,     -0.5],
+  [ 5,  2,    187.2,    220.2,      0.0,      2.2],
+  [ 5,  3,   -138.7,   -122.9,      0.6,      0.4],
+  [ 5,  4,   -142.0,     43.0,      2.2,      1.7],
+  [ 5,  5,     20.9,    106.1,      0.9,      1.9],
+  [ 6,  0,     64.4,      0.0,     -0.2,      0.0],
+  [ 6,  1,     63.8,    -18.4,     -0.4,      0.3],
+  [ 6,  2,     76.9,     16.8,      0.9,     -1.6],
+  [ 6,  3,   -115.7,     48.8,      1.2,     -0.4],
+  [ 6,  4,    -40.9,    -59.8,     -0.9,      0.9],
+  [ 6,  5,     14.9,     10.9,      0.3,      0.7],
+  [ 6,  6,    -60.7,     72.7,      0.9,      0.9],
+  [ 7,  0,     79.5,      0.0,      0.0,      0.0],
+  [ 7,  1,    -77.0,    -48.9,     -0.1,      0.6],
+  [ 7,  2,     -8.8,    -14.4,     -0.1,      0.5],
+  [ 7,  3,     59.3,     -1.0,      0.5,     -0.8],
+  [ 7,  4,     15.8,     23.4,     -0.1,      0.0],
+  [ 7,  5,      2.5,     -7.4,     -0.8,     -1.0],
+  [ 7,  6,    -11.1,    -25.1,     -0.8,      0.6],
+  [ 7,  7,     14.2,     -2.3,      0.8,     -0.2],
+  [ 8,  0,     23.2,      0.0,     -0.1,      0.0],
+  [ 8,  1,     10.8,      7.1,      0.2,     -0.2],
+  [ 8,  2,    -17.5,    -12.6,      0.0,      0.5],
+  [ 8,  3,      2.0,     11.4,      0.5,     -0.4],
+  [ 8,  4,    -21.7,     -9.7,     -0.1,      0.4],
+  [ 8,  5,     16.9,     12.7,      0.3,     -0.5],
+  [ 8,  6,     15.0,      0.7,      0.2,     -0.6],
+  [ 8,  7,    -16.8,     -5.2,      0.0,      0.3],
+  [ 8,  8,      0.9,      3.9,      0.2,      0.2],
+  [ 9,  0,      4.6,      0.0,      0.0,      0.0],
+  [ 9,  1,      7.8,    -24.8,     -0.1,     -0.3],
+  [ 9,  2,      3.0,     12.2,      0.1,      0.3],
+  [ 9,  3,     -0.2,      8.3,      0.3,     -0.3],
+  [ 9,  4,     -2.5,     -3.3,     -0.3,      0.3],
+  [ 9,  5,    -13.1,     -5.2,      0.0,      0.2],
+  [ 9,  6,      2.4,      7.2,      0.3,     -0.1],
+  [ 9,  7,      8.6,     -0.6,     -0.1,     -0.2],
+  [ 9,  8,     -8.7,      0.8,      0.1,      0.4],
+  [ 9,  9,    -12.9,     10.0,     -0.1,      0.1],
+  [10,  0,     -1.3,      0.0,      0.1,      0.0],
+  [10,  1,     -6.4,      3.3,      0.0,      0.0],
+  [10,  2,      0.2,      0.0,      0.1,      0.0],
+  [10,  3,      2.0,      2.4,      0.1,     -0.2],
+  [10,  4,     -1.0,      5.3,      0.0,      0.1],
+  [10,  5,     -0.6,     -9.1,     -0.3,     -0.1],
+  [10,  6,     -0.9,      0.4,      0.0,      0.1],
+  [10,  7,      1.5,     -4.2,     -0.1,      0.0],
+  [10,  8,      0.9,     -3.8,     -0.1,     -0.1],
+  [10,  9,     -2.7,      0.9,      0.0,      0.2],
+  [10, 10,     -3.9,     -9.1,      0.0,      0.0],
+  [11,  0,      2.9,      0.0,      0.0,      0.0],
+  [11,  1,     -1.5,      0.0,      0.0,      0.0],
+  [11,  2,     -2.5,      2.9,      0.0,      0.1],
+  [11,  3,      2.4,     -0.6,      0.0,      0.0],
+  [11,  4,     -0.6,      0.2,      0.0,      0.1],
+  [11,  5,     -0.1,      0.5,     -0.1,      0.0],
+  [11,  6,     -0.6,     -0.3,      0.0,      0.0],
+  [11,  7,     -0.1,     -1.2,      0.0,      0.1],
+  [11,  8,      1.1,     -1.7,     -0.1,      0.0],
+  [11,  9,     -1.0,     -2.9,     -0.1,      0.0],
+  [11, 10,     -0.2,     -1.8,     -0.1,      0.0],
+  [11, 11,      2.6,     -2.3,     -0.1,      0.0],
+  [12,  0,     -2.0,      0.0,      0.0,      0.0],
+  [12,  1,     -0.2,     -1.3,      0.0,      0.0],
+  [12,  2,      0.3,      0.7,      0.0,      0.0],
+  [12,  3,      1.2,      1.0,      0.0,     -0.1],
+  [12,  4,     -1.3,     -1.4,      0.0,      0.1],
+  [12,  5,      0.6,      0.0,      0.0,      0.0],
+  [12,  6,      0.6,      0.6,      0.1,      0.0],
+  [12,  7,      0.5,     -0.1,      0.0,      0.0],
+  [12,  8,     -0.1,      0.8,      0.0,      0.0],
+  [12,  9,     -0.4,      0.1,      0.0,      0.0],
+  [12, 10,     -0.2,     -1.0,     -0.1,      0.0],
+  [12, 11,     -1.3,      0.1,      0.0,      0.0],
+  [12, 12,     -0.7,      0.2,     -0.1,     -0.1],];
+
+// WGS84 ellipsoid and geomagnetic reference radius (km)
+const WGS84_A = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const GEOMAGNETIC_RADIUS = 6371.2;
+
+// WMM declination uncertainty model (degrees), grows as the horizontal field weakens
+const DECLINATION_UNCERTAINTY_BASE = 0.26;
+const DECLINATION_UNCERTAINTY_H = 5417;
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Index coefficients by [n][m] once at load time
+const buildCoefficientTable = () => {
+  const table = [];
+  for (let n = 0; n <= WMM_MAX_DEGREE; n++) {
+    table.push(new Array(n + 1).fill(null).map(() => ({ g: 0, h: 0, gDot: 0, hDot: 0 })));
+  }
+  for (const [n, m, g, h, gDot, hDot] of WMM_COEFFICIENTS) {
+    table[n][m] = { g, h, gDot, hDot };
+  }
+  return table;
+};
+
+const COEFFICIENT_TABLE = buildCoefficientTable();
+
+/**
+ * Convert a date to a decimal year (e.g. 2025.5)
+ * @param {Date} date - Date to convert
+ * @returns {number} Decimal year
+ */
+export const toDecimalYear = (date) => {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+};
+
+/**
+ * Convert geodetic coordinates to geocentric spherical coordinates
+ * @param {number} latitude - Geodetic latitude in degrees
+ * @param {number} altitude - Height above the ellipsoid in km
+ * @returns {Object} {radius, latitude} with radius in km and latitude in radians
+ */
+const geodeticToSpherical = (latitude, altitude) => {
+  const phi = latitude * DEG_TO_RAD;
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const rc = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+  const p = (rc + altitude) * cosPhi;
+  const z = (rc * (1 - WGS84_E2) + altitude) * sinPhi;
+  const radius = Math.sqrt(p * p + z * z);
+  
+  return { radius, latitude: Math.asin(z / radius) };
+};
+
+/**
+ * Schmidt semi-normalised associated Legendre functions and their derivatives
+ * with respect to colatitude
+ * @param {number} sinLat - Sine of the geocentric latitude
+ * @param {number} cosLat - Cosine of the geocentric latitude
+ * @returns {Object} {P, dP} indexed as [n][m]
+ */
+const legendreFunctions = (sinLat, cosLat) => {
+  const P = [[1], [sinLat, cosLat]];
+  const dP = [[0], [-cosLat, sinLat]];
+  
+  for (let n = 2; n <= WMM_MAX_DEGREE; n++) {
+    P.push(new Array(n + 1));
+    dP.push(new Array(n + 1));
+    
+    for (let m = 0; m < n; m++) {
+      const k1 = 2 * n - 1;
+      const k2 = Math.sqrt((n - 1) * (n - 1) - m * m);
+      const k3 = Math.sqrt(n * n - m * m);
+      const previous = m <= n - 2 ? P[n - 2][m] : 0;
+      const previousDerivative = m <= n - 2 ? dP[n - 2][m] : 0;
+      
+      P[n][m] = (k1 * sinLat * P[n - 1][m] - k2 * previous) / k3;
+      dP[n][m] = (k1 * (sinLat * dP[n - 1][m] - cosLat * P[n - 1][m]) - k2 * previousDerivative) / k3;
+    }
+    
+    const k = Math.sqrt((2 * n - 1) / (2 * n));
+    P[n][n] = k * cosLat * P[n - 1][n - 1];
+    dP[n][n] = k * (cosLat * dP[n - 1][n - 1] + sinLat * P[n - 1][n - 1]);
+  }
+  
+  return { P, dP };
+};
+
+/**
+ * Calculate the geomagnetic field vector and its derived elements
+ * @param {Object} params - {latitude, longitude, altitude, date}
+ *   altitude is in meters above the WGS84 ellipsoid, date defaults to now
+ * @returns {Object} {declination, inclination, totalIntensity, horizontalIntensity,
+ *   north, east, down, decimalYear, isDateValid}; angles in degrees, intensities in nT
+ */
+export const calculateGeomagneticField = ({ latitude, longitude, altitude = 0, date = new Date() }) => {
+  // The spherical expansion is singular exactly at the poles
+  const clampedLatitude = Math.max(-89.99999, Math.min(89.99999, latitude));
+  const decimalYear = toDecimalYear(date);
+  const dt = decimalYear - WMM_EPOCH;
+  
+  const spherical = geodeticToSpherical(clampedLatitude, altitude / 1000);
+  const sinLat = Math.sin(spherical.latitude);
+  const cosLat = Math.cos(spherical.latitude);
+  const lambda = longitude * DEG_TO_RAD;
+  const { P, dP } = legendreFunctions(sinLat, cosLat);
+  
+  let xPrime = 0;
+  let yPrime = 0;
+  let zPrime = 0;
+  
+  for (let n = 1; n <= WMM_MAX_DEGREE; n++) {
+    const ratio = Math.pow(GEOMAGNETIC_RADIUS / spherical.radius, n + 2);
+    
+    for (let m = 0; m <= n; m++) {
+      const { g, h, gDot, hDot } = COEFFICIENT_TABLE[n][m];
+      const gt = g + dt * gDot;
+      const ht = h + dt * hDot;
+      const cosM = Math.cos(m * lambda);
+      const sinM = Math.sin(m * lambda);
+      
+      xPrime += ratio * (gt * cosM + ht * sinM) * dP[n][m];
+      yPrime += ratio * m * (gt * sinM - ht * cosM) * P[n][m];
+      zPrime -= ratio * (n + 1) * (gt * cosM + ht * sinM) * P[n][m];
+    }
+  }
+  
+  yPrime /= cosLat;
+  
+  // Rotate from geocentric to geodetic reference frame
+  const psi = spherical.latitude - clampedLatitude * DEG_TO_RAD;
+  const north = xPrime * Math.cos(psi) - zPrime * Math.sin(psi);
+  const east = yPrime;
+  const down = xPrime * Math.sin(psi) + zPrime * Math.cos(psi);
+  
+  const horizontalIntensity = Math.sqrt(north * north + east * east);
+  const totalIntensity = Math.sqrt(horizontalIntensity * horizontalIntensity + down * down);
+  
+  return {
+    declination: Math.atan2(east, north) * RAD_TO_DEG,
+    inclination: Math.atan2(down, horizontalIntensity) * RAD_TO_DEG,
+    totalIntensity,
+    horizontalIntensity,
+    north,
+    east,
+    down,
+    decimalYear,
+    isDateValid: decimalYear >= WMM_EPOCH && decimalYear < WMM_VALID_UNTIL
+  };
+};
+
+/**
+ * Estimate declination uncertainty from the WMM error model
+ * @param {number} horizontalIntensity - Horizontal field intensity in nT
+ * @returns {number} One-sigma declination uncertainty in degrees
+ */
+export const getDeclinationUncertainty = (horizontalIntensity) => {
+  if (!isFinite(horizontalIntensity) || horizontalIntensity <= 0) {
+    return 180;
+  }
+  
+  const fieldTerm = DECLINATION_UNCERTAINTY_H / horizontalIntensity;
+  return Math.sqrt(DECLINATION_UNCERTAINTY_BASE * DECLINATION_UNCERTAINTY_BASE + fieldTerm * fieldTerm);
+};
@@ -0,0 +1,127 @@
+/**
+ * Small dense linear algebra helpers for sensor calibration and filtering
+ * Matrices are plain arrays of rows, vectors are plain arrays
+ */
+
+/**
+ * Solve a square linear system A·x = b with Gaussian elimination and partial pivoting
+ * @param {Array<Array<number>>} A - Square coefficient matrix
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>|null} Solution vector, or null if the system is singular
+ */
+export const solveLinearSystem = (A, b) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) {
+        pivot = row;
+      }
+    }
+    
+    if (Math.abs(M[pivot][col]) < 1e-12) {
+      return null;
+    }
+    
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+  
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= M[row][k] * x[k];
+    }
+    x[row] = sum / M[row][row];
+  }
+  
+  return x.every(isFinite) ? x : null;
+};
+
+/**
+ * Eigen-decomposition of a symmetric 3x3 matrix using cyclic Jacobi rotations
+ * @param {Array<Array<number>>} S - Symmetric 3x3 matrix
+ * @returns {Object} {values, vectors} where vectors[i] is the column for values[i]
+ */
+export const symmetricEigen3 = (S) => {
+  const a = S.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-15) break;
+    
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(a[p][q]) < 1e-18) continue;
+        
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  
+  return {
+    values: [a[0][0], a[1][1], a[2][2]],
+    vectors: [0, 1, 2].map(i => [v[0][i], v[1][i], v[2][i]])
+  };
+};
+
+/**
+ * Multiply two matrices
+ * @param {Array<Array<number>>} A - Left matrix
+ * @param {Array<Array<number>>} B - Right matrix
+ * @returns {Array<Array<number>>} Product A·B
+ */
+export const multiplyMatrices = (A, B) => {
+  return A.map(row => B[0].map((_, j) => row.reduce((sum, value, k) => sum + value * B[k][j], 0)));
+};
+
+/**
+ * Multiply a matrix by a vector
+ * @param {Array<Array<number>>} A - Matrix
+ * @param {Array<number>} v - Vector
+ * @returns {Array<number>} Product A·v
+ */
+export const multiplyMatrixVector = (A, v) => {
+  return A.map(row => row.reduce((sum, value, k) => sum + value * v[k], 0));
+};
+
+/**
+ * Transpose a matrix
+ * @param {Array<Array<number>>} A - Matrix
+ * @returns {Array<Array<number>>} Transposed matrix
+ */
+export const transpose = (A) => {
+  return A[0].map((_, j) => A.map(row => row[j]));
+};
@@ -0,0 +1,250 @@
+/**
+ * Resection: finding one's own position from bearings to known landmarks
+ * Each bearing to a landmark puts the observer somewhere on the back-bearing line drawn from that
+ * landmark. Two lines cross at the position; with more, the crossings form the error triangle and a
+ * weighted least squares fit gives the best position. Works without GPS, e.g. under forest canopy.
+ */
+
+import { calculateDistance, calculateInitialBearing, getRelativeBearing, getAccuracyStatus } from './CompassUtils';
+
+// Resection parameters
+export const DEFAULT_BEARING_SIGMA = 2; // Degrees; a careful hand-held compass sighting
+export const MIN_CUT_ANGLE = 30; // Degrees; lines crossing at a flatter angle give a long, uncertain fix
+export const RECENT_SIGHTING_WINDOW = 30 * 60 * 1000; // ms; older sightings were likely taken elsewhere
+const MAX_BEHIND_RESIDUAL = 90; // Degrees; a larger residual means the landmark lies behind the fix
+const ITERATIONS = 5;
+const EARTH_RADIUS = 6371008.8; // meters
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Local plane around an origin, in meters east (x) and north (y)
+ * Adequate over the few kilometres a landmark can be seen across.
+ */
+const createPlane = (origin) => {
+  const metersPerDegreeY = EARTH_RADIUS * DEG_TO_RAD;
+  const metersPerDegreeX = metersPerDegreeY * Math.cos(origin.latitude * DEG_TO_RAD);
+  return {
+    toXY: (point) => ({
+      x: (point.longitude - origin.longitude) * metersPerDegreeX,
+      y: (point.latitude - origin.latitude) * metersPerDegreeY
+    }),
+    toLatLon: (point) => ({
+      latitude: origin.latitude + point.y / metersPerDegreeY,
+      longitude: origin.longitude + point.x / metersPerDegreeX
+    })
+  };
+};
+
+// Normal of the line along a bearing; n · P is the same for every point P on the line
+const lineNormal = (bearing) => ({ x: Math.cos(bearing * DEG_TO_RAD), y: -Math.sin(bearing * DEG_TO_RAD) });
+
+// Crossing point of two back-bearing lines, null when they are parallel
+const intersectLines = (a, b) => {
+  const na = lineNormal(a.bearing);
+  const nb = lineNormal(b.bearing);
+  const ca = na.x * a.x + na.y * a.y;
+  const cb = nb.x * b.x + nb.y * b.y;
+  const determinant = na.x * nb.y - na.y * nb.x;
+  if (Math.abs(determinant) < 1e-9) {
+    return null;
+  }
+  return {
+    x: (ca * nb.y - cb * na.y) / determinant,
+    y: (na.x * cb - nb.x * ca) / determinant
+  };
+};
+
+// Acute angle at which two bearing lines cross, 0-90 degrees
+const cutAngle = (a, b) => {
+  const difference = Math.abs(a - b) % 180;
+  return Math.min(difference, 180 - difference);
+};
+
+/**
+ * Pick the logged sightings a resection should use
+ * The log keeps bearings from other days and places, which would pull the fix away, so only recent target
+ * sightings are used unless the user says otherwise. The user's choice holds as sightings age: one switched
+ * out stays out, one switched in stays in.
+ * @param {Array} sightings - BearingLog sightings
+ * @param {Object} overrides - {includedIds, excludedIds}: ids of sightings the user switched in or out
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Target sightings to use, in the order given
+ */
+export const selectResectionSightings = (sightings, { includedIds = [], excludedIds = [] } = {}, now = Date.now()) => {
+  return sightings.filter((sighting) => {
+    if (!sighting.target || excludedIds.includes(sighting.id)) return false;
+    return includedIds.includes(sighting.id) || now - sighting.timestamp <= RECENT_SIGHTING_WINDOW;
+  });
+};
+
+/**
+ * Turn logged sightings aimed at waypoints into resection observations
+ * @param {Array} sightings - BearingLog sightings; those without a target are left out
+ * @returns {Array} [{name, latitude, longitude, bearing (true, observer to landmark), sigma (degrees)}]
+ */
+export const sightingsToObservations = (sightings) => {
+  return sightings.filter(sighting => sighting.target).map(sighting => ({
+    name: sighting.target.name,
+    latitude: sighting.target.latitude,
+    longitude: sighting.target.longitude,
+    bearing: sighting.trueHeading,
+    // An unsteady capture is less trustworthy than the compass alone
+    sigma: Math.max(DEFAULT_BEARING_SIGMA, isFinite(sighting.spread) && sighting.spread !== null ? sighting.spread : 0)
+  }));
+};
+
+/**
+ * Locate the observer from bearings to known landmarks
+ * @param {Array} observations - [{name, latitude, longitude, bearing, sigma}], bearings are true and point
+ *   from the observer to the landmark, sigma is the bearing standard deviation in degrees
+ * @returns {Object} {isValid, reason, latitude, longitude, uncertainty, varianceFactor, weakestCutAngle,
+ *   errorTriangle: {points: [{latitude, longitude}], size}, observations: [{name, bearing, residual, distance}],
+ *   isReliable}
+ *   uncertainty is the 1-sigma radial error in meters; with three or more bearings it is scaled up when
+ *   they disagree more than their sigmas allow (varianceFactor > 1). The error triangle holds the crossing
+ *   of every pair of lines (one point for two bearings) and size is the largest distance between them.
+ *   residual = observed - computed bearing in degrees.
+ */
+export const resectPosition = (observations) => {
+  if (!observations || observations.length < 2) {
+    return { isValid: false, reason: 'Butuh arah ke minimal 2 titik' };
+  }
+  
+  const origin = {
+    latitude: observations.reduce((sum, observation) => sum + observation.latitude, 0) / observations.length,
+    longitude: observations.reduce((sum, observation) => sum + observation.longitude, 0) / observations.length
+  };
+  const plane = createPlane(origin);
+  const lines = observations.map(observation => ({
+    ...plane.toXY(observation),
+    bearing: observation.bearing,
+    sigma: (observation.sigma || DEFAULT_BEARING_SIGMA) * DEG_TO_RAD
+  }));
+  
+  let weakestCutAngle = 90;
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      weakestCutAngle = Math.min(weakestCutAngle, cutAngle(lines[i].bearing, lines[j].bearing));
+    }
+  }
+  const strongestCutAngle = lines.reduce((best, line, i) => {
+    return lines.slice(i + 1).reduce((max, other) => Math.max(max, cutAngle(line.bearing, other.bearing)), best);
+  }, 0);
+  if (strongestCutAngle < 1) {
+    return { isValid: false, reason: 'Arah-arah hampir sejajar, pilih titik di arah lain' };
+  }
+  
+  // Weighted least squares on the perpendicular distance to each line. A bearing error moves its line by
+  // distance * angle, so weights need the distances, which need the position: iterate from equal weights.
+  let position = null;
+  let normal = null;
+  let distances = lines.map(() => 1);
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    let nxx = 0;
+    let nxy = 0;
+    let nyy = 0;
+    let bx = 0;
+    let by = 0;
+    lines.forEach((line, index) => {
+      const n = lineNormal(line.bearing);
+      const weight = 1 / Math.pow(line.sigma * distances[index], 2);
+      const c = n.x * line.x + n.y * line.y;
+      nxx += weight * n.x * n.x;
+      nxy += weight * n.x * n.y;
+      nyy += weight * n.y * n.y;
+      bx += weight * n.x * c;
+      by += weight * n.y * c;
+    });
+    
+    const determinant = nxx * nyy - nxy * nxy;
+    position = { x: (nyy * bx - nxy * by) / determinant, y: (nxx * by - nxy * bx) / determinant };
+    normal = { nxx, nyy, determinant };
+    // Keep a landmark at the observer's feet from taking all the weight
+    distances = lines.map(line => Math.max(1, Math.hypot(line.x - position.x, line.y - position.y)));
+  }
+  
+  const location = plane.toLatLon(position);
+  const results = observations.map((observation) => {
+    const computed = calculateInitialBearing(location, observation);
+    return {
+      name: observation.name,
+      bearing: observation.bearing,
+      residual: getRelativeBearing(computed, observation.bearing),
+      distance: calculateDistance(location, observation)
+    };
+  });
+  
+  const behind = results.find(result => Math.abs(result.residual) > MAX_BEHIND_RESIDUAL);
+  if (behind) {
+    return { isValid: false, reason: `Arah ke ${behind.name} tidak cocok dengan titik lain, periksa sasarannya` };
+  }
+  
+  // A posteriori variance factor, only meaningful with redundant bearings
+  let varianceFactor = 1;
+  if (lines.length > 2) {
+    const weightedSquares = lines.reduce((sum, line, index) => {
+      const offset = distances[index] * Math.sin(results[index].residual * DEG_TO_RAD);
+      return sum + Math.pow(offset / (line.sigma * distances[index]), 2);
+    }, 0);
+    varianceFactor = weightedSquares / (lines.length - 2);
+  }
+  // Trace of the inverse normal matrix is the sum of the x and y variances
+  const variance = (normal.nxx + normal.nyy) / normal.determinant;
+  const uncertainty = Math.sqrt(variance * Math.max(1, varianceFactor));
+  
+  const points = [];
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      const crossing = intersectLines(lines[i], lines[j]);
+      if (crossing) {
+        points.push(plane.toLatLon(crossing));
+      }
+    }
+  }
+  let size = 0;
+  points.forEach((a, i) => {
+    points.slice(i + 1).forEach((b) => {
+      size = Math.max(size, calculateDistance(a, b));
+    });
+  });
+  
+  const isReliable = weakestCutAngle >= MIN_CUT_ANGLE;
+  
+  return {
+    isValid: true,
+    reason: isReliable ? null : `Sudut potong hanya ${weakestCutAngle.toFixed(0)}°, hasil kurang teliti`,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    uncertainty,
+    varianceFactor,
+    weakestCutAngle,
+    errorTriangle: { points, size },
+    observations: results,
+    isReliable
+  };
+};
+
+/**
+ * Compare a resection with the GPS fix
+ * @param {Object} resection - Valid result of resectPosition
+ * @param {Object} location - GPS fix {latitude, longitude}
+ * @param {number} accuracy - GPS accuracy in meters
+ * @returns {Object|null} {distance (m), bearing (from the GPS fix to the resection), gpsStatus: getAccuracyStatus
+ *   result, isConsistent: whether the two agree within twice their combined uncertainty}; null without a fix
+ */
+export const compareWithGps = (resection, location, accuracy) => {
+  if (!resection || !resection.isValid || !location) {
+    return null;
+  }
+  
+  const distance = calculateDistance(location, resection);
+  const gpsAccuracy = isFinite(accuracy) && accuracy !== null ? accuracy : null;
+  const combined = Math.sqrt(Math.pow(resection.uncertainty, 2) + Math.pow(gpsAccuracy || 0, 2));
+  
+  return {
+    distance,
+    bearing: calculateInitialBearing(location, resection),
+    gpsStatus: gpsAccuracy !== null ? getAccuracyStatus(gpsAccuracy) : null,
+    isConsistent: distance <= 2 * combined
+  };
+};
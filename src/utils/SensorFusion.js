@@ -0,0 +1,290 @@
+/**
+ * Orientation sensor fusion for a stable, low-latency heading
+ * Madgwick gradient-descent filter combining gyroscope, accelerometer and magnetometer into a quaternion
+ */
+
+import { calculateTiltAngles } from './CompassUtils';
+
+// Fusion parameters
+export const DEFAULT_BETA = 0.1; // Gradient step: higher trusts accel/mag more, lower trusts the gyroscope more
+const MAX_TIME_STEP = 0.5; // Seconds; longer gaps (app paused, sensor stall) re-initialise instead of integrating
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const isVector = (v) => (
+  v && typeof v.x === 'number' && typeof v.y === 'number' && typeof v.z === 'number' &&
+  isFinite(v.x) && isFinite(v.y) && isFinite(v.z)
+);
+
+const normalizeVector = (v) => {
+  const norm = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  if (norm === 0) return null;
+  return { x: v.x / norm, y: v.y / norm, z: v.z / norm };
+};
+
+/**
+ * Madgwick orientation filter
+ * All three sensors must use the same device axes. Gyroscope rates are in rad/s;
+ * accelerometer and magnetometer units do not matter because both are normalised.
+ */
+export class MadgwickFilter {
+  constructor(options = {}) {
+    this.beta = options.beta || DEFAULT_BETA;
+    this.reset();
+  }
+  
+  /**
+   * Reset the filter to an uninitialised state
+   */
+  reset() {
+    this.q = [1, 0, 0, 0];
+    this.isInitialized = false;
+    this.lastTimestamp = null;
+  }
+  
+  /**
+   * Set the orientation directly from an accelerometer and magnetometer pair
+   * Avoids the slow convergence of the gradient descent from the identity quaternion.
+   * @param {Object} accelerometer - {x, y, z}
+   * @param {Object} magnetometer - {x, y, z}
+   * @returns {boolean} - Whether initialisation succeeded
+   */
+  initialize(accelerometer, magnetometer) {
+    const tilt = calculateTiltAngles(accelerometer);
+    if (!tilt || !isVector(magnetometer)) {
+      return false;
+    }
+    
+    const { pitch, roll } = tilt;
+    const { x, y, z } = magnetometer;
+    const xh = x * Math.cos(pitch) + y * Math.sin(pitch) * Math.sin(roll) + z * Math.sin(pitch) * Math.cos(roll);
+    const yh = y * Math.cos(roll) - z * Math.sin(roll);
+    const yaw = -Math.atan2(yh, xh);
+    
+    // Quaternion from Z-Y-X Euler angles
+    const cy = Math.cos(yaw / 2);
+    const sy = Math.sin(yaw / 2);
+    const cp = Math.cos(pitch / 2);
+    const sp = Math.sin(pitch / 2);
+    const cr = Math.cos(roll / 2);
+    const sr = Math.sin(roll / 2);
+    
+    this.q = [
+      cr * cp * cy + sr * sp * sy,
+      sr * cp * cy - cr * sp * sy,
+      cr * sp * cy + sr * cp * sy,
+      cr * cp * sy - sr * sp * cy
+    ];
+    this.isInitialized = true;
+    
+    return true;
+  }
+  
+  /**
+   * Update the orientation with a new set of samples
+   * @param {Object} gyroscope - Angular rate {x, y, z} in rad/s
+   * @param {Object} accelerometer - {x, y, z}
+   * @param {Object} magnetometer - {x, y, z}, or null to run on gyroscope and accelerometer only
+   * @param {number} timestamp - Sample time in milliseconds
+   * @returns {Object} - Current orientation {heading, pitch, roll} in degrees
+   */
+  update(gyroscope, accelerometer, magnetometer, timestamp) {
+    const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+    this.lastTimestamp = timestamp;
+    
+    if (!this.isInitialized || dt <= 0 || dt > MAX_TIME_STEP) {
+      if (!this.isInitialized || dt > MAX_TIME_STEP) {
+        this.initialize(accelerometer, magnetometer);
+      }
+      return this.getOrientation();
+    }
+    
+    if (!isVector(gyroscope)) {
+      return this.getOrientation();
+    }
+    
+    if (isVector(magnetometer)) {
+      this.updateMARG(gyroscope, accelerometer, magnetometer, dt);
+    } else {
+      this.updateIMU(gyroscope, accelerometer, dt);
+    }
+    
+    return this.getOrientation();
+  }
+  
+  /**
+   * Gyroscope, accelerometer and magnetometer update step
+   */
+  updateMARG(gyroscope, accelerometer, magnetometer, dt) {
+    const [q0, q1, q2, q3] = this.q;
+    const { x: gx, y: gy, z: gz } = gyroscope;
+    
+    // Rate of change of quaternion from gyroscope
+    let qDot0 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+    let qDot1 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+    let qDot2 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+    let qDot3 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+    
+    const a = isVector(accelerometer) ? normalizeVector(accelerometer) : null;
+    const m = normalizeVector(magnetometer);
+    
+    if (a && m) {
+      const { x: ax, y: ay, z: az } = a;
+      const { x: mx, y: my, z: mz } = m;
+      
+      const _2q0mx = 2 * q0 * mx;
+      const _2q0my = 2 * q0 * my;
+      const _2q0mz = 2 * q0 * mz;
+      const _2q1mx = 2 * q1 * mx;
+      const _2q0 = 2 * q0;
+      const _2q1 = 2 * q1;
+      const _2q2 = 2 * q2;
+      const _2q3 = 2 * q3;
+      const _2q0q2 = 2 * q0 * q2;
+      const _2q2q3 = 2 * q2 * q3;
+      const q0q0 = q0 * q0;
+      const q0q1 = q0 * q1;
+      const q0q2 = q0 * q2;
+      const q0q3 = q0 * q3;
+      const q1q1 = q1 * q1;
+      const q1q2 = q1 * q2;
+      const q1q3 = q1 * q3;
+      const q2q2 = q2 * q2;
+      const q2q3 = q2 * q3;
+      const q3q3 = q3 * q3;
+      
+      // Reference direction of the Earth's magnetic field
+      const hx = mx * q0q0 - _2q0my * q3 + _2q0mz * q2 + mx * q1q1 + _2q1 * my * q2 + _2q1 * mz * q3 - mx * q2q2 - mx * q3q3;
+      const hy = _2q0mx * q3 + my * q0q0 - _2q0mz * q1 + _2q1mx * q2 - my * q1q1 + my * q2q2 + _2q2 * mz * q3 - my * q3q3;
+      const _2bx = Math.sqrt(hx * hx + hy * hy);
+      const _2bz = -_2q0mx * q2 + _2q0my * q1 + mz * q0q0 + _2q1mx * q3 - mz * q1q1 + _2q2 * my * q3 - mz * q2q2 + mz * q3q3;
+      const _4bx = 2 * _2bx;
+      const _4bz = 2 * _2bz;
+      
+      // Objective function errors for gravity and magnetic field
+      const fAx = 2 * q1q3 - _2q0q2 - ax;
+      const fAy = 2 * q0q1 + _2q2q3 - ay;
+      const fAz = 1 - 2 * q1q1 - 2 * q2q2 - az;
+      const fMx = _2bx * (0.5 - q2q2 - q3q3) + _2bz * (q1q3 - q0q2) - mx;
+      const fMy = _2bx * (q1q2 - q0q3) + _2bz * (q0q1 + q2q3) - my;
+      const fMz = _2bx * (q0q2 + q1q3) + _2bz * (0.5 - q1q1 - q2q2) - mz;
+      
+      // Gradient descent corrective step
+      let s0 = -_2q2 * fAx + _2q1 * fAy - _2bz * q2 * fMx + (-_2bx * q3 + _2bz * q1) * fMy + _2bx * q2 * fMz;
+      let s1 = _2q3 * fAx + _2q0 * fAy - 4 * q1 * fAz + _2bz * q3 * fMx + (_2bx * q2 + _2bz * q0) * fMy + (_2bx * q3 - _4bz * q1) * fMz;
+      let s2 = -_2q0 * fAx + _2q3 * fAy - 4 * q2 * fAz + (-_4bx * q2 - _2bz * q0) * fMx + (_2bx * q1 + _2bz * q3) * fMy + (_2bx * q0 - _4bz * q2) * fMz;
+      let s3 = _2q1 * fAx + _2q2 * fAy + (-_4bx * q3 + _2bz * q1) * fMx + (-_2bx * q0 + _2bz * q2) * fMy + _2bx * q1 * fMz;
+      
+      const sNorm = Math.sqrt(s0 * s0 + s1 * s1 + s2 * s2 + s3 * s3);
+      if (sNorm > 0) {
+        s0 /= sNorm;
+        s1 /= sNorm;
+        s2 /= sNorm;
+        s3 /= sNorm;
+        
+        qDot0 -= this.beta * s0;
+        qDot1 -= this.beta * s1;
+        qDot2 -= this.beta * s2;
+        qDot3 -= this.beta * s3;
+      }
+    }
+    
+    this.integrate([qDot0, qDot1, qDot2, qDot3], dt);
+  }
+  
+  /**
+   * Gyroscope and accelerometer update step; heading drifts with the gyroscope bias
+   */
+  updateIMU(gyroscope, accelerometer, dt) {
+    const [q0, q1, q2, q3] = this.q;
+    const { x: gx, y: gy, z: gz } = gyroscope;
+    
+    let qDot0 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+    let qDot1 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+    let qDot2 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+    let qDot3 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+    
+    const a = isVector(accelerometer) ? normalizeVector(accelerometer) : null;
+    
+    if (a) {
+      const { x: ax, y: ay, z: az } = a;
+      const _2q0 = 2 * q0;
+      const _2q1 = 2 * q1;
+      const _2q2 = 2 * q2;
+      const _2q3 = 2 * q3;
+      const _4q0 = 4 * q0;
+      const _4q1 = 4 * q1;
+      const _4q2 = 4 * q2;
+      const _8q1 = 8 * q1;
+      const _8q2 = 8 * q2;
+      const q0q0 = q0 * q0;
+      const q1q1 = q1 * q1;
+      const q2q2 = q2 * q2;
+      const q3q3 = q3 * q3;
+      
+      let s0 = _4q0 * q2q2 + _2q2 * ax + _4q0 * q1q1 - _2q1 * ay;
+      let s1 = _4q1 * q3q3 - _2q3 * ax + 4 * q0q0 * q1 - _2q0 * ay - _4q1 + _8q1 * q1q1 + _8q1 * q2q2 + _4q1 * az;
+      let s2 = 4 * q0q0 * q2 + _2q0 * ax + _4q2 * q3q3 - _2q3 * ay - _4q2 + _8q2 * q1q1 + _8q2 * q2q2 + _4q2 * az;
+      let s3 = 4 * q1q1 * q3 - _2q1 * ax + 4 * q2q2 * q3 - _2q2 * ay;
+      
+      const sNorm = Math.sqrt(s0 * s0 + s1 * s1 + s2 * s2 + s3 * s3);
+      if (sNorm > 0) {
+        s0 /= sNorm;
+        s1 /= sNorm;
+        s2 /= sNorm;
+        s3 /= sNorm;
+        
+        qDot0 -= this.beta * s0;
+        qDot1 -= this.beta * s1;
+        qDot2 -= this.beta * s2;
+        qDot3 -= this.beta * s3;
+      }
+    }
+    
+    this.integrate([qDot0, qDot1, qDot2, qDot3], dt);
+  }
+  
+  /**
+   * Integrate the quaternion derivative and renormalise
+   */
+  integrate(qDot, dt) {
+    const q = this.q.map((value, i) => value + qDot[i] * dt);
+    const norm = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+    
+    if (isFinite(norm) && norm > 0) {
+      this.q = q.map(value => value / norm);
+    } else {
+      this.reset();
+    }
+  }
+  
+  /**
+   * Get the orientation quaternion [w, x, y, z]
+   * @returns {Array<number>} - Quaternion
+   */
+  getQuaternion() {
+    return [...this.q];
+  }
+  
+  /**
+   * Get heading, pitch and roll from the current quaternion
+   * Heading uses the same convention as calculateHeading (magnetic, before declination).
+   * @returns {Object} - {heading, pitch, roll} in degrees
+   */
+  getOrientation() {
+    const [q0, q1, q2, q3] = this.q;
+    
+    const roll = Math.atan2(q0 * q1 + q2 * q3, 0.5 - q1 * q1 - q2 * q2);
+    const pitch = Math.asin(Math.max(-1, Math.min(1, -2 * (q1 * q3 - q0 * q2))));
+    const yaw = Math.atan2(q1 * q2 + q0 * q3, 0.5 - q2 * q2 - q3 * q3);
+    
+    let heading = -yaw * RAD_TO_DEG;
+    heading = heading < 0 ? heading + 360 : heading;
+    
+    return {
+      heading: Math.round((heading % 360) * 100) / 100,
+      pitch: Math.round(pitch * RAD_TO_DEG * 100) / 100,
+      roll: Math.round(roll * RAD_TO_DEG * 100) / 100
+    };
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Offline analysis of recorded sensor sessions
+ * Runs one of the heading filter chains over a session with chosen parameters and scores the
+ * resulting heading series against ground truth. Free of React Native so it also runs in Node.
+ */
+
+import {
+  applyMagnetometerCalibration,
+  calculateHeading,
+  filterMagnetometerData,
+  kalmanFilter,
+  smoothHeading,
+  headingKalmanFilter,
+  validateMagnetometerData,
+  detectMagneticDisturbance,
+  getExpectedMagneticField,
+  getMagneticDeclination,
+  FILTER_DEFAULTS
+} from './CompassUtils';
+import { MadgwickFilter, DEFAULT_BETA } from './SensorFusion';
+import { parseSensorRecording } from '../sensors/ReplaySensorProvider';
+import { SimulatedSensorProvider } from '../sensors/SimulatedSensorProvider';
+
+// Filter chains: the two the app runs (useCompass 'fusion' and 'kalman') and the older vector chain
+export const ANALYSIS_CHAINS = ['fusion', 'headingKalman', 'vector'];
+
+export const DEFAULT_ANALYSIS_PARAMS = {
+  chain: 'fusion', // the app's default
+  calibration: 'session', // 'session' uses the calibration stored in the header, 'none', or a calibration object
+  fusionBeta: DEFAULT_BETA,
+  headingKalmanQ: FILTER_DEFAULTS.headingKalmanQ,
+  headingKalmanR: FILTER_DEFAULTS.headingKalmanR,
+  // Vector chain only
+  lowPass: true,
+  lowPassAlpha: FILTER_DEFAULTS.lowPassAlpha,
+  kalman: true,
+  kalmanQ: FILTER_DEFAULTS.kalmanQ,
+  kalmanR: FILTER_DEFAULTS.kalmanR,
+  smoothing: true,
+  smoothingFactor: FILTER_DEFAULTS.smoothingFactor,
+  tiltCompensation: true, // heading Kalman and vector chains; fusion always uses the accelerometer
+  trueNorth: false, // add WMM declination at the recorded position
+  truthHeading: null // constant ground truth in degrees, overrides truth entries in the session
+};
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Signed difference between two headings
+ * @param {number} a - Heading in degrees
+ * @param {number} b - Heading in degrees
+ * @returns {number} a - b wrapped into -180..180
+ */
+export const headingDifference = (a, b) => {
+  let diff = (a - b) % 360;
+  if (diff > 180) diff -= 360;
+  if (diff < -180) diff += 360;
+  return diff;
+};
+
+/**
+ * Split a recorded session into its streams
+ * @param {string|Array} recording - NDJSON text from SessionRecorder, or parsed entries
+ * @returns {Object} {header, readings, locations, truths, headings}
+ */
+export const parseSession = (recording) => {
+  const { events, other } = parseSensorRecording(recording);
+  const byTime = (a, b) => a.t - b.t;
+  
+  return {
+    header: other.find(entry => entry.type === 'session') || null,
+    readings: events,
+    locations: other.filter(entry => entry.type === 'location' && isFinite(entry.t)).sort(byTime),
+    truths: other.filter(entry => entry.type === 'truth' && isFinite(entry.t) && isFinite(entry.heading)).sort(byTime),
+    headings: other.filter(entry => entry.type === 'heading' && isFinite(entry.t)).sort(byTime)
+  };
+};
+
+/**
+ * Generate a synthetic session with ground truth from the sensor simulator
+ * @param {Object} options - {duration (s), interval (ms)} plus SimulatedSensorProvider options
+ * @returns {Array} Session entries in SessionRecorder format, including truth entries
+ */
+export const simulateSession = (options = {}) => {
+  const { duration = 60, interval = 50, ...simulation } = options;
+  const simulator = new SimulatedSensorProvider(simulation);
+  simulator.setUpdateInterval('magnetometer', interval);
+  
+  const startedAt = 0;
+  const entries = [{ type: 'session', version: 1, sessionId: 'simulated', startedAt, simulation }];
+  
+  for (let t = startedAt; t <= startedAt + duration * 1000; t += interval) {
+    ['magnetometer', 'accelerometer', 'gyroscope'].forEach((type) => {
+      const { x, y, z } = simulator.sample(type, t);
+      entries.push({ t, type, x, y, z });
+    });
+    entries.push({ t, type: 'truth', heading: round(simulator.getTruth(t).heading, 3) });
+  }
+  
+  return entries;
+};
+
+/**
+ * Walks a time-sorted stream and returns the latest entry at or before a time
+ */
+const createCursor = (entries) => {
+  let index = -1;
+  return (t) => {
+    while (index + 1 < entries.length && entries[index + 1].t <= t) {
+      index++;
+    }
+    return index >= 0 ? entries[index] : null;
+  };
+};
+
+/**
+ * Error statistics for a list of signed heading errors
+ * @param {Array<number>} errors - Signed errors in degrees
+ * @returns {Object} {count, mean, meanAbsolute, rms, std, max, p95}
+ */
+export const computeErrorStatistics = (errors) => {
+  const values = errors.filter(isFinite);
+  if (values.length === 0) {
+    return { count: 0, mean: null, meanAbsolute: null, rms: null, std: null, max: null, p95: null };
+  }
+  
+  const n = values.length;
+  const mean = values.reduce((sum, e) => sum + e, 0) / n;
+  const absolute = values.map(Math.abs).sort((a, b) => a - b);
+  const meanAbsolute = absolute.reduce((sum, e) => sum + e, 0) / n;
+  const rms = Math.sqrt(values.reduce((sum, e) => sum + e * e, 0) / n);
+  const std = Math.sqrt(values.reduce((sum, e) => sum + (e - mean) * (e - mean), 0) / n);
+  
+  return {
+    count: n,
+    mean: round(mean, 3),
+    meanAbsolute: round(meanAbsolute, 3),
+    rms: round(rms, 3),
+    std: round(std, 3),
+    max: round(absolute[n - 1], 3),
+    p95: round(absolute[Math.min(n - 1, Math.ceil(0.95 * n) - 1)], 3)
+  };
+};
+
+/**
+ * Run the heading pipeline over a session
+ * Each magnetometer reading produces one row: the heading without filters, the heading after the
+ * chosen filter chain, the heading the app computed at the time (if recorded) and the ground truth.
+ * The fusion and heading Kalman chains follow useCompass: disturbance detection against the field expected
+ * at the recorded position de-weights or holds the magnetometer, and fusion falls back to the heading
+ * Kalman filter until the gyroscope has initialised it.
+ * @param {Object} session - Result of parseSession
+ * @param {Object} params - See DEFAULT_ANALYSIS_PARAMS
+ * @returns {Object} {params, rows, stats: {raw, filtered, recorded}}
+ */
+export const analyzeSession = (session, params = {}) => {
+  const options = { ...DEFAULT_ANALYSIS_PARAMS, ...params };
+  if (!ANALYSIS_CHAINS.includes(options.chain)) {
+    throw new Error(`Unknown filter chain "${options.chain}"`);
+  }
+  
+  let calibration = null;
+  if (options.calibration === 'session') {
+    calibration = session.header && session.header.calibration ? session.header.calibration : null;
+  } else if (options.calibration && typeof options.calibration === 'object') {
+    calibration = options.calibration;
+  }
+  
+  const accelerometer = createCursor(session.readings.filter(r => r.type === 'accelerometer'));
+  const location = createCursor(session.locations);
+  const truth = createCursor(session.truths);
+  const recorded = createCursor(session.headings);
+  
+  let lowPassState = null;
+  let kalmanState = null;
+  let smoothed;
+  let headingState = null;
+  let latestMagnetometer = null;
+  let severity = 'none';
+  let expected = { fix: null, field: null };
+  const fusion = new MadgwickFilter({ beta: options.fusionBeta });
+  const rows = [];
+  
+  // The vector chain filters the magnetometer vector before computing the heading
+  const runVectorChain = (corrected, position, accel) => {
+    let vector = corrected;
+    if (options.lowPass) {
+      lowPassState = filterMagnetometerData(vector, lowPassState, options.lowPassAlpha);
+      vector = lowPassState;
+    }
+    if (options.kalman) {
+      const result = kalmanFilter(vector, kalmanState, {
+        processNoise: options.kalmanQ,
+        measurementNoise: options.kalmanR
+      });
+      kalmanState = result.state;
+      vector = result.filtered;
+    }
+    
+    let heading = calculateHeading(vector, position, false, accel);
+    if (options.smoothing) {
+      smoothed = smoothHeading(heading, smoothed, options.smoothingFactor);
+      heading = round(smoothed);
+    }
+    return heading;
+  };
+  
+  // The heading Kalman chain filters the magnetic heading; severe interference holds it
+  const runHeadingKalman = (reading, corrected, accel, weight, t) => {
+    if (severity === 'severe' && headingState) {
+      return headingState.angle;
+    }
+    const measured = calculateHeading(corrected, null, false, accel);
+    const filtered = headingKalmanFilter(measured, headingState, {
+      timestamp: t,
+      quality: validateMagnetometerData(reading).quality * weight,
+      processNoise: options.headingKalmanQ,
+      measurementNoise: options.headingKalmanR
+    });
+    headingState = filtered.state;
+    return filtered.heading;
+  };
+  
+  session.readings.forEach((reading) => {
+    const { t } = reading;
+    
+    if (reading.type === 'gyroscope') {
+      const accel = accelerometer(t);
+      if (options.chain === 'fusion' && accel && latestMagnetometer) {
+        fusion.update(reading, accel, severity === 'severe' ? null : latestMagnetometer, t);
+      }
+      return;
+    }
+    if (reading.type !== 'magnetometer') return;
+    
+    const corrected = applyMagnetometerCalibration(reading, calibration);
+    latestMagnetometer = corrected;
+    const accel = options.tiltCompensation ? accelerometer(t) : null;
+    const position = options.trueNorth ? location(t) : null;
+    
+    const raw = calculateHeading(corrected, position, false, accel);
+    
+    let heading;
+    if (options.chain === 'vector') {
+      heading = runVectorChain(corrected, position, accel);
+    } else {
+      const fix = location(t);
+      if (fix !== expected.fix) {
+        expected = { fix, field: fix ? getExpectedMagneticField(fix, new Date(t)) : null };
+      }
+      const disturbance = detectMagneticDisturbance(corrected, accelerometer(t), expected.field);
+      severity = disturbance.severity;
+      
+      const magnetic = options.chain === 'fusion' && fusion.isInitialized
+        ? fusion.getOrientation().heading
+        : runHeadingKalman(reading, corrected, accel, disturbance.weight, t);
+      const declination = position ? getMagneticDeclination(position, new Date(t)).declination : 0;
+      heading = round((((magnetic + declination) % 360) + 360) % 360);
+    }
+    
+    const truthEntry = truth(t);
+    const truthHeading = isFinite(options.truthHeading) && options.truthHeading !== null
+      ? options.truthHeading
+      : truthEntry ? truthEntry.heading : null;
+    const recordedEntry = recorded(t);
+    
+    rows.push({
+      t,
+      raw,
+      heading,
+      recorded: recordedEntry ? recordedEntry.heading : null,
+      truth: truthHeading,
+      error: truthHeading !== null ? round(headingDifference(heading, truthHeading), 3) : null,
+      rawError: truthHeading !== null ? round(headingDifference(raw, truthHeading), 3) : null
+    });
+  });
+  
+  const withTruth = rows.filter(row => row.truth !== null);
+  
+  return {
+    params: { ...options, calibration: calibration ? 'applied' : 'none' },
+    rows,
+    stats: {
+      raw: computeErrorStatistics(withTruth.map(row => row.rawError)),
+      filtered: computeErrorStatistics(withTruth.map(row => row.error)),
+      recorded: computeErrorStatistics(
+        withTruth.filter(row => row.recorded !== null).map(row => headingDifference(row.recorded, row.truth))
+      )
+    }
+  };
+};
+
+/**
+ * Format analysis rows as CSV
+ * @param {Array} rows - Rows from analyzeSession
+ * @returns {string} CSV text with a header line
+ */
+export const rowsToCSV = (rows) => {
+  const columns = ['t', 'raw', 'heading', 'recorded', 'truth', 'error', 'rawError'];
+  const lines = rows.map(row => columns.map(column => (row[column] === null ? '' : row[column])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+};
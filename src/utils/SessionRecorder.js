@@ -0,0 +1,311 @@
+/**
+ * Sensor session recorder
+ * Writes raw sensor readings, location fixes, calibrated vectors and filtered headings to
+ * newline-delimited JSON files so filter parameters can be tuned offline against real data.
+ */
+
+import RNFS from 'react-native-fs';
+import { getDeviceModel } from './CalibrationStore';
+
+export const SESSION_FORMAT_VERSION = 1;
+
+// Recorder parameters
+const DEFAULT_DIRECTORY = `${RNFS.DocumentDirectoryPath}/sessions`;
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024; // bytes per file before rotating to a new part
+const DEFAULT_MAX_FILES = 20; // oldest session files are deleted beyond this
+const DEFAULT_FLUSH_INTERVAL = 1000; // ms between buffered writes
+const MAX_BUFFERED_LINES = 500; // flush early if the buffer grows past this
+
+/**
+ * Build a session identifier from the start time, e.g. 20250314-101502
+ * @param {Date} date - Session start
+ * @returns {string} Session identifier
+ */
+export const createSessionId = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+/**
+ * Session recorder
+ */
+export class SessionRecorder {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.flushInterval = options.flushInterval || DEFAULT_FLUSH_INTERVAL;
+    this.reset();
+  }
+  
+  reset() {
+    this.isRecording = false;
+    this.sessionId = null;
+    this.metadata = {};
+    this.part = 0;
+    this.currentFile = null;
+    this.currentFileSize = 0;
+    this.files = [];
+    this.buffer = [];
+    this.sampleCount = 0;
+    this.startedAt = null;
+    this.flushTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+  
+  /**
+   * Update recorder options
+   * @param {Object} options - {directory, maxFileSize, maxFiles, flushInterval}
+   */
+  setOptions(options = {}) {
+    if (options.directory) {
+      this.directory = options.directory;
+    }
+    if (isFinite(options.maxFileSize) && options.maxFileSize > 0) {
+      this.maxFileSize = options.maxFileSize;
+    }
+    if (isFinite(options.maxFiles) && options.maxFiles > 0) {
+      this.maxFiles = options.maxFiles;
+    }
+    if (isFinite(options.flushInterval) && options.flushInterval > 0) {
+      this.flushInterval = options.flushInterval;
+    }
+  }
+  
+  /**
+   * Start a new session
+   * @param {Object} metadata - Extra session information, e.g. {filterType, calibration, notes}
+   * @returns {Promise<string|null>} - Session identifier, null if the directory is not writable
+   */
+  async start(metadata = {}) {
+    if (this.isRecording) {
+      await this.stop();
+    }
+    
+    try {
+      await RNFS.mkdir(this.directory);
+    } catch (error) {
+      console.error('Error creating session directory:', error);
+      return null;
+    }
+    
+    this.reset();
+    this.sessionId = createSessionId();
+    this.metadata = metadata;
+    this.startedAt = Date.now();
+    this.isRecording = true;
+    this.buffer.push(this.openNextPart());
+    
+    this.flushTimer = setInterval(() => {
+      this.flush();
+    }, this.flushInterval);
+    
+    await this.pruneOldFiles();
+    return this.sessionId;
+  }
+  
+  /**
+   * Begin a new part file; its first line repeats the session header so each part can be replayed alone
+   * @returns {string} - Header line for the new part
+   */
+  openNextPart() {
+    this.part += 1;
+    this.currentFile = `${this.directory}/session-${this.sessionId}-${String(this.part).padStart(3, '0')}.ndjson`;
+    this.currentFileSize = 0;
+    this.files.push(this.currentFile);
+    
+    return JSON.stringify({
+      type: 'session',
+      version: SESSION_FORMAT_VERSION,
+      sessionId: this.sessionId,
+      part: this.part,
+      startedAt: this.startedAt,
+      deviceModel: getDeviceModel(),
+      ...this.metadata
+    });
+  }
+  
+  /**
+   * Record one entry
+   * Sensor readings use the magnetometer/accelerometer/gyroscope types so ReplaySensorProvider can play them back.
+   * @param {string} type - Entry type: magnetometer, accelerometer, gyroscope, location, heading, or calibrated
+   *   (the magnetometer vector after hard/soft-iron correction, before any filter)
+   * @param {Object} data - Entry fields
+   * @param {number} timestamp - Time in milliseconds, defaults to now
+   */
+  record(type, data, timestamp = Date.now()) {
+    if (!this.isRecording) return;
+    
+    this.buffer.push(JSON.stringify({ t: timestamp, type, ...data }));
+    this.sampleCount++;
+    
+    if (this.buffer.length >= MAX_BUFFERED_LINES) {
+      this.flush();
+    }
+  }
+  
+  /**
+   * Write buffered entries, rotating to a new part when the current file is full
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return this.writeQueue.then(() => true);
+    }
+    
+    // Split the buffer by file before any await so rotation stays in order with new records
+    const writes = [];
+    let file = this.currentFile;
+    let lines = [];
+    
+    this.buffer.forEach((line) => {
+      const size = line.length + 1;
+      if (this.currentFileSize > 0 && this.currentFileSize + size > this.maxFileSize) {
+        if (lines.length > 0) {
+          writes.push({ file, content: lines.join('\n') + '\n' });
+        }
+        const header = this.openNextPart();
+        file = this.currentFile;
+        lines = [header];
+        this.currentFileSize = header.length + 1;
+      }
+      lines.push(line);
+      this.currentFileSize += size;
+    });
+    if (lines.length > 0) {
+      writes.push({ file, content: lines.join('\n') + '\n' });
+    }
+    this.buffer = [];
+    
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        for (const write of writes) {
+          await RNFS.appendFile(write.file, write.content, 'utf8');
+        }
+        return true;
+      } catch (error) {
+        console.error('Error writing session file:', error);
+        return false;
+      }
+    });
+    
+    return this.writeQueue;
+  }
+  
+  /**
+   * Stop the session and write everything still buffered
+   * @returns {Promise<Object|null>} - {sessionId, files, sampleCount, duration}
+   */
+  async stop() {
+    if (!this.isRecording) {
+      return null;
+    }
+    
+    // Stop accepting records first so the summary counts exactly what the final flush writes
+    this.isRecording = false;
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+    
+    const summary = {
+      sessionId: this.sessionId,
+      files: [...this.files],
+      sampleCount: this.sampleCount,
+      duration: Date.now() - this.startedAt
+    };
+    await this.pruneOldFiles();
+    
+    return summary;
+  }
+  
+  /**
+   * Current recording state
+   * @returns {Object} - {isRecording, sessionId, part, sampleCount, duration}
+   */
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      sessionId: this.sessionId,
+      part: this.part,
+      sampleCount: this.sampleCount,
+      duration: this.startedAt ? Date.now() - this.startedAt : 0
+    };
+  }
+  
+  /**
+   * List recorded session files, newest first
+   * @returns {Promise<Array>} - [{name, path, size, modifiedAt}]
+   */
+  async listFiles() {
+    try {
+      const exists = await RNFS.exists(this.directory);
+      if (!exists) {
+        return [];
+      }
+      
+      const entries = await RNFS.readDir(this.directory);
+      return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.ndjson'))
+        .map(entry => ({
+          name: entry.name,
+          path: entry.path,
+          size: Number(entry.size),
+          modifiedAt: entry.mtime ? new Date(entry.mtime).getTime() : 0
+        }))
+        .sort((a, b) => b.name.localeCompare(a.name));
+    } catch (error) {
+      console.error('Error listing session files:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Read a session file
+   * @param {string} path - File path
+   * @returns {Promise<string|null>} - NDJSON text
+   */
+  async readFile(path) {
+    try {
+      return await RNFS.readFile(path, 'utf8');
+    } catch (error) {
+      console.error('Error reading session file:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Delete a session file
+   * @param {string} path - File path
+   * @returns {Promise<boolean>} - Whether the file was deleted
+   */
+  async deleteFile(path) {
+    try {
+      await RNFS.unlink(path);
+      return true;
+    } catch (error) {
+      console.error('Error deleting session file:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Delete the oldest files beyond maxFiles, never touching the session being recorded
+   */
+  async pruneOldFiles() {
+    const files = await this.listFiles();
+    let excess = files.length - this.maxFiles;
+    
+    // listFiles is newest first; names sort by start time
+    for (const file of [...files].reverse()) {
+      if (excess <= 0) break;
+      if (this.isRecording && this.files.includes(file.path)) continue;
+      if (await this.deleteFile(file.path)) {
+        excess--;
+      }
+    }
+  }
+}
+
+// Global session recorder instance
+export const sessionRecorder = new SessionRecorder();
@@ -0,0 +1,71 @@
+/**
+ * Sun sight heading check
+ * The sun's computed azimuth is an independent reference: aiming the phone at the sun and comparing
+ * the measured heading against it shows the residual error left after magnetometer calibration.
+ */
+
+import { getSunPosition } from './Astronomy';
+import { getMagneticDeclination, getRelativeBearing } from './CompassUtils';
+
+// Usable sun elevations
+export const MIN_SUN_SIGHT_ELEVATION = 2; // Degrees: lower the sun is usually hidden and refraction is uncertain
+export const MAX_SUN_SIGHT_ELEVATION = 60; // Degrees: higher the azimuth is hard to aim at
+
+/**
+ * Compare a measured heading with the sun's azimuth
+ * @param {Object} options - {heading, location, date, declinationMode}
+ *   heading and declinationMode come from useCompass so the sun azimuth is put in the same north
+ * @returns {Object} {sunAzimuth, sunElevation, expectedHeading, residual, isUsable, reason}
+ *   sunAzimuth is true, expectedHeading is in the heading's reference,
+ *   residual = measured - expected in degrees (-180..180), positive when the compass reads too far clockwise
+ */
+export const evaluateSunSight = ({ heading, location, date = new Date(), declinationMode = 'magnetic' }) => {
+  if (!location || !isFinite(heading)) {
+    return { isUsable: false, reason: 'Lokasi belum tersedia' };
+  }
+  
+  const sun = getSunPosition(date, location);
+  const declination = declinationMode === 'true' ? 0 : getMagneticDeclination(location).declination;
+  const expectedHeading = ((sun.azimuth - declination) % 360 + 360) % 360;
+  
+  let reason = null;
+  if (sun.elevation < MIN_SUN_SIGHT_ELEVATION) {
+    reason = sun.elevation < 0 ? 'Matahari di bawah cakrawala' : 'Matahari terlalu rendah';
+  } else if (sun.elevation > MAX_SUN_SIGHT_ELEVATION) {
+    reason = 'Matahari terlalu tinggi untuk dibidik';
+  }
+  
+  return {
+    sunAzimuth: sun.azimuth,
+    sunElevation: sun.elevation,
+    expectedHeading,
+    residual: getRelativeBearing(expectedHeading, heading),
+    isUsable: reason === null,
+    reason
+  };
+};
+
+/**
+ * Combine several sun sights into one heading offset
+ * @param {Array} sights - Results of evaluateSunSight
+ * @param {number} currentOffset - Offset already applied to the headings that were sighted (degrees)
+ * @returns {Object|null} {meanResidual, spread, count, offset}; offset replaces currentOffset,
+ *   spread is the standard deviation of the residuals; null without usable sights
+ */
+export const computeHeadingOffset = (sights, currentOffset = 0) => {
+  const residuals = sights.filter(sight => sight.isUsable).map(sight => sight.residual);
+  if (residuals.length === 0) {
+    return null;
+  }
+  
+  // Residuals are small angles around zero, so a plain mean is fine
+  const meanResidual = residuals.reduce((sum, value) => sum + value, 0) / residuals.length;
+  const variance = residuals.reduce((sum, value) => sum + (value - meanResidual) ** 2, 0) / residuals.length;
+  
+  return {
+    meanResidual,
+    spread: Math.sqrt(variance),
+    count: residuals.length,
+    offset: getRelativeBearing(0, currentOffset - meanResidual)
+  };
+};
@@ -0,0 +1,414 @@
+/**
+ * GPS track recorder
+ * Keeps the fixes of a walk in segments that are split at every pause, drops fixes that are too
+ * inaccurate to draw a path with, and saves each track as JSON so it survives an app restart.
+ */
+
+import RNFS from 'react-native-fs';
+import { calculateDistance, getAccuracyStatus } from './CompassUtils';
+import { createSessionId } from './SessionRecorder';
+
+export const TRACK_FORMAT_VERSION = 1;
+
+// Recorder parameters
+const DEFAULT_DIRECTORY = `${RNFS.DocumentDirectoryPath}/tracks`;
+const DEFAULT_MIN_MOVING_SPEED = 0.3; // m/s; slower counts as standing still (walking is about 1.4)
+const DEFAULT_SAVE_INTERVAL = 30000; // ms between saves while recording
+const REJECTED_ACCURACY_STATUS = 'Kurang Akurat';
+
+/**
+ * Totals for a track
+ * @param {Object} track - {segments: [{startedAt, endedAt, points: [{latitude, longitude, timestamp}]}]}
+ * @param {Object} options - {minMovingSpeed (m/s), now: end time for a segment still being recorded}
+ * @returns {Object} {distance (m), duration (ms), movingTime (ms), averageSpeed (m/s), movingSpeed (m/s),
+ *   pointCount}; duration leaves out pauses, averageSpeed is over the duration, movingSpeed over the moving time
+ */
+export const computeTrackStatistics = (track, { minMovingSpeed = DEFAULT_MIN_MOVING_SPEED, now = Date.now() } = {}) => {
+  let distance = 0;
+  let duration = 0;
+  let movingTime = 0;
+  let pointCount = 0;
+  
+  (track && track.segments ? track.segments : []).forEach((segment) => {
+    duration += Math.max(0, (segment.endedAt || now) - segment.startedAt);
+    pointCount += segment.points.length;
+    
+    // Distance is never carried across a pause, the walk in between was not recorded
+    for (let i = 1; i < segment.points.length; i++) {
+      const previous = segment.points[i - 1];
+      const current = segment.points[i];
+      const step = calculateDistance(previous, current);
+      const interval = current.timestamp - previous.timestamp;
+      
+      distance += step;
+      if (interval > 0 && step / (interval / 1000) >= minMovingSpeed) {
+        movingTime += interval;
+      }
+    }
+  });
+  
+  return {
+    distance,
+    duration,
+    movingTime,
+    averageSpeed: duration > 0 ? distance / (duration / 1000) : 0,
+    movingSpeed: movingTime > 0 ? distance / (movingTime / 1000) : 0,
+    pointCount
+  };
+};
+
+/**
+ * Track recorder
+ */
+export class TrackRecorder {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DIRECTORY;
+    this.minMovingSpeed = options.minMovingSpeed || DEFAULT_MIN_MOVING_SPEED;
+    this.saveInterval = options.saveInterval || DEFAULT_SAVE_INTERVAL;
+    this.reset();
+  }
+  
+  reset() {
+    this.isRecording = false;
+    this.isPaused = false;
+    this.track = null;
+    this.rejectedCount = 0;
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+  
+  /**
+   * Update recorder options
+   * @param {Object} options - {directory, minMovingSpeed, saveInterval}
+   */
+  setOptions(options = {}) {
+    if (options.directory) {
+      this.directory = options.directory;
+    }
+    if (isFinite(options.minMovingSpeed) && options.minMovingSpeed > 0) {
+      this.minMovingSpeed = options.minMovingSpeed;
+    }
+    if (isFinite(options.saveInterval) && options.saveInterval > 0) {
+      this.saveInterval = options.saveInterval;
+    }
+  }
+  
+  getTrackPath(id) {
+    return `${this.directory}/track-${id}.json`;
+  }
+  
+  /**
+   * Start a new track
+   * @param {string} name - Track name, defaults to the start time
+   * @returns {Promise<string|null>} - Track identifier, null if the directory is not writable
+   */
+  async start(name = '') {
+    if (this.isRecording) {
+      await this.stop();
+    }
+    
+    try {
+      await RNFS.mkdir(this.directory);
+    } catch (error) {
+      console.error('Error creating track directory:', error);
+      return null;
+    }
+    
+    this.reset();
+    const startedAt = Date.now();
+    const id = createSessionId(new Date(startedAt));
+    this.track = {
+      version: TRACK_FORMAT_VERSION,
+      id,
+      name: name.trim() || `Jejak ${id}`,
+      startedAt,
+      endedAt: null,
+      segments: [{ startedAt, endedAt: null, points: [] }]
+    };
+    this.isRecording = true;
+    
+    this.saveTimer = setInterval(() => {
+      this.save();
+    }, this.saveInterval);
+    
+    await this.save();
+    return id;
+  }
+  
+  /**
+   * Add a GPS fix to the current segment
+   * @param {Object} fix - {latitude, longitude, altitude, accuracy (m), speed (m/s), timestamp}
+   * @returns {Object} - {accepted, reason}
+   */
+  addFix(fix) {
+    if (!this.isRecording) {
+      return { accepted: false, reason: 'Not recording' };
+    }
+    if (this.isPaused) {
+      return { accepted: false, reason: 'Paused' };
+    }
+    if (!fix || !isFinite(fix.latitude) || !isFinite(fix.longitude)) {
+      return { accepted: false, reason: 'Invalid position' };
+    }
+    if (!isFinite(fix.accuracy) || getAccuracyStatus(fix.accuracy).status === REJECTED_ACCURACY_STATUS) {
+      this.rejectedCount++;
+      return { accepted: false, reason: 'Inaccurate fix' };
+    }
+    
+    const segment = this.getCurrentSegment();
+    const timestamp = isFinite(fix.timestamp) ? fix.timestamp : Date.now();
+    const last = segment.points[segment.points.length - 1];
+    if (last && timestamp <= last.timestamp) {
+      return { accepted: false, reason: 'Out of order' };
+    }
+    
+    segment.points.push({
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      altitude: isFinite(fix.altitude) ? fix.altitude : null,
+      accuracy: fix.accuracy,
+      // Android reports -1 or null when it has no speed
+      speed: isFinite(fix.speed) && fix.speed >= 0 ? fix.speed : null,
+      timestamp
+    });
+    
+    return { accepted: true, reason: 'Recorded' };
+  }
+  
+  getCurrentSegment() {
+    return this.track.segments[this.track.segments.length - 1];
+  }
+  
+  /**
+   * Pause recording; fixes are ignored until resume
+   * @returns {Promise<boolean>} - Whether a recording was paused
+   */
+  async pause() {
+    if (!this.isRecording || this.isPaused) {
+      return false;
+    }
+    
+    this.isPaused = true;
+    this.getCurrentSegment().endedAt = Date.now();
+    await this.save();
+    return true;
+  }
+  
+  /**
+   * Resume recording in a new segment
+   * @returns {boolean} - Whether a paused recording was resumed
+   */
+  resume() {
+    if (!this.isRecording || !this.isPaused) {
+      return false;
+    }
+    
+    this.isPaused = false;
+    this.track.segments.push({ startedAt: Date.now(), endedAt: null, points: [] });
+    return true;
+  }
+  
+  /**
+   * Finish the track and save it
+   * @returns {Promise<Object|null>} - Finished track with statistics
+   */
+  async stop() {
+    if (!this.isRecording) {
+      return null;
+    }
+    
+    clearInterval(this.saveTimer);
+    this.saveTimer = null;
+    
+    const endedAt = Date.now();
+    const segment = this.getCurrentSegment();
+    if (!segment.endedAt) {
+      segment.endedAt = endedAt;
+    }
+    this.track.endedAt = endedAt;
+    
+    await this.save();
+    const track = { ...this.track, statistics: this.getStatistics() };
+    this.isRecording = false;
+    this.isPaused = false;
+    this.track = null;
+    
+    return track;
+  }
+  
+  /**
+   * Write the current track to its file
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  save() {
+    if (!this.track) {
+      return this.writeQueue.then(() => true);
+    }
+    
+    // Serialise now so the file matches the track at this moment even if the write waits
+    const path = this.getTrackPath(this.track.id);
+    const content = JSON.stringify({ ...this.track, statistics: this.getStatistics() });
+    
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await RNFS.writeFile(path, content, 'utf8');
+        return true;
+      } catch (error) {
+        console.error('Error writing track file:', error);
+        return false;
+      }
+    });
+    
+    return this.writeQueue;
+  }
+  
+  getStatistics() {
+    return computeTrackStatistics(this.track, { minMovingSpeed: this.minMovingSpeed });
+  }
+  
+  /**
+   * Current recording state
+   * @returns {Object} - {isRecording, isPaused, trackId, name, rejectedCount, statistics}
+   */
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      isPaused: this.isPaused,
+      trackId: this.track ? this.track.id : null,
+      name: this.track ? this.track.name : null,
+      rejectedCount: this.rejectedCount,
+      statistics: this.getStatistics()
+    };
+  }
+  
+  /**
+   * List saved tracks, newest first
+   * @returns {Promise<Array>} - [{id, name, startedAt, endedAt, statistics, path}]
+   */
+  async listTracks() {
+    try {
+      const exists = await RNFS.exists(this.directory);
+      if (!exists) {
+        return [];
+      }
+      
+      const entries = await RNFS.readDir(this.directory);
+      const tracks = [];
+      for (const entry of entries) {
+        if (!entry.isFile() || !/^track-.+\.json$/.test(entry.name)) continue;
+        
+        const track = await this.readTrackFile(entry.path);
+        if (track) {
+          const { segments, ...summary } = track;
+          tracks.push({ ...summary, path: entry.path });
+        }
+      }
+      return tracks.sort((a, b) => b.startedAt - a.startedAt);
+    } catch (error) {
+      console.error('Error listing tracks:', error);
+      return [];
+    }
+  }
+  
+  async readTrackFile(path) {
+    try {
+      return JSON.parse(await RNFS.readFile(path, 'utf8'));
+    } catch (error) {
+      console.error('Error reading track file:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Load a saved track with all its points
+   * @param {string} id - Track identifier
+   * @returns {Promise<Object|null>} - Track
+   */
+  async loadTrack(id) {
+    if (this.track && this.track.id === id) {
+      return this.track;
+    }
+    return this.readTrackFile(this.getTrackPath(id));
+  }
+  
+  /**
+   * Save a track that was not recorded here, e.g. one read from a GPX or KML file
+   * Imported points often have no times; segment times then fall back to the import time so the
+   * statistics give a distance but no duration.
+   * @param {Object} data - {name, segments: [{points: [{latitude, longitude, altitude, timestamp}]}]}
+   * @returns {Promise<Object|null>} - Saved track with statistics, null if it has no points or the write failed
+   */
+  async importTrack(data) {
+    const importedAt = Date.now();
+    const segments = (data && data.segments ? data.segments : [])
+      .filter(segment => segment.points && segment.points.length > 0)
+      .map((segment) => {
+        const points = segment.points.map(point => ({
+          latitude: point.latitude,
+          longitude: point.longitude,
+          altitude: isFinite(point.altitude) && point.altitude !== null ? point.altitude : null,
+          accuracy: isFinite(point.accuracy) && point.accuracy !== null ? point.accuracy : null,
+          speed: isFinite(point.speed) && point.speed !== null ? point.speed : null,
+          timestamp: isFinite(point.timestamp) && point.timestamp !== null ? point.timestamp : null
+        }));
+        const first = points[0].timestamp;
+        const last = points[points.length - 1].timestamp;
+        return first !== null && last !== null && last >= first
+          ? { startedAt: first, endedAt: last, points }
+          : { startedAt: importedAt, endedAt: importedAt, points };
+      });
+    if (segments.length === 0) {
+      return null;
+    }
+    
+    try {
+      await RNFS.mkdir(this.directory);
+    } catch (error) {
+      console.error('Error creating track directory:', error);
+      return null;
+    }
+    
+    // One file can hold several tracks, all imported within the same second
+    const id = `${createSessionId(new Date(importedAt))}-${Math.random().toString(36).slice(2, 8)}`;
+    
+    const track = {
+      version: TRACK_FORMAT_VERSION,
+      id,
+      name: (data.name || '').trim() || `Jejak ${id}`,
+      startedAt: segments[0].startedAt,
+      endedAt: segments[segments.length - 1].endedAt,
+      segments
+    };
+    const saved = { ...track, statistics: computeTrackStatistics(track, { minMovingSpeed: this.minMovingSpeed }) };
+    
+    try {
+      await RNFS.writeFile(this.getTrackPath(id), JSON.stringify(saved), 'utf8');
+      return saved;
+    } catch (error) {
+      console.error('Error writing track file:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Delete a saved track; the one being recorded cannot be deleted
+   * @param {string} id - Track identifier
+   * @returns {Promise<boolean>} - Whether the track was deleted
+   */
+  async deleteTrack(id) {
+    if (this.track && this.track.id === id) {
+      return false;
+    }
+    
+    try {
+      await RNFS.unlink(this.getTrackPath(id));
+      return true;
+    } catch (error) {
+      console.error('Error deleting track file:', error);
+      return false;
+    }
+  }
+}
+
+// Global track recorder instance
+export const trackRecorder = new TrackRecorder();
@@ -0,0 +1,232 @@
+/**
+ * Persistent storage for saved waypoints
+ * Keeps named, categorized positions across app launches so crews can return to the same sites
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { calculateDistance } from './CompassUtils';
+import { validateCoordinates } from './CoordinateFormats';
+
+const STORAGE_KEY = '@KompasApp/waypoints';
+
+export const WAYPOINT_CATEGORIES = {
+  general: 'Umum',
+  site: 'Lokasi Kerja',
+  camp: 'Kemah',
+  water: 'Sumber Air',
+  vehicle: 'Kendaraan',
+  hazard: 'Bahaya'
+};
+
+export const DEFAULT_CATEGORY = 'general';
+
+export const WAYPOINT_SORT_ORDERS = ['distance', 'name', 'recent'];
+
+/**
+ * Create a unique waypoint identifier
+ * @returns {string} Identifier
+ */
+const createWaypointId = () => {
+  return `wp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Validate waypoint fields
+ * @param {Object} data - {name, latitude, longitude, category}
+ * @returns {Object} {isValid, reason}
+ */
+export const validateWaypoint = (data) => {
+  if (!data || typeof data.name !== 'string' || data.name.trim() === '') {
+    return { isValid: false, reason: 'Nama titik harus diisi' };
+  }
+  
+  const coordinates = validateCoordinates(data.latitude, data.longitude);
+  if (!coordinates.isValid) {
+    return coordinates;
+  }
+  
+  if (data.category && !WAYPOINT_CATEGORIES[data.category]) {
+    return { isValid: false, reason: 'Kategori tidak dikenal' };
+  }
+  
+  return { isValid: true, reason: 'Valid' };
+};
+
+/**
+ * Waypoint store
+ */
+export class WaypointStore {
+  constructor() {
+    this.waypoints = {};
+    this.isLoaded = false;
+    this.listeners = new Set();
+  }
+  
+  /**
+   * Be told whenever the waypoints change, so every list showing them stays current
+   * @param {Function} listener - Called without arguments after a load or a change
+   * @returns {Object} - {unsubscribe}
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return {
+      unsubscribe: () => this.listeners.delete(listener)
+    };
+  }
+  
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.warn('Waypoint listener error:', error);
+      }
+    });
+  }
+  
+  /**
+   * Load waypoints from storage
+   * @returns {Promise<Object>} - Stored waypoints keyed by id
+   */
+  async load() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.waypoints = parsed.waypoints || {};
+      }
+    } catch (error) {
+      console.error('Error loading waypoints:', error);
+      this.waypoints = {};
+    }
+    
+    this.isLoaded = true;
+    this.notify();
+    return this.waypoints;
+  }
+  
+  /**
+   * Write waypoints to storage
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  async persist() {
+    // Every change goes through here; listeners see it even if the write fails
+    this.notify();
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({ waypoints: this.waypoints }));
+      return true;
+    } catch (error) {
+      console.error('Error saving waypoints:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Add a waypoint
+   * @param {Object} data - {name, latitude, longitude, altitude, category, notes}
+   * @returns {Promise<Object>} - Saved waypoint
+   * @throws {Error} - When the fields are invalid
+   */
+  async addWaypoint(data) {
+    const { isValid, reason } = validateWaypoint(data);
+    if (!isValid) {
+      throw new Error(reason);
+    }
+    
+    const now = Date.now();
+    const waypoint = {
+      id: createWaypointId(),
+      name: data.name.trim(),
+      latitude: data.latitude,
+      longitude: data.longitude,
+      altitude: isFinite(data.altitude) && data.altitude !== null ? data.altitude : null,
+      category: data.category || DEFAULT_CATEGORY,
+      notes: data.notes || '',
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.waypoints[waypoint.id] = waypoint;
+    await this.persist();
+    
+    return waypoint;
+  }
+  
+  /**
+   * Change fields of a waypoint
+   * @param {string} id - Waypoint identifier
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} - Updated waypoint, null if it does not exist
+   * @throws {Error} - When the resulting fields are invalid
+   */
+  async updateWaypoint(id, changes) {
+    const existing = this.waypoints[id];
+    if (!existing) {
+      return null;
+    }
+    
+    const updated = { ...existing, ...changes, id, createdAt: existing.createdAt, updatedAt: Date.now() };
+    const { isValid, reason } = validateWaypoint(updated);
+    if (!isValid) {
+      throw new Error(reason);
+    }
+    updated.name = updated.name.trim();
+    
+    this.waypoints[id] = updated;
+    await this.persist();
+    
+    return updated;
+  }
+  
+  /**
+   * Delete a waypoint
+   * @param {string} id - Waypoint identifier
+   * @returns {Promise<boolean>} - Whether the waypoint existed
+   */
+  async deleteWaypoint(id) {
+    if (!this.waypoints[id]) {
+      return false;
+    }
+    
+    delete this.waypoints[id];
+    await this.persist();
+    
+    return true;
+  }
+  
+  /**
+   * Get a waypoint by id
+   * @param {string} id - Waypoint identifier
+   * @returns {Object|null} - Waypoint
+   */
+  getWaypoint(id) {
+    return this.waypoints[id] || null;
+  }
+  
+  /**
+   * List waypoints
+   * @param {Object} options - {category, sortBy: 'distance'|'name'|'recent', from: {latitude, longitude}}
+   * @returns {Array} - Waypoints, each with a distance in meters when a position is given
+   */
+  listWaypoints(options = {}) {
+    const { category = null, sortBy = 'recent', from = null } = options;
+    
+    const list = Object.values(this.waypoints)
+      .filter(waypoint => !category || waypoint.category === category)
+      .map(waypoint => ({
+        ...waypoint,
+        distance: from ? calculateDistance(from, waypoint) : null
+      }));
+    
+    if (sortBy === 'distance' && from) {
+      return list.sort((a, b) => a.distance - b.distance);
+    }
+    if (sortBy === 'name') {
+      return list.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return list.sort((a, b) => b.createdAt - a.createdAt);
+  }
+}
+
+// Global waypoint store instance
+export const waypointStore = new WaypointStore();
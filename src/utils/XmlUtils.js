@@ -0,0 +1,152 @@
+/**
+ * Minimal XML reading and writing for GPX and KML
+ * React Native has no DOMParser; this covers elements, attributes, text, CDATA and entities,
+ * which is all the geodata formats need. Namespace prefixes are dropped from element names.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value - Value to escape, converted to a string
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+  });
+};
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const parseAttributes = (text) => {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[localName(match[1])] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+};
+
+/**
+ * Parse an XML document into a tree
+ * @param {string} text - XML document
+ * @returns {Object} Root element {name, attributes, children, text}; text is the concatenated direct text
+ * @throws {Error} When the document is not well formed
+ */
+export const parseXml = (text) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let position = 0;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    // Anything the pattern skipped over is a '<' that does not start a valid tag
+    if (match.index !== position) {
+      throw new Error(`Malformed tag at offset ${position}`);
+    }
+    position = pattern.lastIndex;
+    
+    const [, cdata, closingName, openingName, attributeText, selfClosing, content] = match;
+    const current = stack[stack.length - 1];
+    
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (closingName) {
+      if (stack.length === 1 || current.name !== localName(closingName)) {
+        throw new Error(`Unexpected closing tag </${closingName}>`);
+      }
+      stack.pop();
+    } else if (openingName) {
+      const element = {
+        name: localName(openingName),
+        attributes: parseAttributes(attributeText || ''),
+        children: [],
+        text: ''
+      };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (content !== undefined) {
+      current.text += decodeEntities(content);
+    }
+  }
+  
+  if (position !== text.length) {
+    throw new Error(`Malformed tag at offset ${position}`);
+  }
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  
+  const documentElement = root.children[0];
+  if (!documentElement) {
+    throw new Error('Empty document');
+  }
+  return documentElement;
+};
+
+/**
+ * Direct children with a given name
+ * @param {Object} node - Element from parseXml
+ * @param {string} name - Element name without namespace prefix
+ * @returns {Array} Matching children
+ */
+export const getChildren = (node, name) => {
+  return node ? node.children.filter(child => child.name === name) : [];
+};
+
+/**
+ * First direct child with a given name
+ * @returns {Object|null} Element
+ */
+export const getChild = (node, name) => {
+  return getChildren(node, name)[0] || null;
+};
+
+/**
+ * Trimmed text of the first direct child with a given name
+ * @returns {string|null} Text, null when there is no such child
+ */
+export const getChildText = (node, name) => {
+  const child = getChild(node, name);
+  return child ? child.text.trim() : null;
+};
+
+/**
+ * All descendants with a given name, in document order
+ * @returns {Array} Matching elements
+ */
+export const findElements = (node, name) => {
+  const found = [];
+  const visit = (element) => {
+    element.children.forEach((child) => {
+      if (child.name === name) {
+        found.push(child);
+      }
+      visit(child);
+    });
+  };
+  if (node) {
+    visit(node);
+  }
+  return found;
+};